@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { basename, extname, join } from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+    parseFileText, areasFromImport, restrictionRings, validateGeometry, normalizeGridSettings, describeMetrics,
+    describeTotals, getGridPoints, renderExport, EXPORT_FORMATS, GRID_LAYOUTS, GRID_ROTATIONS, COORDINATE_FORMATS,
+    DEFAULT_GRID_SETTINGS, DEFAULT_COORDINATE_FORMAT
+} from '../src/core/index.js';
+
+// Batch grid generation: reads boundary files (GeoJSON, exported JSON, vertex
+// lists or CSV), checks their geometry, generates the grid of every area and
+// writes it with the metrics in one of the export formats. See USAGE.
+
+const EXIT = {
+    ok: 0,
+    usage: 1,      // bad options or arguments
+    input: 2,      // unreadable file, or no area in it
+    invalid: 3     // self-intersecting area, restriction outside it, overlaps...
+};
+
+const FORMATS = EXPORT_FORMATS.filter(format => !format.print);
+const ids = (list) => list.map(item => item.id).join(' | ');
+
+const USAGE = `Uso: pdr-grid <límite>... [opciones]
+
+Genera la malla de puntos de las áreas de cada archivo de límite (GeoJSON,
+JSON exportado, lista de vértices [[lat, lng], ...] o CSV) y la escribe con
+sus métricas en el formato elegido.
+
+Opciones:
+  -f, --format <id>            ${ids(FORMATS)} (por defecto json)
+  -o, --output <ruta>          archivo de salida, o directorio con varios límites
+                               (<nombre>_<formato>.<ext> por límite); sin -o, salida estándar
+  -s, --spacing <m>            separación entre puntos (${DEFAULT_GRID_SETTINGS.spacing})
+      --layout <id>            ${ids(GRID_LAYOUTS)}
+      --rotation <id>          ${ids(GRID_ROTATIONS)}
+      --bearing <grados>       orientación de la malla con --rotation bearing
+      --boundary-buffer <m>    distancia libre al borde del área
+      --restriction-buffer <m> distancia libre a las restricciones
+  -c, --coordinates <id>       ${ids(COORDINATE_FORMATS)} (por defecto ${DEFAULT_COORDINATE_FORMAT})
+      --allow-invalid          exportar aunque la geometría tenga problemas
+  -q, --quiet                  sin resumen por archivo
+  -h, --help                   esta ayuda
+
+Códigos de salida: ${EXIT.ok} correcto, ${EXIT.usage} uso incorrecto, ${EXIT.input} archivo ilegible o sin áreas,
+${EXIT.invalid} geometría no válida. Con varios límites, el peor de todos.
+`;
+
+const OPTIONS = {
+    format: { type: 'string', short: 'f', default: 'json' },
+    output: { type: 'string', short: 'o' },
+    spacing: { type: 'string', short: 's' },
+    layout: { type: 'string' },
+    rotation: { type: 'string' },
+    bearing: { type: 'string' },
+    'boundary-buffer': { type: 'string' },
+    'restriction-buffer': { type: 'string' },
+    coordinates: { type: 'string', short: 'c', default: DEFAULT_COORDINATE_FORMAT },
+    'allow-invalid': { type: 'boolean', default: false },
+    quiet: { type: 'boolean', short: 'q', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+// Error with the exit code it ends the run with
+class CliError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.code = code;
+    }
+}
+
+// Helper: Option value that must be one of a list of { id }
+const oneOf = (name, value, list) => {
+    if (value !== undefined && !list.some(item => item.id === value)) {
+        throw new CliError(`--${name} debe ser ${ids(list)} (recibido «${value}»)`, EXIT.usage);
+    }
+    return value;
+};
+
+// Helper: Numeric option; normalizeGridSettings would quietly fall back to the
+// default on a typo, which a batch run should not do
+const numberOption = (name, value) => {
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (value.trim() === '' || !Number.isFinite(number)) {
+        throw new CliError(`--${name} debe ser un número (recibido «${value}»)`, EXIT.usage);
+    }
+    return number;
+};
+
+const readOptions = (values) => {
+    const settings = {
+        spacing: numberOption('spacing', values.spacing),
+        layout: oneOf('layout', values.layout, GRID_LAYOUTS),
+        rotation: oneOf('rotation', values.rotation, GRID_ROTATIONS),
+        bearing: numberOption('bearing', values.bearing),
+        boundaryBuffer: numberOption('boundary-buffer', values['boundary-buffer']),
+        restrictionBuffer: numberOption('restriction-buffer', values['restriction-buffer'])
+    };
+    return {
+        format: oneOf('format', values.format, FORMATS),
+        coordinateFormat: oneOf('coordinates', values.coordinates, COORDINATE_FORMATS),
+        gridSettings: normalizeGridSettings(Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined)))
+    };
+};
+
+// Areas and annotations of a boundary file, with the geometry problems found in them
+const loadBoundary = async (path) => {
+    let result;
+    try {
+        result = parseFileText(await readFile(path, 'utf8'), basename(path));
+    } catch (err) {
+        throw new CliError(`${path}: ${err.message}`, EXIT.input);
+    }
+
+    const areas = areasFromImport(result).filter(area => area.points.length >= 3);
+    if (areas.length === 0) {
+        const reasons = result.skipped.map(({ label, reason }) => `\n  ${label}: ${reason}`).join('');
+        throw new CliError(`${path}: no se encontró ningún polígono para el área${reasons}`, EXIT.input);
+    }
+
+    const issues = areas.flatMap(area => validateGeometry(area.points, area.restrictions)
+        .map(issue => `${area.name}: ${issue.message}`));
+    return { areas, annotations: result.annotations, issues, skipped: result.skipped };
+};
+
+// Helper: "<input name>_<format>.<ext>" in the output directory
+const outputPath = (directory, input, fileName, format) =>
+    join(directory, `${basename(input, extname(input))}_${format}${extname(fileName)}`);
+
+const summarize = (path, areas, gridSettings) => {
+    const totals = describeTotals(areas.map(area => describeMetrics(area.points, restrictionRings(area.restrictions))));
+    const points = areas.reduce((sum, area) => sum + getGridPoints(area.points, restrictionRings(area.restrictions), gridSettings).length, 0);
+    return `${path}: ${totals.areas} área(s), ${points} punto(s) de malla cada ${gridSettings.spacing} m, ` +
+        `área neta ${totals.net_area_m2} m², perímetro ${totals.perimeter_m} m`;
+};
+
+const run = async (argv) => {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (err) {
+        throw new CliError(`${err.message}\n\n${USAGE}`, EXIT.usage);
+    }
+    const { values, positionals: inputs } = parsed;
+
+    if (values.help) {
+        process.stdout.write(USAGE);
+        return EXIT.ok;
+    }
+    if (inputs.length === 0) throw new CliError(`Falta el archivo de límite.\n\n${USAGE}`, EXIT.usage);
+
+    const { format, coordinateFormat, gridSettings } = readOptions(values);
+    const toDirectory = inputs.length > 1;
+    if (toDirectory && !values.output) {
+        throw new CliError('Con varios límites, --output debe indicar un directorio.', EXIT.usage);
+    }
+    if (toDirectory) await mkdir(values.output, { recursive: true });
+
+    let exitCode = EXIT.ok;
+    for (const input of inputs) {
+        try {
+            const { areas, annotations, issues, skipped } = await loadBoundary(input);
+            skipped.forEach(({ label, reason }) => console.warn(`${input}: omitido ${label} (${reason})`));
+            if (issues.length > 0) {
+                issues.forEach(issue => console.error(`${input}: ${issue}`));
+                if (!values['allow-invalid']) throw new CliError(`${input}: geometría no válida, no se exporta`, EXIT.invalid);
+            }
+
+            const file = renderExport(format, areas, gridSettings, {
+                coordinateFormat,
+                annotations,
+                project: { name: basename(input, extname(input)) }
+            });
+            if (!values.output) {
+                process.stdout.write(file.content);
+            } else {
+                const path = toDirectory ? outputPath(values.output, input, file.fileName, format) : values.output;
+                await writeFile(path, file.content);
+            }
+            if (!values.quiet) console.error(summarize(input, areas, gridSettings));
+        } catch (err) {
+            if (!(err instanceof CliError)) throw err;
+            console.error(err.message);
+            exitCode = Math.max(exitCode, err.code);
+        }
+    }
+    return exitCode;
+};
+
+// A reader that stops early (`| head`) is not an error; anything else still
+// surfaces instead of leaving the exit code to chance
+process.stdout.on('error', (err) => {
+    if (err.code === 'EPIPE') process.exit(EXIT.ok);
+    throw err;
+});
+
+run(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(err => {
+        console.error(err instanceof CliError ? err.message : err);
+        process.exitCode = err instanceof CliError ? err.code : EXIT.usage;
+    });
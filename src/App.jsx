@@ -1,63 +1,71 @@
-import { useState, useEffect } from 'react'
-import { MapContainer, TileLayer, Marker, Popup, Polygon, CircleMarker, useMap, useMapEvents } from 'react-leaflet'
+import { useState, useEffect, useMemo, useRef } from 'react'
+import { MapContainer, Marker, Popup, Polygon, Polyline, Tooltip, useMap, useMapEvents } from 'react-leaflet'
 import 'leaflet/dist/leaflet.css'
 import './App.css'
-import { downloadText, downloadJSON, generateExportData, generateGridPoints } from './api/exportApi'
-
-// Helper function to calculate distance between two points in meters (Haversine formula)
-const calculateDistance = (lat1, lon1, lat2, lon2) => {
-  const R = 6371e3; // Earth radius in meters
-  const φ1 = lat1 * Math.PI / 180;
-  const φ2 = lat2 * Math.PI / 180;
-  const Δφ = (lat2 - lat1) * Math.PI / 180;
-  const Δλ = (lon2 - lon1) * Math.PI / 180;
-
-  const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-    Math.cos(φ1) * Math.cos(φ2) *
-    Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-
-  return R * c;
-}
+import { EXPORT_FORMATS } from './api/exportApi'
+import { exportArea } from './api/downloadApi'
+import { importFile } from './api/importApi'
+import { validateGeometry, ISSUE_COLORS } from './api/validationApi'
+import { computeAreaMetrics, computeCategoryAreas } from './api/metricsApi'
+import { MEASUREMENT_METHOD } from './api/geodesy'
+import { COORDINATE_FORMATS, formatCoordinateParts, parseCoordinate, getPreferredCoordinateFormat, setPreferredCoordinateFormat } from './api/coordinateFormats'
+import { DEFAULT_GRID_SETTINGS, normalizeGridSettings, resolveGridBearing } from './api/gridApi'
+import PolygonEditor from './components/PolygonEditor'
+import GridCanvasLayer from './components/GridCanvasLayer'
+import ValidationLayer from './components/ValidationLayer'
+import GridSettingsPanel from './components/GridSettingsPanel'
+import ProjectPanel from './components/ProjectPanel'
+import CoordinateEntryPanel from './components/CoordinateEntryPanel'
+import AreaList from './components/AreaList'
+import ShapeEditor from './components/ShapeEditor'
+import RestrictionList from './components/RestrictionList'
+import SimplifyPanel from './components/SimplifyPanel'
+import SearchBox from './components/SearchBox'
+import BasemapPanel from './components/BasemapPanel'
+import StoredTileLayer from './components/StoredTileLayer'
+import TrajectoryPanel from './components/TrajectoryPanel'
+import TrajectoryLayer from './components/TrajectoryLayer'
+import RoutePanel from './components/RoutePanel'
+import RouteLayer from './components/RouteLayer'
+import SurveyPanel from './components/SurveyPanel'
+import SharePanel from './components/SharePanel'
+import MeasurePanel from './components/MeasurePanel'
+import EdgeLabelLayer from './components/EdgeLabelLayer'
+import RulerLayer from './components/RulerLayer'
+import AnnotationLayer from './components/AnnotationLayer'
+import SnapControls from './components/SnapControls'
+import SnapHintLayer from './components/SnapHintLayer'
+import { snapEvent } from './components/snapping'
+import { useHistory } from './hooks/useHistory'
+import { useProjects } from './hooks/useProjects'
+import { useGridPoints } from './hooks/useGridPoints'
+import { useTilePackages } from './hooks/useTilePackages'
+import { useShareLink } from './hooks/useShareLink'
+import { useRoutePlanner } from './hooks/useRoutePlanner'
+import { DEFAULT_VIEW } from './api/projectStore'
+import { createPoint } from './api/pointIds'
+import { createArea, areasFromImport, createRestriction, restrictionFromShape, reshapeRestriction, appendRestrictions, restrictionRings, restrictionCategory, measurableAreas, RESTRICTION_CATEGORIES, DEFAULT_RESTRICTION_CATEGORY } from './api/areasApi'
+import { createGeocoder, getGeocoderSettings, setGeocoderSettings, normalizeGeocoderSettings, resolvePlaceNames } from './api/geocodingApi'
+import { getBasemapSettings, setBasemapSettings, normalizeBasemapSettings, availableSources, resolveBasemapLayers, storedPackageIds, pointsBBox } from './api/basemapsApi'
+import { parseTrajectoryFile, buildTrajectory, analyzeTrajectory, exportTrajectoryReport } from './api/trajectoryApi'
+import { getRouteSettings, setRouteSettings, routeDuration, exportRoute } from './api/routeApi'
+import { gridPointId, surveyGridKey, surveyEntries, pointSurvey, surveyStatus, surveyProgress, staleSurveyCount, updatePointSurvey } from './api/surveyApi'
+import { getDrawingSettings, setDrawingSettings, normalizeDrawingSettings, isVertexLimitReached } from './api/drawingSettings'
+import { RESTRICTION_TOOLS, DEFAULT_CORRIDOR_WIDTH, rectangleFromCorners, circleFromPoints, corridorFromLine, shapeRing } from './api/shapesApi'
+import { createAnnotation, measurePath, boundaryDistances } from './api/measureApi'
+import { snapOptions } from './api/snapApi'
 
-// Helper function to calculate polygon area in square meters
-const calculatePolygonArea = (points) => {
-  if (points.length < 3) return 0;
-  let area = 0;
-  const R = 6371e3; // Earth radius in meters
+const INITIAL_GEOMETRY = { areas: [createArea()], annotations: [], currentRestriction: [] }
 
-  for (let i = 0; i < points.length; i++) {
-    const p1 = points[i];
-    const p2 = points[(i + 1) % points.length];
+// Minimum pointer movement (screen pixels) between two traced vertices
+const TRACE_MIN_PIXELS = 6
 
-    const x1 = p1.lng * Math.PI / 180;
-    const y1 = p1.lat * Math.PI / 180;
-    const x2 = p2.lng * Math.PI / 180;
-    const y2 = p2.lat * Math.PI / 180;
-
-    area += (x2 - x1) * (2 + Math.sin(y1) + Math.sin(y2));
-  }
-  area = Math.abs(area * R * R / 2);
-  return area;
-}
-
-// Helper function to calculate perimeter in meters
-const calculatePerimeter = (points) => {
-  if (points.length < 2) return 0;
-  let perimeter = 0;
-  for (let i = 0; i < points.length - 1; i++) {
-    perimeter += calculateDistance(points[i].lat, points[i].lng, points[i + 1].lat, points[i + 1].lng);
-  }
-  // Close the loop if it's a polygon (3+ points)
-  if (points.length >= 3) {
-    perimeter += calculateDistance(points[points.length - 1].lat, points[points.length - 1].lng, points[0].lat, points[0].lng);
-  }
-  return perimeter;
-}
+const NO_POINTS = []
 
 // Component to handle map events and updates
-function MapController({ captureMode, restrictionMode, setCapturedPoints, setCurrentRestriction, mapCenter, capturedPoints, currentRestriction }) {
+function MapController({ captureMode, restrictionMode, measureTool, freehand, snapping, canAddVertex, setCapturedPoints, onRestrictionClick, onMeasureClick, onTracePoint, mapCenter, focusBounds, restoreView, onViewChange, currentRestriction }) {
   const map = useMap()
+  const lastTracePoint = useRef(null) // container point of the last traced vertex while the button is down
 
   // Handle Capture/Restriction Mode: Disable/Enable interactions
   useEffect(() => {
@@ -88,7 +96,7 @@ function MapController({ captureMode, restrictionMode, setCapturedPoints, setCur
       map.zoomControl.enable()
 
       if (map.tap) map.tap.enable()
-      map.getContainer().style.cursor = ''
+      map.getContainer().style.cursor = measureTool ? 'crosshair' : ''
 
       map.options.scrollWheelZoom = true
       map.options.doubleClickZoom = true
@@ -97,23 +105,55 @@ function MapController({ captureMode, restrictionMode, setCapturedPoints, setCur
     }
 
     map.invalidateSize()
-  }, [captureMode, restrictionMode, map])
+  }, [captureMode, restrictionMode, measureTool, map])
 
-  // Handle Map Clicks for Capture
+  // Handle Map Clicks for Capture, and pointer traces in freehand mode
   useMapEvents({
     click(e) {
-      if (captureMode && capturedPoints.length < 25) {
-        setCapturedPoints(prev => [...prev, { lat: e.latlng.lat, lng: e.latlng.lng, id: Date.now() }])
+      if (measureTool) {
+        onMeasureClick(e.latlng)
+        return
+      }
+      if (freehand) return
+      const { point } = snapEvent(map, e, snapping)
+      if (captureMode && canAddVertex) {
+        setCapturedPoints(prev => [...prev, createPoint(point.lat, point.lng)])
       } else if (restrictionMode) {
-        setCurrentRestriction(prev => [...prev, { lat: e.latlng.lat, lng: e.latlng.lng, id: Date.now() }])
+        onRestrictionClick(createPoint(point.lat, point.lng))
       }
     },
 
+    mousedown(e) {
+      if (!freehand) return
+      lastTracePoint.current = e.containerPoint
+      onTracePoint(createPoint(e.latlng.lat, e.latlng.lng), true)
+    },
+
+    mousemove(e) {
+      if (!freehand || !lastTracePoint.current) return
+      if (e.containerPoint.distanceTo(lastTracePoint.current) < TRACE_MIN_PIXELS) return
+      lastTracePoint.current = e.containerPoint
+      onTracePoint(createPoint(e.latlng.lat, e.latlng.lng), false)
+    },
+
+    mouseup() {
+      lastTracePoint.current = null
+    },
+
+    mouseout() {
+      lastTracePoint.current = null
+    },
+
     wheel(e) {
       if (captureMode || restrictionMode) {
         e.originalEvent.preventDefault()
         return false
       }
+    },
+
+    moveend() {
+      const center = map.getCenter()
+      onViewChange({ center: [center.lat, center.lng], zoom: map.getZoom() })
     }
   })
 
@@ -124,97 +164,552 @@ function MapController({ captureMode, restrictionMode, setCapturedPoints, setCur
     }
   }, [mapCenter, map]) // captureMode/restrictionMode removed from deps to avoid re-fly on toggle
 
+  // Restore a saved view (project switch)
+  useEffect(() => {
+    if (restoreView) {
+      map.setView(restoreView.center, restoreView.zoom)
+    }
+  }, [restoreView, map])
+
+  // Zoom to imported geometry
+  useEffect(() => {
+    if (focusBounds) {
+      map.fitBounds(focusBounds, { padding: [40, 40] })
+    }
+  }, [focusBounds, map])
+
   return null
 }
 
 function App() {
-  const [searchQuery, setSearchQuery] = useState('')
+  const [geocoderSettings, setGeocoderSettingsState] = useState(getGeocoderSettings)
+  const geocoder = useMemo(() => createGeocoder(geocoderSettings), [geocoderSettings])
+  const [basemapSettings, setBasemapSettingsState] = useState(getBasemapSettings)
+  const [showBasemapPanel, setShowBasemapPanel] = useState(false)
+  const tilePackages = useTilePackages()
   const [captureMode, setCaptureMode] = useState(false)
-  const [capturedPoints, setCapturedPoints] = useState([])
   const [mapCenter, setMapCenter] = useState([51.505, -0.09])
+  const [focusBounds, setFocusBounds] = useState(null)
+  const [mapView, setMapView] = useState(DEFAULT_VIEW)
+  const [restoreView, setRestoreView] = useState(null)
 
-  // Restriction state
+  // Geometry state (areas with their restrictions, restriction in progress) with undo/redo
+  const {
+    state: geometry,
+    set: setGeometry,
+    reset: resetGeometry,
+    undo,
+    redo,
+    canUndo,
+    canRedo
+  } = useHistory(INITIAL_GEOMETRY)
+  const { areas, annotations, currentRestriction } = geometry
+
+  // The area being edited; capture, restrictions and vertex editing apply to it
+  const [activeAreaId, setActiveAreaId] = useState(null)
+  const activeArea = areas.find(area => area.id === activeAreaId) || areas[0]
+  const { points: capturedPoints, restrictions } = activeArea // restrictions: [{ id, name, category, notes, points, shape }]
+  const activeRings = useMemo(() => restrictionRings(restrictions), [restrictions])
+
+  // Setter for a single geometry field; accepts a value or an updater like useState
+  const geometrySetter = (key) => (updater, options) => setGeometry(prev => ({
+    ...prev,
+    [key]: typeof updater === 'function' ? updater(prev[key]) : updater
+  }), options)
+  const setCurrentRestriction = geometrySetter('currentRestriction')
+  const setAnnotations = geometrySetter('annotations')
+
+  // Same for a field of the active area
+  const areaSetter = (key) => (updater, options) => setGeometry(prev => ({
+    ...prev,
+    areas: prev.areas.map(area => area.id === activeArea.id
+      ? { ...area, [key]: typeof updater === 'function' ? updater(area[key]) : updater }
+      : area)
+  }), options)
+  const setCapturedPoints = areaSetter('points')
+  const setRestrictions = areaSetter('restrictions')
+
+  // Restriction state: drawing tool (polygon, rectangle, circle, corridor)
   const [restrictionMode, setRestrictionMode] = useState(false)
-  const [restrictions, setRestrictions] = useState([]) // Array of arrays of points
-  const [currentRestriction, setCurrentRestriction] = useState([])
+  const [restrictionTool, setRestrictionTool] = useState('polygon')
+  const [corridorWidth, setCorridorWidth] = useState(DEFAULT_CORRIDOR_WIDTH)
+  const [newRestrictionCategory, setNewRestrictionCategory] = useState(DEFAULT_RESTRICTION_CATEGORY)
+
+  // Freehand tracing and drawing preferences (vertex limit, simplify tolerance, snapping)
+  const [freehandMode, setFreehandMode] = useState(false)
+  const [drawingSettings, setDrawingSettingsState] = useState(getDrawingSettings) // raw form values
+  const normalizedDrawingSettings = normalizeDrawingSettings(drawingSettings)
+  const { vertexLimit, edgeLabels } = normalizedDrawingSettings
+
+  // Vertex edit mode (drag / insert / delete on existing polygons)
+  const [editMode, setEditMode] = useState(false)
 
   // Grid Visualization State
   const [showGrid, setShowGrid] = useState(false)
-  const [visibleGridPoints, setVisibleGridPoints] = useState([])
-  const [isCalculating, setIsCalculating] = useState(false)
+  const [gridSettings, setGridSettings] = useState(DEFAULT_GRID_SETTINGS) // raw form values
+  const normalizedGridSettings = useMemo(() => normalizeGridSettings(gridSettings), [gridSettings])
 
-  // Calculate grid points when needed
-  useEffect(() => {
-    if (showGrid && capturedPoints.length >= 3) {
-      setIsCalculating(true)
-      // Small timeout to allow UI to render loading state
-      setTimeout(() => {
-        const points = generateGridPoints(capturedPoints, restrictions, 5) // 5 meters resolution
-        setVisibleGridPoints(points)
-        setIsCalculating(false)
-      }, 100)
-    } else {
-      setVisibleGridPoints([])
+  // Export / Import State
+  const [exportFormat, setExportFormat] = useState('txt')
+  const [isExporting, setIsExporting] = useState(false)
+  const [exportError, setExportError] = useState(null)
+  const [coordinateFormat, setCoordinateFormat] = useState(getPreferredCoordinateFormat)
+  const [importReport, setImportReport] = useState(null)
+  const [showCoordinateEntry, setShowCoordinateEntry] = useState(false)
+
+  // Project persistence (IndexedDB autosave)
+  const projectState = useMemo(() => ({
+    geometry: { areas, annotations },
+    view: mapView,
+    grid: { showGrid, ...normalizedGridSettings }
+  }), [areas, annotations, mapView, showGrid, normalizedGridSettings])
+
+  const applyProject = (project) => {
+    resetGeometry({
+      areas: project.geometry.areas,
+      annotations: project.geometry.annotations,
+      currentRestriction: []
+    })
+    setActiveAreaId(project.geometry.areas[0].id)
+    setShowGrid(project.grid.showGrid)
+    setGridSettings(normalizeGridSettings(project.grid))
+    setMapView(project.view)
+    setRestoreView(project.view)
+    setCaptureMode(false)
+    setRestrictionMode(false)
+    setEditMode(false)
+  }
+
+  const projectStore = useProjects(projectState, applyProject)
+  const shareLink = useShareLink(projectStore.openShared)
+
+  // Calculate grid points of the visible areas when needed (Web Worker)
+  const visibleAreas = useMemo(() => areas.filter(area => area.visible), [areas])
+  const gridAreas = useMemo(
+    () => visibleAreas.map(area => ({ id: area.id, points: area.points, restrictions: restrictionRings(area.restrictions) })),
+    [visibleAreas]
+  )
+  const {
+    pointsByArea: gridPointsByArea,
+    isCalculating,
+    progress: gridProgress
+  } = useGridPoints(showGrid, gridAreas, normalizedGridSettings)
+
+  // Survey status of the grid points, recorded on each area for the grid it was
+  // generated from (see surveyApi); a click on a grid point selects it
+  const [selectedGridPoint, setSelectedGridPoint] = useState(null) // { areaId, id }
+  const surveyKeys = useMemo(
+    () => new Map(gridAreas.map(area => [area.id, surveyGridKey(area.points, area.restrictions, normalizedGridSettings)])),
+    [gridAreas, normalizedGridSettings]
+  )
+  const surveyColorsByArea = useMemo(() => {
+    const byArea = {}
+    visibleAreas.forEach(area => {
+      const entries = surveyEntries(area.survey, surveyKeys.get(area.id))
+      const grid = gridPointsByArea[area.id]
+      if (grid?.length > 0 && Object.keys(entries).length > 0) {
+        byArea[area.id] = grid.map(point => surveyStatus(pointSurvey(entries, point).status).color)
+      }
+    })
+    return byArea
+  }, [visibleAreas, surveyKeys, gridPointsByArea])
+
+  const activeSurveyKey = surveyKeys.get(activeArea.id)
+  const activeSurveyEntries = surveyEntries(activeArea.survey, activeSurveyKey)
+  const expectedPoints = gridPointsByArea[activeArea.id] || NO_POINTS
+  const surveyProgressCounts = useMemo(() => surveyProgress(expectedPoints, activeSurveyEntries), [expectedPoints, activeSurveyEntries])
+  const selectedGridIndex = useMemo(
+    () => (selectedGridPoint ? (gridPointsByArea[selectedGridPoint.areaId] || NO_POINTS).findIndex(point => gridPointId(point) === selectedGridPoint.id) : -1),
+    [selectedGridPoint, gridPointsByArea]
+  )
+  const selectedSurveyPoint = selectedGridPoint?.areaId === activeArea.id && selectedGridIndex >= 0
+    ? { id: selectedGridPoint.id, point: expectedPoints[selectedGridIndex], entry: pointSurvey(activeSurveyEntries, expectedPoints[selectedGridIndex]) }
+    : null
+
+  const selectGridPoint = (areaId, index) => {
+    setActiveAreaId(areaId)
+    setSelectedGridPoint({ areaId, id: gridPointId(gridPointsByArea[areaId][index]) })
+  }
+
+  const changeSelectedSurvey = (changes) => {
+    const { areaId, id } = selectedGridPoint
+    const gridKey = surveyKeys.get(areaId)
+    setGeometry(prev => ({
+      ...prev,
+      areas: prev.areas.map(area => area.id === areaId ? { ...area, survey: updatePointSurvey(area.survey, gridKey, id, changes) } : area)
+    }))
+  }
+
+  // Recorded PDR trajectory, analysed against the active area and its grid
+  const [trajectoryFile, setTrajectoryFile] = useState(null)
+  const [trajectoryStart, setTrajectoryStart] = useState('')
+  const [trajectoryLoadError, setTrajectoryLoadError] = useState(null)
+  const [showTrajectoryPanel, setShowTrajectoryPanel] = useState(false)
+
+  const { trajectory, error: trajectoryBuildError } = useMemo(() => {
+    if (!trajectoryFile) return { trajectory: null, error: null }
+    const start = trajectoryStart.trim() ? parseCoordinate(trajectoryStart) : null
+    if (trajectoryStart.trim() && !start) return { trajectory: null, error: 'Punto de inicio no válido' }
+    try {
+      return { trajectory: buildTrajectory(trajectoryFile, start), error: null }
+    } catch (err) {
+      return { trajectory: null, error: err.message }
+    }
+  }, [trajectoryFile, trajectoryStart])
+
+  const trajectoryAnalysis = useMemo(
+    () => trajectory && analyzeTrajectory(trajectory.points, { areaPoints: capturedPoints, restrictions: activeRings, expectedPoints }),
+    [trajectory, capturedPoints, activeRings, expectedPoints]
+  )
+
+  // Survey route through the active area's grid, planned in a Web Worker; it is
+  // dropped as soon as that grid is recalculated (it refers to grid points by index)
+  const [routeSettings, setRouteSettingsState] = useState(getRouteSettings) // raw form values
+  const routePlanner = useRoutePlanner(expectedPoints)
+  const plannedRoute = routePlanner.planned
+  const route = plannedRoute && plannedRoute.areaId === activeArea.id && plannedRoute.gridPoints === expectedPoints
+    ? plannedRoute.route
+    : null
+
+  const changeRouteSettings = (changes) => {
+    const next = { ...routeSettings, ...changes }
+    setRouteSettingsState(next)
+    setRouteSettings(next)
+  }
+
+  const generateRoute = () => {
+    routePlanner.plan({
+      areaId: activeArea.id,
+      areaPoints: capturedPoints,
+      restrictions: activeRings,
+      gridSettings: normalizedGridSettings,
+      settings: routeSettings
+    })
+  }
+
+  // Measurement tools (see MeasurePanel): the ruler path is a throwaway
+  // measurement, annotations are session geometry (saved, undoable, exported).
+  // Map clicks go to the tool only outside capture, restriction and edit modes.
+  const [showMeasurePanel, setShowMeasurePanel] = useState(false)
+  const [measureTool, setMeasureTool] = useState(null) // null | 'ruler' | 'annotation'
+  const [rulerPoints, setRulerPoints] = useState([])
+  const [newAnnotationId, setNewAnnotationId] = useState(null) // focused for typing its text
+  const activeMeasureTool = showMeasurePanel && !captureMode && !restrictionMode && !editMode ? measureTool : null
+  const ruler = useMemo(() => measurePath(rulerPoints), [rulerPoints])
+
+  const handleMeasureClick = ({ lat, lng }) => {
+    if (activeMeasureTool === 'ruler') {
+      setRulerPoints(prev => [...prev, { lat, lng }])
+    } else if (activeMeasureTool === 'annotation') {
+      const annotation = createAnnotation({ lat, lng })
+      setAnnotations(prev => [...prev, annotation])
+      setNewAnnotationId(annotation.id)
+    }
+  }
+
+  const updateAnnotation = (id, changes) => {
+    setAnnotations(prev => prev.map(annotation => annotation.id === id ? { ...annotation, ...changes } : annotation))
+  }
+
+  const closeMeasurePanel = () => {
+    setShowMeasurePanel(false)
+    setMeasureTool(null)
+    setRulerPoints([])
+  }
+
+  const loadTrajectory = async (file) => {
+    try {
+      setTrajectoryFile(parseTrajectoryFile(await file.text(), file.name))
+      setTrajectoryLoadError(null)
+    } catch (err) {
+      console.error('Error reading trajectory:', err)
+      setTrajectoryFile(null)
+      setTrajectoryLoadError(err.message)
     }
-  }, [showGrid, capturedPoints, restrictions])
+  }
 
   const removePoint = (id) => {
     setCapturedPoints(prev => prev.filter(point => point.id !== id))
   }
 
+  // Clears the active area (vertices and restrictions); other areas are kept
   const clearAllPoints = () => {
-    setCapturedPoints([])
-    setRestrictions([])
-    setCurrentRestriction([])
+    setGeometry(prev => ({
+      ...prev,
+      areas: prev.areas.map(area => area.id === activeArea.id ? { ...area, points: [], restrictions: [], survey: null } : area),
+      currentRestriction: []
+    }))
   }
 
-  const handleExportText = () => {
-    if (capturedPoints.length === 0) return
-    downloadText(capturedPoints, restrictions)
+  // Area management
+  const selectArea = (id) => {
+    if (id === activeArea.id) return
+    setActiveAreaId(id)
+    setCaptureMode(false)
+    setRestrictionMode(false)
+    setEditMode(false)
+    if (currentRestriction.length > 0) setCurrentRestriction([], { record: false })
   }
 
-  const handleExportJSON = () => {
-    if (capturedPoints.length === 0) return
-    const data = generateExportData(capturedPoints, restrictions)
-    downloadJSON(data)
+  const addArea = () => {
+    const area = createArea(areas)
+    setGeometry(prev => ({ ...prev, areas: [...prev.areas, area], currentRestriction: [] }))
+    setActiveAreaId(area.id)
+    setCaptureMode(true)
+    setRestrictionMode(false)
+    setEditMode(false)
   }
 
-  const handleSearch = async (e) => {
-    e.preventDefault()
-    if (!searchQuery) return
+  const updateArea = (id, changes) => {
+    setGeometry(prev => ({
+      ...prev,
+      areas: prev.areas.map(area => area.id === id ? { ...area, ...changes } : area)
+    }))
+  }
 
+  const deleteArea = (id) => {
+    const replacement = createArea() // there is always at least one area
+    setGeometry(prev => {
+      const remaining = prev.areas.filter(area => area.id !== id)
+      return { ...prev, areas: remaining.length > 0 ? remaining : [replacement], currentRestriction: [] }
+    })
+    if (id === activeArea.id) {
+      setCaptureMode(false)
+      setRestrictionMode(false)
+      setEditMode(false)
+    }
+  }
+
+  // Keyboard shortcuts: Ctrl+Z undo, Ctrl+Shift+Z / Ctrl+Y redo
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return
+
+      const key = e.key.toLowerCase()
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault()
+        undo()
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault()
+        redo()
+      }
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [undo, redo])
+
+  // Exports include the place name of each area's centroid when the geocoder can resolve it
+  const handleExport = async () => {
+    const exportable = areas.filter(area => area.points.length > 0)
+    if (exportable.length === 0) return
+    setIsExporting(true)
     try {
-      const response = await fetch(`https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(searchQuery)}`)
-      const data = await response.json()
-      if (data && data.length > 0) {
-        const { lat, lon } = data[0]
-        setMapCenter([parseFloat(lat), parseFloat(lon)])
-      } else {
-        alert('Location not found')
+      setExportError(null)
+      const placeNames = await resolvePlaceNames(exportable, geocoder)
+      exportArea(
+        exportFormat,
+        exportable.map(area => ({ ...area, placeName: placeNames.get(area.id) || null })),
+        normalizedGridSettings,
+        { coordinateFormat, project: projectStore.activeProject, annotations }
+      )
+    } catch (err) {
+      console.error('Error exporting:', err)
+      setExportError(err.message)
+    } finally {
+      setIsExporting(false)
+    }
+  }
+
+  const changeCoordinateFormat = (format) => {
+    setCoordinateFormat(format)
+    setPreferredCoordinateFormat(format)
+  }
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = '' // allow re-importing the same file
+    if (!file) return
+
+    try {
+      const result = await importFile(file)
+
+      if (result.areas.length === 0 && capturedPoints.length < 3) {
+        setImportReport({ fileName: file.name, error: 'No se encontró ningún polígono para el área principal', skipped: result.skipped })
+        return
       }
+
+      // Areas in the file become new areas (replacing empty ones); restrictions
+      // found without an area go to the active area
+      const imported = areasFromImport(result, areas)
+
+      setGeometry(prev => ({
+        areas: imported.length > 0
+          ? [...prev.areas.filter(area => area.points.length > 0), ...imported]
+          : prev.areas.map(area => area.id === activeArea.id
+            ? { ...area, restrictions: appendRestrictions(area.restrictions, result.restrictions) }
+            : area),
+        annotations: [...prev.annotations, ...result.annotations],
+        currentRestriction: []
+      }))
+      if (imported.length > 0) setActiveAreaId(imported[0].id)
+      setCaptureMode(false)
+      setRestrictionMode(false)
+      const focusPoints = imported.length > 0 ? imported.flatMap(area => area.points) : capturedPoints
+      setFocusBounds(focusPoints.map(p => [p.lat, p.lng]))
+      setImportReport({
+        fileName: file.name,
+        areaCount: imported.length,
+        restrictionCount: result.restrictions.length + result.areas.reduce((sum, area) => sum + area.restrictions.length, 0),
+        annotationCount: result.annotations.length,
+        skipped: result.skipped
+      })
     } catch (error) {
-      console.error('Error searching location:', error)
-      alert('Error searching location')
+      console.error('Error importing file:', error)
+      setImportReport({ fileName: file.name, error: error.message, skipped: [] })
+    }
+  }
+
+  // Vertices typed or pasted in the coordinate panel (a single undo step)
+  const handleCoordinateEntry = (target, points) => {
+    const vertices = points.map(p => createPoint(p.lat, p.lng))
+    if (target === 'new-area') {
+      const area = createArea(areas, { points: vertices })
+      setGeometry(prev => ({ ...prev, areas: [...prev.areas, area] }))
+      setActiveAreaId(area.id)
+    } else if (target === 'area') {
+      setCapturedPoints(vertices)
+    } else {
+      setRestrictions(prev => appendRestrictions(prev, [createRestriction(vertices)]))
+    }
+    setFocusBounds(vertices.map(p => [p.lat, p.lng]))
+    setShowCoordinateEntry(false)
+  }
+
+  // Search result: zoom to its bounds when the provider gives them
+  const handleSearchSelect = (result) => {
+    if (result.bounds) {
+      setFocusBounds(result.bounds)
+    } else {
+      setMapCenter([result.lat, result.lng])
     }
   }
 
-  const mainArea = calculatePolygonArea(capturedPoints);
-  const restrictionArea = restrictions.reduce((acc, points) => acc + calculatePolygonArea(points), 0);
-  const totalArea = Math.max(0, mainArea - restrictionArea);
+  const changeGeocoderSettings = (settings) => {
+    setGeocoderSettingsState(normalizeGeocoderSettings(settings))
+    setGeocoderSettings(settings)
+  }
 
-  const perimeter = calculatePerimeter(capturedPoints);
+  const changeBasemapSettings = (changes) => {
+    const next = normalizeBasemapSettings({ ...basemapSettings, ...changes })
+    setBasemapSettingsState(next)
+    setBasemapSettings(next)
+  }
+
+  const basemapSources = useMemo(
+    () => availableSources(basemapSettings.customSources, tilePackages.packages),
+    [basemapSettings.customSources, tilePackages.packages]
+  )
+  const basemapLayers = resolveBasemapLayers(basemapSettings, basemapSources)
+
+  // Validation and clipped geometry: only the union of the restrictions that
+  // overlaps the area is subtracted, and a self-intersecting area is normalized
+  const validationIssues = useMemo(() => validateGeometry(capturedPoints, restrictions), [capturedPoints, restrictions])
+  const metricsById = useMemo(
+    () => new Map(areas.map(area => [area.id, computeAreaMetrics(area.points, restrictionRings(area.restrictions))])),
+    [areas]
+  )
+  const { netArea: totalArea, restrictedArea: restrictionArea, perimeter } = metricsById.get(activeArea.id)
+  const categoryAreas = useMemo(() => computeCategoryAreas(capturedPoints, restrictions), [capturedPoints, restrictions])
+  const restrictionIssueIndices = new Set(validationIssues
+    .filter(issue => issue.target.kind === 'restriction')
+    .flatMap(issue => [issue.target.index, issue.target.other]))
+  const measuredAreas = measurableAreas(areas)
+  const sessionNetArea = measuredAreas.reduce((sum, area) => sum + metricsById.get(area.id).netArea, 0)
+
+  // Adds a finished restriction to the active area and clears the one in progress (a single undo step)
+  const saveRestriction = (restriction) => {
+    setGeometry(prev => ({
+      ...prev,
+      areas: restriction
+        ? prev.areas.map(area => area.id === activeArea.id
+          ? { ...area, restrictions: appendRestrictions(area.restrictions, [restriction]) }
+          : area)
+        : prev.areas,
+      currentRestriction: []
+    }))
+  }
+
+  // Map click in restriction mode. Rectangles (two opposite corners) and
+  // circles (centre, then a point on the edge) finish on the second click;
+  // polygons and corridor lines collect points until "Terminar Restricción"
+  const handleRestrictionClick = (point) => {
+    if ((restrictionTool === 'rectangle' || restrictionTool === 'circle') && currentRestriction.length === 1) {
+      const shape = restrictionTool === 'rectangle'
+        ? rectangleFromCorners(currentRestriction[0], point)
+        : circleFromPoints(currentRestriction[0], point)
+      if (shape.width === 0 || shape.height === 0 || shape.radius === 0) return
+      saveRestriction(restrictionFromShape(shape, { category: newRestrictionCategory }))
+      return
+    }
+    setCurrentRestriction(prev => [...prev, point])
+  }
+
+  // Freehand works for the area and for the point-by-point restriction tools
+  const freehand = freehandMode && (captureMode || (restrictionMode && (restrictionTool === 'polygon' || restrictionTool === 'corridor')))
+
+  // A traced vertex; a whole stroke is a single undo step
+  const handleTracePoint = (point, isFirst) => {
+    const options = { record: isFirst }
+    if (captureMode) {
+      setCapturedPoints(prev => isVertexLimitReached(prev.length, vertexLimit) ? prev : [...prev, point], options)
+    } else if (restrictionMode) {
+      setCurrentRestriction(prev => [...prev, point], options)
+    }
+  }
+
+  const changeDrawingSettings = (changes) => {
+    const next = { ...drawingSettings, ...changes }
+    setDrawingSettingsState(next)
+    setDrawingSettings(next)
+  }
+
+  // Simplified ring of the active area ('area') or of one of its restrictions (by ID)
+  const applySimplification = (targetId, points) => {
+    if (targetId === 'area') {
+      setCapturedPoints(points)
+    } else {
+      setRestrictions(prev => prev.map(res => res.id === targetId ? { ...res, points } : res))
+    }
+  }
+
+  const changeRestrictionTool = (tool) => {
+    setRestrictionTool(tool)
+    if (currentRestriction.length > 0) setCurrentRestriction([], { record: false })
+  }
+
+  // Restriction in progress as a finished restriction, or null when it is incomplete
+  const pendingRestriction = () => {
+    if (restrictionTool === 'corridor') {
+      return currentRestriction.length >= 2
+        ? restrictionFromShape(corridorFromLine(currentRestriction, corridorWidth), { category: newRestrictionCategory })
+        : null
+    }
+    if (restrictionTool === 'polygon') {
+      return currentRestriction.length >= 3 ? createRestriction(currentRestriction, null, { category: newRestrictionCategory }) : null
+    }
+    return null
+  }
 
   const toggleRestrictionMode = () => {
     if (restrictionMode) {
-      // Save current restriction if valid
-      if (currentRestriction.length >= 3) {
-        setRestrictions(prev => [...prev, currentRestriction])
-      }
-      setCurrentRestriction([])
+      // Save current restriction on the active area if valid
+      saveRestriction(pendingRestriction())
       setRestrictionMode(false)
     } else {
       setRestrictionMode(true)
       setCaptureMode(false) // Ensure capture mode is off
+      setEditMode(false)
     }
   }
 
@@ -224,18 +719,123 @@ function App() {
     } else {
       setCaptureMode(true)
       setRestrictionMode(false) // Ensure restriction mode is off
+      setEditMode(false)
     }
   }
 
+  const toggleEditMode = () => {
+    if (!editMode) {
+      setCaptureMode(false)
+      setRestrictionMode(false)
+      if (currentRestriction.length > 0) setCurrentRestriction([])
+    }
+    setEditMode(!editMode)
+  }
+
+  const updateRestriction = (index, points, options) => {
+    setRestrictions(prev => prev.map((res, i) => i === index ? { ...res, points } : res), options)
+  }
+
+  // New shape parameters: the polygon is regenerated and the restriction keeps its ID
+  const updateRestrictionShape = (index, shape, options) => {
+    setRestrictions(prev => prev.map((res, i) => i === index ? reshapeRestriction(res, shape) : res), options)
+  }
+
+  // Name, category or notes
+  const updateRestrictionAttributes = (index, changes) => {
+    setRestrictions(prev => prev.map((res, i) => i === index ? { ...res, ...changes } : res))
+  }
+
+  const commitShapeParameter = (index, key, value) => {
+    const number = Number(value)
+    const shape = restrictions[index].shape
+    if (!Number.isFinite(number) || (key !== 'rotation' && number <= 0) || number === shape[key]) return
+    updateRestrictionShape(index, { ...shape, [key]: number })
+  }
+
+  const drawingColor = restrictionCategory(newRestrictionCategory).color
+
+  // Length and bearing labels of the active area, its restrictions and the
+  // restriction being drawn
+  const edgeLabelRings = useMemo(() => edgeLabels ? [
+    { key: activeArea.id, points: capturedPoints, color: activeArea.color },
+    ...restrictions.map(res => ({ key: res.id, points: res.points, color: restrictionCategory(res.category).color })),
+    { key: 'drawing', points: currentRestriction, closed: false, color: drawingColor }
+  ] : [], [edgeLabels, activeArea.id, activeArea.color, capturedPoints, restrictions, currentRestriction, drawingColor])
+
+  // Snapping of the clicks that place vertices (see snapApi): to the visible
+  // areas and their restrictions, and to the ring being drawn itself; the
+  // metric grid starts at the first vertex of the area
+  const drawnPoints = captureMode ? capturedPoints : currentRestriction
+  const activeSnapOptions = snapOptions(normalizedDrawingSettings)
+  const snapping = (captureMode || restrictionMode) && !freehand && Object.values(activeSnapOptions).some(Boolean) ? {
+    targets: [
+      ...visibleAreas.flatMap(area => [
+        ...(captureMode && area.id === activeArea.id ? [] : [{ points: area.points, closed: true }]),
+        ...area.restrictions.map(res => ({ points: res.points, closed: true }))
+      ]),
+      { points: drawnPoints, closed: false }
+    ],
+    previous: drawnPoints,
+    gridOrigin: capturedPoints[0] || null,
+    tolerance: normalizedDrawingSettings.snapTolerance,
+    options: activeSnapOptions
+  } : null
+
+  // Live outline of a corridor being drawn
+  const corridorPreview = restrictionMode && restrictionTool === 'corridor' && currentRestriction.length >= 2
+    ? shapeRing(corridorFromLine(currentRestriction, corridorWidth))
+    : null
+
   return (
     <div className="app-container">
-      {/* Sidebar for captured points */}
-      {capturedPoints.length > 0 && (
+      {/* Sidebar for areas and captured points */}
+      {(areas.length > 1 || capturedPoints.length > 0) && (
         <div className="sidebar">
-          <div className="sidebar-header">
-            <h3>Puntos Capturados ({capturedPoints.length}/25)</h3>
+          <AreaList
+            areas={areas}
+            activeAreaId={activeArea.id}
+            metricsById={metricsById}
+            onSelect={selectArea}
+            onAdd={addArea}
+            onUpdate={updateArea}
+            onDelete={deleteArea}
+          />
+          <div className="sidebar-header" style={{ background: `linear-gradient(135deg, ${activeArea.color} 0%, #2c3e50 100%)` }}>
+            <h3>{activeArea.name} ({capturedPoints.length}{vertexLimit > 0 && `/${vertexLimit}`})</h3>
             <button onClick={clearAllPoints} className="clear-button">Limpiar Todo</button>
           </div>
+          <div className="coordinate-format-row">
+            <label htmlFor="coordinateFormat">Coordenadas</label>
+            <select id="coordinateFormat" value={coordinateFormat} onChange={(e) => changeCoordinateFormat(e.target.value)}>
+              {COORDINATE_FORMATS.map(format => (
+                <option key={format.id} value={format.id}>{format.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="coordinate-format-row">
+            <label htmlFor="vertexLimit">Límite de vértices</label>
+            <input
+              id="vertexLimit"
+              type="number"
+              min="0"
+              step="1"
+              placeholder="Sin límite"
+              value={drawingSettings.vertexLimit || ''}
+              onChange={(e) => changeDrawingSettings({ vertexLimit: e.target.value })}
+            />
+          </div>
+          {capturedPoints.length > 3 && !captureMode && !restrictionMode && (
+            <SimplifyPanel
+              targets={[
+                { id: 'area', label: activeArea.name, points: capturedPoints },
+                ...restrictions.filter(res => !res.shape && res.points.length > 3).map(res => ({ id: res.id, label: res.name, points: res.points }))
+              ]}
+              tolerance={drawingSettings.simplifyTolerance}
+              onToleranceChange={(value) => changeDrawingSettings({ simplifyTolerance: value })}
+              onApply={applySimplification}
+            />
+          )}
           <div className="points-list">
             {capturedPoints.map((point, index) => (
               <div key={point.id} className="point-item">
@@ -244,14 +844,12 @@ function App() {
                   <button onClick={() => removePoint(point.id)} className="remove-button">×</button>
                 </div>
                 <div className="point-coords">
-                  <div className="coord-row">
-                    <span className="coord-label">Lat:</span>
-                    <span className="coord-value">{point.lat.toFixed(6)}</span>
-                  </div>
-                  <div className="coord-row">
-                    <span className="coord-label">Lng:</span>
-                    <span className="coord-value">{point.lng.toFixed(6)}</span>
-                  </div>
+                  {formatCoordinateParts(point, coordinateFormat).map(part => (
+                    <div key={part.label} className="coord-row">
+                      <span className="coord-label">{part.label}:</span>
+                      <span className="coord-value">{part.value}</span>
+                    </div>
+                  ))}
                 </div>
               </div>
             ))}
@@ -259,40 +857,47 @@ function App() {
 
           {/* Restrictions List in Sidebar */}
           {restrictions.length > 0 && (
-            <div className="restrictions-list-section">
-              <div className="sidebar-header" style={{ marginTop: '20px', background: 'linear-gradient(135deg, #c0392b 0%, #8e44ad 100%)' }}>
-                <h3>Restricciones ({restrictions.length})</h3>
-                <button onClick={() => setRestrictions([])} className="clear-button">Limpiar</button>
+            <RestrictionList
+              restrictions={restrictions}
+              categoryAreas={categoryAreas}
+              issueIndices={restrictionIssueIndices}
+              onUpdate={updateRestrictionAttributes}
+              onShapeParameter={commitShapeParameter}
+              onDelete={(index) => setRestrictions(prev => prev.filter((_, i) => i !== index))}
+              onClear={() => setRestrictions([])}
+            />
+          )}
+
+          {/* Validation Issues */}
+          {validationIssues.length > 0 && (
+            <div className="validation-section">
+              <div className="sidebar-header" style={{ background: 'linear-gradient(135deg, #e67e22 0%, #c0392b 100%)' }}>
+                <h3>⚠️ Validación ({validationIssues.length})</h3>
               </div>
-              <div className="points-list" style={{ maxHeight: '200px' }}>
-                {restrictions.map((res, i) => (
-                  <div key={i} className="point-item restriction-item">
-                    <div className="point-header">
-                      <span className="point-number" style={{ color: '#e74c3c' }}>Restricción {i + 1}</span>
-                      <button onClick={() => setRestrictions(prev => prev.filter((_, idx) => idx !== i))} className="remove-button">×</button>
-                    </div>
-                    <div className="coord-row">
-                      <span className="coord-label">Área:</span>
-                      <span className="coord-value">{calculatePolygonArea(res).toLocaleString(undefined, { maximumFractionDigits: 2 })} m²</span>
-                    </div>
-                  </div>
+              <ul className="validation-list">
+                {validationIssues.map((issue, i) => (
+                  <li key={i} style={{ borderLeftColor: ISSUE_COLORS[issue.type] }}>{issue.message}</li>
                 ))}
-              </div>
+              </ul>
             </div>
           )}
 
           {!captureMode && !restrictionMode && (
             <div className="sidebar-footer">
               <div className="export-buttons">
-                <button onClick={handleExportText} className="export-button">
-                  � Reporte (TXT)
-                </button>
-                <button onClick={handleExportJSON} className="export-button" style={{ marginTop: '10px', backgroundColor: '#8e44ad' }}>
-                  ⚙️ API Data (JSON)
-                </button>
-                <button onClick={handleExportJSON} className="export-button" style={{ marginTop: '10px', backgroundColor: '#8e44ad' }}>
-                  ⚙️ API Data (JSON)
+                <select
+                  value={exportFormat}
+                  onChange={(e) => setExportFormat(e.target.value)}
+                  className="export-select"
+                >
+                  {EXPORT_FORMATS.map(format => (
+                    <option key={format.id} value={format.id}>{format.label}</option>
+                  ))}
+                </select>
+                <button onClick={handleExport} disabled={isExporting} className="export-button" style={{ marginTop: '10px' }}>
+                  {isExporting ? 'Exportando…' : '⬇️ Exportar'}
                 </button>
+                {exportError && <p className="import-report-error" style={{ margin: '10px 0 0' }}>No se pudo exportar: {exportError}</p>}
                 <div style={{ marginTop: '10px', display: 'flex', alignItems: 'center', gap: '8px', padding: '8px', background: '#f8f9fa', borderRadius: '8px' }}>
                   <input
                     type="checkbox"
@@ -305,6 +910,40 @@ function App() {
                     Visualizar Puntos Internos
                   </label>
                 </div>
+                {showGrid && (
+                  <GridSettingsPanel
+                    settings={gridSettings}
+                    onChange={setGridSettings}
+                    effectiveBearing={resolveGridBearing(capturedPoints, normalizedGridSettings)}
+                  />
+                )}
+                {showGrid && !isCalculating && expectedPoints.length > 0 && (
+                  <SurveyPanel
+                    progress={surveyProgressCounts}
+                    staleCount={staleSurveyCount(activeArea.survey, activeSurveyKey)}
+                    selected={selectedSurveyPoint}
+                    onChange={changeSelectedSurvey}
+                    onDeselect={() => setSelectedGridPoint(null)}
+                    distances={selectedSurveyPoint && boundaryDistances(selectedSurveyPoint.point, capturedPoints, activeRings)}
+                    coordinateFormat={coordinateFormat}
+                  />
+                )}
+                {showGrid && !isCalculating && (
+                  <RoutePanel
+                    settings={routeSettings}
+                    onChange={changeRouteSettings}
+                    route={route}
+                    duration={route ? routeDuration(route, routeSettings) : 0}
+                    pointCount={expectedPoints.length}
+                    onGenerate={generateRoute}
+                    planning={routePlanner.isPlanning}
+                    progress={routePlanner.progress}
+                    error={routePlanner.error}
+                    onCancel={routePlanner.cancel}
+                    onExport={(format) => exportRoute(format, route, expectedPoints, activeArea.name, routeSettings)}
+                    onClear={routePlanner.clear}
+                  />
+                )}
               </div>
             </div>
           )}
@@ -324,23 +963,30 @@ function App() {
           borderRadius: '10px',
           zIndex: 2000
         }}>
-          Calculando puntos...
+          Calculando puntos... {Math.round(gridProgress * 100)}%
+          <div className="progress-track">
+            <div className="progress-bar" style={{ width: `${gridProgress * 100}%` }} />
+          </div>
+          <button onClick={() => setShowGrid(false)} className="clear-button" style={{ marginTop: '10px' }}>
+            Cancelar
+          </button>
         </div>
       )}
 
       <div className="controls-overlay">
-        <form onSubmit={handleSearch} className="search-form">
-          <input
-            type="text"
-            placeholder="Search location..."
-            value={searchQuery}
-            onChange={(e) => setSearchQuery(e.target.value)}
-            className="search-input"
-          />
-          <button type="submit" className="search-button">Search</button>
-        </form>
+        <SearchBox
+          geocoder={geocoder}
+          settings={geocoderSettings}
+          onSettingsChange={changeGeocoderSettings}
+          onSelect={handleSearchSelect}
+        />
 
         <div className="capture-controls">
+          <div className="history-buttons">
+            <button onClick={undo} disabled={!canUndo} className="history-button" title="Deshacer (Ctrl+Z)">↶</button>
+            <button onClick={redo} disabled={!canRedo} className="history-button" title="Rehacer (Ctrl+Shift+Z)">↷</button>
+          </div>
+
           <button
             className={`capture-button ${captureMode ? 'active' : ''}`}
             onClick={toggleCaptureMode}
@@ -348,6 +994,67 @@ function App() {
             {captureMode ? 'Terminar Captura' : 'Capturar'}
           </button>
 
+          {(captureMode || restrictionMode) && (
+            <button
+              className={`capture-button import-button ${freehandMode ? 'active' : ''}`}
+              onClick={() => setFreehandMode(prev => !prev)}
+              title="Mantén pulsado el botón y arrastra para trazar el contorno"
+            >
+              ✎ Trazo libre
+            </button>
+          )}
+
+          {!captureMode && !restrictionMode && !editMode && (
+            <label className="capture-button import-button">
+              Importar
+              <input
+                type="file"
+                accept=".geojson,.json,.kml,.csv,.txt"
+                onChange={handleImport}
+                style={{ display: 'none' }}
+              />
+            </label>
+          )}
+
+          {!captureMode && !restrictionMode && !editMode && (
+            <button
+              className={`capture-button import-button ${showCoordinateEntry ? 'active' : ''}`}
+              onClick={() => setShowCoordinateEntry(prev => !prev)}
+            >
+              Coordenadas
+            </button>
+          )}
+
+          <button
+            className={`capture-button import-button ${showBasemapPanel ? 'active' : ''}`}
+            onClick={() => setShowBasemapPanel(prev => !prev)}
+          >
+            Capas
+          </button>
+
+          <button
+            className={`capture-button import-button ${showMeasurePanel ? 'active' : ''}`}
+            onClick={() => (showMeasurePanel ? closeMeasurePanel() : setShowMeasurePanel(true))}
+          >
+            Medir
+          </button>
+
+          <button
+            className={`capture-button import-button ${showTrajectoryPanel ? 'active' : ''}`}
+            onClick={() => setShowTrajectoryPanel(prev => !prev)}
+          >
+            Trayectoria
+          </button>
+
+          {capturedPoints.length >= 3 && !captureMode && !restrictionMode && (
+            <button
+              className={`capture-button edit-button ${editMode ? 'active' : ''}`}
+              onClick={toggleEditMode}
+            >
+              {editMode ? 'Terminar Edición' : 'Editar Vértices'}
+            </button>
+          )}
+
           {capturedPoints.length >= 3 && (
             <button
               className={`capture-button restriction-button ${restrictionMode ? 'active' : ''}`}
@@ -357,6 +1064,43 @@ function App() {
             </button>
           )}
 
+          {restrictionMode && (
+            <div className="restriction-tools">
+              <select value={restrictionTool} onChange={(e) => changeRestrictionTool(e.target.value)} className="export-select">
+                {RESTRICTION_TOOLS.map(tool => (
+                  <option key={tool.id} value={tool.id}>{tool.label}</option>
+                ))}
+              </select>
+              <select
+                value={newRestrictionCategory}
+                onChange={(e) => setNewRestrictionCategory(e.target.value)}
+                className="export-select"
+                style={{ borderColor: restrictionCategory(newRestrictionCategory).color }}
+              >
+                {RESTRICTION_CATEGORIES.map(category => (
+                  <option key={category.id} value={category.id}>{category.label}</option>
+                ))}
+              </select>
+              {restrictionTool === 'corridor' && (
+                <label className="shape-parameter">
+                  Anchura (m)
+                  <input
+                    type="number"
+                    min="0.1"
+                    step="0.1"
+                    value={corridorWidth}
+                    onChange={(e) => setCorridorWidth(Math.max(Number(e.target.value) || DEFAULT_CORRIDOR_WIDTH, 0.1))}
+                  />
+                </label>
+              )}
+              <span className="restriction-tool-hint">{RESTRICTION_TOOLS.find(tool => tool.id === restrictionTool).hint}</span>
+            </div>
+          )}
+
+          {(captureMode || restrictionMode) && !freehand && (
+            <SnapControls settings={drawingSettings} onChange={changeDrawingSettings} />
+          )}
+
           {(capturedPoints.length >= 2) && (
             <div className="metrics-box">
               {capturedPoints.length >= 3 && (
@@ -368,19 +1112,141 @@ function App() {
                   )}
                 </div>
               )}
+              {measuredAreas.length > 1 && (
+                <div className="metric-item">
+                  <span className="metric-label">Total ({measuredAreas.length} áreas):</span>
+                  <span className="metric-value">{sessionNetArea.toLocaleString(undefined, { maximumFractionDigits: 2 })} m²</span>
+                </div>
+              )}
               <div className="metric-item">
                 <span className="metric-label">Perímetro:</span>
                 <span className="metric-value">{perimeter.toLocaleString(undefined, { maximumFractionDigits: 2 })} m</span>
               </div>
+              <div className="metric-method" title={`Distancias: ${MEASUREMENT_METHOD.distance}\nÁreas: ${MEASUREMENT_METHOD.area}\nMalla: ${MEASUREMENT_METHOD.grid}`}>
+                Cálculo geodésico sobre elipsoide {MEASUREMENT_METHOD.ellipsoid}
+              </div>
             </div>
           )}
         </div>
 
-        {capturedPoints.length === 25 && captureMode && (
-          <span className="max-points-message">Máximo 25 puntos alcanzado</span>
+        {isVertexLimitReached(capturedPoints.length, vertexLimit) && captureMode && (
+          <span className="max-points-message">Máximo {vertexLimit} puntos alcanzado</span>
         )}
       </div>
 
+      <ProjectPanel
+        projects={projectStore.projects}
+        activeProject={projectStore.activeProject}
+        error={projectStore.error}
+        onClearError={projectStore.clearError}
+        onSwitch={projectStore.switchTo}
+        onCreate={projectStore.create}
+        onRename={projectStore.rename}
+        onDuplicate={projectStore.duplicate}
+        onDelete={projectStore.remove}
+        onExport={projectStore.exportBundle}
+        onImport={projectStore.importBundle}
+        onShare={() => shareLink.create({ name: projectStore.activeProject.name, ...projectState })}
+      />
+
+      {(shareLink.link || shareLink.opened || shareLink.error) && (
+        <SharePanel
+          link={shareLink.link}
+          opened={shareLink.opened}
+          error={shareLink.error}
+          onCopy={shareLink.copy}
+          onClose={shareLink.close}
+        />
+      )}
+
+      {showBasemapPanel && (
+        <BasemapPanel
+          sources={basemapSources}
+          settings={basemapSettings}
+          onSettingsChange={changeBasemapSettings}
+          prefetchBBox={capturedPoints.length >= 3 ? pointsBBox(capturedPoints) : null}
+          zoom={mapView.zoom}
+          tiles={tilePackages}
+          onClose={() => setShowBasemapPanel(false)}
+        />
+      )}
+
+      {showTrajectoryPanel && (
+        <TrajectoryPanel
+          file={trajectoryFile}
+          start={trajectoryStart}
+          onStartChange={setTrajectoryStart}
+          trajectoryError={trajectoryLoadError || trajectoryBuildError}
+          analysis={trajectoryAnalysis}
+          hasGrid={expectedPoints.length > 0}
+          onShowGrid={() => setShowGrid(true)}
+          onLoad={loadTrajectory}
+          onExport={(format) => exportTrajectoryReport(format, trajectory, trajectoryAnalysis, activeArea, normalizedGridSettings)}
+          onClear={() => setTrajectoryFile(null)}
+          onClose={() => setShowTrajectoryPanel(false)}
+        />
+      )}
+
+      {showMeasurePanel && (
+        <MeasurePanel
+          tool={measureTool}
+          onToolChange={setMeasureTool}
+          edgeLabels={edgeLabels}
+          onEdgeLabelsChange={(checked) => changeDrawingSettings({ edgeLabels: checked })}
+          ruler={ruler}
+          onRulerUndo={() => setRulerPoints(prev => prev.slice(0, -1))}
+          onRulerClear={() => setRulerPoints([])}
+          annotations={annotations}
+          focusId={newAnnotationId}
+          onAnnotationChange={(id, text) => {
+            updateAnnotation(id, { text })
+            setNewAnnotationId(null)
+          }}
+          onAnnotationDelete={(id) => setAnnotations(prev => prev.filter(annotation => annotation.id !== id))}
+          coordinateFormat={coordinateFormat}
+          onClose={closeMeasurePanel}
+        />
+      )}
+
+      {/* Coordinate Entry */}
+      {showCoordinateEntry && !captureMode && !restrictionMode && !editMode && (
+        <CoordinateEntryPanel
+          canAddRestriction={capturedPoints.length >= 3}
+          maxAreaVertices={vertexLimit}
+          onApply={handleCoordinateEntry}
+          onClose={() => setShowCoordinateEntry(false)}
+        />
+      )}
+
+      {/* Import Report */}
+      {importReport && (
+        <div className="import-report">
+          <div className="import-report-header">
+            <strong>Importación: {importReport.fileName}</strong>
+            <button onClick={() => setImportReport(null)} className="remove-button">×</button>
+          </div>
+          {importReport.error ? (
+            <p className="import-report-error">{importReport.error}</p>
+          ) : (
+            <p>
+              {importReport.areaCount > 0 ? `${importReport.areaCount} área(s) importada(s)` : 'Restricciones añadidas al área activa'}
+              {' · '}{importReport.restrictionCount} restricción(es)
+              {importReport.annotationCount > 0 && ` · ${importReport.annotationCount} anotación(es)`}
+            </p>
+          )}
+          {importReport.skipped.length > 0 && (
+            <>
+              <p className="import-report-warning">Omitidos ({importReport.skipped.length}):</p>
+              <ul>
+                {importReport.skipped.map((item, i) => (
+                  <li key={i}><strong>{item.label}</strong>: {item.reason}</li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+
       <MapContainer
         center={mapCenter}
         zoom={13}
@@ -388,65 +1254,183 @@ function App() {
         style={{ height: '100%', width: '100%' }}
         zoomControl={true}
       >
-        <TileLayer
-          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-          url="https://tile.openstreetmap.org/{z}/{x}/{y}.png"
+        <StoredTileLayer
+          source={basemapLayers.base}
+          packageIds={storedPackageIds(basemapLayers.base, tilePackages.packages)}
+          offline={basemapSettings.offline}
         />
+        {basemapLayers.overlays.map(({ source, opacity }, i) => (
+          <StoredTileLayer
+            key={source.id}
+            source={source}
+            packageIds={storedPackageIds(source, tilePackages.packages)}
+            offline={basemapSettings.offline}
+            opacity={opacity}
+            zIndex={i + 2}
+          />
+        ))}
         <MapController
           captureMode={captureMode}
           restrictionMode={restrictionMode}
+          measureTool={activeMeasureTool}
+          freehand={freehand}
+          snapping={snapping}
+          canAddVertex={!isVertexLimitReached(capturedPoints.length, vertexLimit)}
           setCapturedPoints={setCapturedPoints}
-          setCurrentRestriction={setCurrentRestriction}
+          onRestrictionClick={handleRestrictionClick}
+          onMeasureClick={handleMeasureClick}
+          onTracePoint={handleTracePoint}
           mapCenter={mapCenter}
-          capturedPoints={capturedPoints}
+          focusBounds={focusBounds}
+          restoreView={restoreView}
+          onViewChange={setMapView}
           currentRestriction={currentRestriction}
         />
 
-        {/* Draw polygon when 3 or more points are captured */}
-        {capturedPoints.length >= 3 && (
+        {/* Draw every visible area with 3 or more points; a click selects it */}
+        {measurableAreas(visibleAreas).map(area => (
           <Polygon
+            key={area.id}
             positions={[
-              capturedPoints.map(point => [point.lat, point.lng]),
-              ...restrictions.map(res => res.map(p => [p.lat, p.lng]))
+              area.points.map(point => [point.lat, point.lng]),
+              ...area.restrictions.map(res => res.points.map(p => [p.lat, p.lng]))
             ]}
             pathOptions={{
-              color: '#4a90e2',
-              fillColor: '#4a90e2',
-              fillOpacity: 0.35,
-              weight: 3
+              color: area.color,
+              fillColor: area.color,
+              fillOpacity: area.id === activeArea.id ? 0.35 : 0.2,
+              weight: area.id === activeArea.id ? 3 : 2
+            }}
+            eventHandlers={{
+              click: () => {
+                if (!captureMode && !restrictionMode && !editMode && !activeMeasureTool) selectArea(area.id)
+              }
             }}
           />
-        )}
+        ))}
+
+        {/* Restrictions of the visible areas in the colour of their category */}
+        {measurableAreas(visibleAreas).flatMap(area => area.restrictions.map(res => (
+          <Polygon
+            key={res.id}
+            positions={res.points.map(p => [p.lat, p.lng])}
+            pathOptions={{
+              color: restrictionCategory(res.category).color,
+              fillColor: restrictionCategory(res.category).color,
+              fillOpacity: 0.25,
+              weight: 2
+            }}
+          >
+            <Tooltip sticky>{res.name} · {restrictionCategory(res.category).label}</Tooltip>
+          </Polygon>
+        )))}
 
-        {/* Draw current restriction being drawn */}
+        {/* Draw current restriction being drawn (a corridor as its line and buffer) */}
         {currentRestriction.length > 0 && (
           <>
-            <Polygon
-              positions={currentRestriction.map(point => [point.lat, point.lng])}
-              pathOptions={{
-                color: '#e74c3c',
-                fillColor: '#e74c3c',
-                fillOpacity: 0.35,
-                weight: 3,
-                dashArray: '5, 5'
-              }}
-            />
+            {restrictionTool === 'corridor' ? (
+              <Polyline
+                positions={currentRestriction.map(point => [point.lat, point.lng])}
+                pathOptions={{ color: drawingColor, weight: 2 }}
+              />
+            ) : (
+              <Polygon
+                positions={currentRestriction.map(point => [point.lat, point.lng])}
+                pathOptions={{
+                  color: drawingColor,
+                  fillColor: drawingColor,
+                  fillOpacity: 0.35,
+                  weight: 3,
+                  dashArray: '5, 5'
+                }}
+              />
+            )}
+            {corridorPreview && (
+              <Polygon
+                positions={corridorPreview.map(point => [point.lat, point.lng])}
+                pathOptions={{ color: drawingColor, fillColor: drawingColor, fillOpacity: 0.25, weight: 2, dashArray: '5, 5' }}
+              />
+            )}
             {currentRestriction.map((point, index) => (
               <Marker key={point.id} position={[point.lat, point.lng]}>
                 <Popup>
                   <strong>Restricción Punto {index + 1}</strong>
+                  {formatCoordinateParts(point, coordinateFormat).map(part => (
+                    <div key={part.label}>{part.label}: {part.value}</div>
+                  ))}
                 </Popup>
               </Marker>
             ))}
           </>
         )}
 
-        {capturedPoints.map((point, index) => (
+        {/* Validation highlights */}
+        <ValidationLayer issues={validationIssues} />
+
+        {/* Internal grid overlay, one layer per area */}
+        {visibleAreas.map(area => gridPointsByArea[area.id]?.length > 0 && (
+          <GridCanvasLayer
+            key={area.id}
+            points={gridPointsByArea[area.id]}
+            color={area.color}
+            pointColors={surveyColorsByArea[area.id] || null}
+            selectedIndex={selectedGridPoint?.areaId === area.id ? selectedGridIndex : -1}
+            onPointClick={captureMode || restrictionMode || editMode || activeMeasureTool ? null : (index) => selectGridPoint(area.id, index)}
+          />
+        ))}
+
+        {route && route.order.length > 0 && <RouteLayer route={route} gridPoints={expectedPoints} />}
+
+        {edgeLabels && <EdgeLabelLayer rings={edgeLabelRings} />}
+        {snapping && <SnapHintLayer snapping={snapping} />}
+        {showMeasurePanel && rulerPoints.length > 0 && <RulerLayer points={rulerPoints} measurement={ruler} />}
+        <AnnotationLayer
+          annotations={annotations}
+          draggable={activeMeasureTool === 'annotation'}
+          onMove={(id, position) => updateAnnotation(id, position)}
+        />
+
+        {trajectory && (
+          <TrajectoryLayer trajectory={trajectory} analysis={trajectoryAnalysis} expectedPoints={expectedPoints} />
+        )}
+
+        {/* Vertex editing handles for the active area and every restriction */}
+        {editMode && (
+          <>
+            <PolygonEditor
+              points={capturedPoints}
+              onChange={setCapturedPoints}
+              color={activeArea.color}
+              label="Punto"
+              maxVertices={vertexLimit || Infinity}
+            />
+            {restrictions.map((res, i) => res.shape ? (
+              <ShapeEditor
+                key={res.id}
+                shape={res.shape}
+                onChange={(shape, options) => updateRestrictionShape(i, shape, options)}
+                color={restrictionCategory(res.category).color}
+                label={res.name}
+              />
+            ) : (
+              <PolygonEditor
+                key={res.id}
+                points={res.points}
+                onChange={(points, options) => updateRestriction(i, points, options)}
+                color={restrictionCategory(res.category).color}
+                label={`${res.name} · Punto`}
+              />
+            ))}
+          </>
+        )}
+
+        {!editMode && capturedPoints.map((point, index) => (
           <Marker key={point.id} position={[point.lat, point.lng]}>
             <Popup>
-              <strong>Punto {index + 1}</strong><br />
-              Lat: {point.lat.toFixed(6)}<br />
-              Lng: {point.lng.toFixed(6)}
+              <strong>Punto {index + 1}</strong>
+              {formatCoordinateParts(point, coordinateFormat).map(part => (
+                <div key={part.label}>{part.label}: {part.value}</div>
+              ))}
             </Popup>
           </Marker>
         ))}
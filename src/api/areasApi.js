@@ -0,0 +1,148 @@
+import { createPointId, withUniqueIds } from './pointIds.js';
+import { normalizeShape, shapeRing } from './shapesApi.js';
+import { normalizeSurvey } from './surveyApi.js';
+
+// Survey areas. A session holds several named areas, each with its own
+// vertices, restrictions, colour and visibility:
+// { id, name, color, visible, points: [{lat, lng, id}], restrictions: [restriction], survey }
+// survey: status of the grid points (see surveyApi), null until one is marked.
+//
+// A restriction is { id, name, category, notes, points, shape }: category is
+// one of RESTRICTION_CATEGORIES, shape is null for a drawn polygon, otherwise
+// the parameters (see shapesApi) its points are generated from.
+
+export const AREA_COLORS = ['#4a90e2', '#27ae60', '#8e44ad', '#f39c12', '#16a085', '#d35400', '#2c3e50', '#c2185b'];
+
+// Only "#rrggbb" is a valid area colour; colours from share links and bundles
+// end up in SVG and HTML attributes of the report
+export const isAreaColor = (value) => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+
+export const createArea = (existing = [], overrides = {}) => ({
+    id: createPointId('area'),
+    name: `Área ${existing.length + 1}`,
+    color: AREA_COLORS[existing.length % AREA_COLORS.length],
+    visible: true,
+    points: [],
+    restrictions: [],
+    survey: null,
+    ...overrides
+});
+
+export const RESTRICTION_CATEGORIES = [
+    { id: 'obstacle', label: 'Obstáculo', color: '#e74c3c' },
+    { id: 'no-access', label: 'Sin acceso', color: '#8e44ad' },
+    { id: 'water', label: 'Agua', color: '#2980b9' },
+    { id: 'building', label: 'Edificio', color: '#7f8c8d' }
+];
+
+export const DEFAULT_RESTRICTION_CATEGORY = 'obstacle';
+
+export const restrictionCategory = (id) =>
+    RESTRICTION_CATEGORIES.find(category => category.id === id) || RESTRICTION_CATEGORIES[0];
+
+// attributes: name, category, notes. A restriction without a name gets one
+// when it is added to an area (see appendRestrictions).
+export const createRestriction = (points, shape = null, attributes = {}) => ({
+    id: createPointId('restriction'),
+    name: '',
+    category: DEFAULT_RESTRICTION_CATEGORY,
+    notes: '',
+    ...attributes,
+    points,
+    shape
+});
+
+// New restriction with its polygon generated from the shape parameters
+export const restrictionFromShape = (shape, attributes = {}) =>
+    createRestriction(withUniqueIds(shapeRing(shape)), shape, attributes);
+
+// Same restriction (ID, name, category, notes) with a new shape
+export const reshapeRestriction = (restriction, shape) => ({
+    ...restriction,
+    points: withUniqueIds(shapeRing(shape)),
+    shape
+});
+
+// Add restrictions to an area's list, naming the unnamed ones "Restricción N"
+// with the next free N (names stay put when others are deleted)
+export const appendRestrictions = (restrictions, added) => {
+    const names = new Set(restrictions.map(restriction => restriction.name));
+    const result = [...restrictions];
+    added.forEach(restriction => {
+        let name = restriction.name;
+        for (let n = result.length + 1; !name; n++) {
+            if (!names.has(`Restricción ${n}`)) name = `Restricción ${n}`;
+        }
+        names.add(name);
+        result.push({ ...restriction, name });
+    });
+    return result;
+};
+
+// New areas for an import result (see importApi), numbered and coloured after
+// `existing`; restrictions found without an area go to the first of them
+export const areasFromImport = (result, existing = []) => {
+    const imported = [];
+    result.areas.forEach(area => {
+        imported.push(createArea([...existing, ...imported], area));
+    });
+    imported.forEach(area => {
+        area.restrictions = appendRestrictions([], area.restrictions);
+    });
+    if (imported.length > 0) {
+        imported[0].restrictions = appendRestrictions(imported[0].restrictions, result.restrictions);
+    }
+    return imported;
+};
+
+// Plain vertex rings, for grid, clipping and metrics code
+export const restrictionRings = (restrictions) => restrictions.map(restriction => restriction.points);
+
+// Name, category and notes as read from a file or stored project
+export const normalizeRestrictionAttributes = (source = {}) => ({
+    name: typeof source.name === 'string' ? source.name.trim() : '',
+    category: restrictionCategory(source.category).id,
+    notes: typeof source.notes === 'string' ? source.notes : ''
+});
+
+// Restriction from stored data. Older sessions store bare vertex arrays.
+const normalizeRestriction = (restriction, seen) => {
+    if (Array.isArray(restriction)) return createRestriction(withUniqueIds(restriction, seen));
+    return {
+        ...createRestriction(
+            withUniqueIds(restriction.points || [], seen),
+            normalizeShape(restriction.shape),
+            normalizeRestrictionAttributes(restriction)
+        ),
+        ...(restriction.id && { id: restriction.id })
+    };
+};
+
+// Areas from stored geometry. Older projects have a single
+// { capturedPoints, restrictions } pair, which becomes "Área 1".
+// There is always at least one area, and vertex IDs are unique across all of them.
+export const normalizeAreas = (geometry) => {
+    const source = Array.isArray(geometry?.areas)
+        ? geometry.areas
+        : [{ points: geometry?.capturedPoints || [], restrictions: geometry?.restrictions || [] }];
+
+    const seen = new Set();
+    const areas = [];
+    source.forEach(area => {
+        const normalized = createArea(areas, {
+            ...(area.id && { id: area.id }),
+            ...(area.name && { name: area.name }),
+            ...(isAreaColor(area.color) && { color: area.color }),
+            visible: area.visible !== false,
+            points: withUniqueIds(area.points || [], seen),
+            restrictions: appendRestrictions([], (area.restrictions || []).map(restriction => normalizeRestriction(restriction, seen))),
+            survey: normalizeSurvey(area.survey)
+        });
+        areas.push(normalized);
+    });
+
+    return areas.length > 0 ? areas : [createArea()];
+};
+
+// Areas that can be measured and exported (3+ vertices)
+export const measurableAreas = (areas) => areas.filter(area => area.points.length >= 3);
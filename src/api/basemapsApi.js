@@ -0,0 +1,247 @@
+// Basemap and overlay tile sources, and the tile arithmetic shared by the map
+// layer and the offline pre-fetch.
+//
+// Source shape:
+// { id, name, type: 'xyz' | 'wms' | 'package', url, attribution, maxZoom,
+//   layers, format, transparent (wms only), prefetchLimit,
+//   packageId, minZoom, bounds (package only: tiles loaded into browser storage) }
+//
+// XYZ URLs use the Leaflet placeholders {z} {x} {y} {-y} {s} {r}; WMS sources
+// are requested as 256 px EPSG:3857 tiles, so both can be pre-fetched alike.
+//
+// Settings (localStorage):
+// { baseId, overlays: [{ id, opacity }], customSources: [source], offline }
+// offline: only tiles from browser storage are shown, the network is never used.
+//
+// The local tile server URL can be set at build time with VITE_LOCAL_TILES_URL.
+
+const SETTINGS_KEY = 'pdr-test:basemaps';
+
+export const TILE_SIZE = 256;
+export const DEFAULT_OVERLAY_OPACITY = 0.7;
+
+// Public servers only tolerate light pre-fetching (see their usage policies);
+// custom and local servers are trusted with larger packages
+const PUBLIC_PREFETCH_LIMIT = 300;
+export const CUSTOM_PREFETCH_LIMIT = 20000;
+
+export const BUILTIN_SOURCES = [
+    {
+        id: 'osm',
+        name: 'OpenStreetMap',
+        type: 'xyz',
+        url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+        maxZoom: 19,
+        prefetchLimit: PUBLIC_PREFETCH_LIMIT
+    },
+    {
+        id: 'esri-imagery',
+        name: 'Ortofoto (Esri)',
+        type: 'xyz',
+        url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+        attribution: 'Tiles &copy; Esri &mdash; Esri, Maxar, Earthstar Geographics',
+        maxZoom: 19,
+        prefetchLimit: PUBLIC_PREFETCH_LIMIT
+    },
+    {
+        id: 'local',
+        name: 'Servidor local',
+        type: 'xyz',
+        url: import.meta.env?.VITE_LOCAL_TILES_URL || 'http://localhost:8080/tiles/{z}/{x}/{y}.png',
+        attribution: '',
+        maxZoom: 22,
+        prefetchLimit: CUSTOM_PREFETCH_LIMIT
+    }
+];
+
+export const SOURCE_TYPES = [
+    { id: 'xyz', label: 'XYZ' },
+    { id: 'wms', label: 'WMS' }
+];
+
+export const DEFAULT_BASEMAP_SETTINGS = {
+    baseId: 'osm',
+    overlays: [],
+    customSources: [],
+    offline: false
+};
+
+const clampOpacity = (value) => {
+    const opacity = Number(value);
+    return Number.isFinite(opacity) ? Math.min(Math.max(opacity, 0), 1) : DEFAULT_OVERLAY_OPACITY;
+};
+
+const generateSourceId = () => `source-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+// User-defined XYZ/WMS source: null when it has no usable URL
+export const normalizeSource = (source = {}) => {
+    const url = typeof source.url === 'string' ? source.url.trim() : '';
+    const type = source.type === 'wms' ? 'wms' : 'xyz';
+    if (!/^(https?:)?\/\//i.test(url) && !url.startsWith('/')) return null;
+    if (type === 'xyz' && !(url.includes('{x}') && (url.includes('{y}') || url.includes('{-y}')) && url.includes('{z}'))) return null;
+
+    const maxZoom = Math.floor(Number(source.maxZoom));
+    return {
+        id: typeof source.id === 'string' && source.id ? source.id : generateSourceId(),
+        name: typeof source.name === 'string' && source.name.trim() ? source.name.trim() : url.replace(/^(https?:)?\/\//i, '').split('/')[0],
+        type,
+        url,
+        attribution: typeof source.attribution === 'string' ? source.attribution : '',
+        maxZoom: Number.isFinite(maxZoom) && maxZoom > 0 ? Math.min(maxZoom, 24) : 22,
+        ...(type === 'wms' && {
+            layers: typeof source.layers === 'string' ? source.layers.trim() : '',
+            format: source.format === 'image/jpeg' ? 'image/jpeg' : 'image/png',
+            transparent: source.transparent !== false
+        }),
+        prefetchLimit: CUSTOM_PREFETCH_LIMIT
+    };
+};
+
+export const normalizeBasemapSettings = (settings = {}) => ({
+    baseId: typeof settings.baseId === 'string' && settings.baseId ? settings.baseId : DEFAULT_BASEMAP_SETTINGS.baseId,
+    overlays: (Array.isArray(settings.overlays) ? settings.overlays : [])
+        .filter(overlay => typeof overlay?.id === 'string' && overlay.id !== settings.baseId)
+        .map(overlay => ({ id: overlay.id, opacity: clampOpacity(overlay.opacity) })),
+    customSources: (Array.isArray(settings.customSources) ? settings.customSources : [])
+        .map(normalizeSource)
+        .filter(Boolean),
+    offline: settings.offline === true
+});
+
+export const getBasemapSettings = () => {
+    try {
+        return normalizeBasemapSettings(JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {});
+    } catch {
+        return normalizeBasemapSettings();
+    }
+};
+
+export const setBasemapSettings = (settings) => localStorage.setItem(SETTINGS_KEY, JSON.stringify(normalizeBasemapSettings(settings)));
+
+// Source for a tile package loaded from an MBTiles file
+export const packageSource = (tilePackage) => ({
+    id: `package:${tilePackage.id}`,
+    name: tilePackage.name,
+    type: 'package',
+    url: '',
+    attribution: tilePackage.attribution || '',
+    packageId: tilePackage.id,
+    minZoom: tilePackage.minZoom,
+    maxZoom: tilePackage.maxZoom,
+    bounds: tilePackage.bbox
+});
+
+// Every selectable source: built-in, user-defined and MBTiles packages
+export const availableSources = (customSources, packages) => [
+    ...BUILTIN_SOURCES,
+    ...customSources,
+    ...packages.filter(tilePackage => tilePackage.kind === 'mbtiles').map(packageSource)
+];
+
+// Base layer and enabled overlays for the settings; an unknown base (deleted
+// source or package) falls back to the first built-in
+export const resolveBasemapLayers = (settings, sources) => {
+    const byId = new Map(sources.map(source => [source.id, source]));
+    const base = byId.get(settings.baseId) || sources[0];
+    return {
+        base,
+        overlays: settings.overlays
+            .filter(overlay => byId.has(overlay.id) && overlay.id !== base.id)
+            .map(overlay => ({ source: byId.get(overlay.id), opacity: overlay.opacity }))
+    };
+};
+
+// Browser-stored packages that can stand in for a source's network tiles
+export const storedPackageIds = (source, packages) => (source.type === 'package'
+    ? [source.packageId]
+    : packages.filter(tilePackage => tilePackage.sourceId === source.id).map(tilePackage => tilePackage.id));
+
+// ---------------------------------------------------------------------------
+// Tile arithmetic (Web Mercator, XYZ numbering)
+// ---------------------------------------------------------------------------
+
+const MAX_LATITUDE = 85.0511287798;
+const EARTH_HALF_CIRCUMFERENCE = Math.PI * 6378137;
+
+const lngToTileX = (lng, z) => Math.floor((lng + 180) / 360 * 2 ** z);
+
+const latToTileY = (lat, z) => {
+    const φ = Math.max(Math.min(lat, MAX_LATITUDE), -MAX_LATITUDE) * Math.PI / 180;
+    return Math.floor((1 - Math.log(Math.tan(φ) + 1 / Math.cos(φ)) / Math.PI) / 2 * 2 ** z);
+};
+
+// [west, south, east, north] of a ring
+export const pointsBBox = (points) => [
+    Math.min(...points.map(p => p.lng)),
+    Math.min(...points.map(p => p.lat)),
+    Math.max(...points.map(p => p.lng)),
+    Math.max(...points.map(p => p.lat))
+];
+
+// Tile index range covering a bbox at zoom z
+export const tileRange = ([west, south, east, north], z) => {
+    const last = 2 ** z - 1;
+    const clamp = (value) => Math.min(Math.max(value, 0), last);
+    return {
+        z,
+        minX: clamp(lngToTileX(west, z)),
+        maxX: clamp(lngToTileX(east, z)),
+        minY: clamp(latToTileY(north, z)),
+        maxY: clamp(latToTileY(south, z))
+    };
+};
+
+export const countTiles = (bbox, minZoom, maxZoom) => {
+    let count = 0;
+    for (let z = minZoom; z <= maxZoom; z++) {
+        const { minX, maxX, minY, maxY } = tileRange(bbox, z);
+        count += (maxX - minX + 1) * (maxY - minY + 1);
+    }
+    return count;
+};
+
+// Every { z, x, y } covering the bbox over a zoom range
+export function* tilesInBBox(bbox, minZoom, maxZoom) {
+    for (let z = minZoom; z <= maxZoom; z++) {
+        const { minX, maxX, minY, maxY } = tileRange(bbox, z);
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) yield { z, x, y };
+        }
+    }
+}
+
+// Helper: EPSG:3857 bounds of a tile, for WMS GetMap
+const tileMercatorBounds = ({ z, x, y }) => {
+    const size = 2 * EARTH_HALF_CIRCUMFERENCE / 2 ** z;
+    const minX = -EARTH_HALF_CIRCUMFERENCE + x * size;
+    const maxY = EARTH_HALF_CIRCUMFERENCE - y * size;
+    return [minX, maxY - size, minX + size, maxY];
+};
+
+// Network URL of a tile of an XYZ or WMS source
+export const tileUrl = (source, { z, x, y }) => {
+    if (source.type === 'wms') {
+        const params = new URLSearchParams({
+            SERVICE: 'WMS',
+            REQUEST: 'GetMap',
+            VERSION: '1.1.1',
+            LAYERS: source.layers || '',
+            STYLES: '',
+            FORMAT: source.format || 'image/png',
+            TRANSPARENT: String(source.transparent !== false).toUpperCase(),
+            SRS: 'EPSG:3857',
+            WIDTH: String(TILE_SIZE),
+            HEIGHT: String(TILE_SIZE),
+            BBOX: tileMercatorBounds({ z, x, y }).join(',')
+        });
+        return `${source.url}${source.url.includes('?') ? '&' : '?'}${params}`;
+    }
+    return source.url
+        .replace('{z}', z)
+        .replace('{x}', x)
+        .replace('{y}', y)
+        .replace('{-y}', 2 ** z - 1 - y)
+        .replace('{s}', 'abc'[Math.abs(x + y) % 3])
+        .replace('{r}', '');
+};
@@ -0,0 +1,267 @@
+import { toUTM, fromUTM, utmZone } from './geodesy.js';
+
+// Coordinate display/input formats: decimal degrees, degrees-minutes-seconds,
+// UTM (zone + latitude band, easting, northing) and MGRS.
+
+export const COORDINATE_FORMATS = [
+    { id: 'dd', label: 'Grados decimales' },
+    { id: 'dms', label: 'Grados, minutos, segundos' },
+    { id: 'utm', label: 'UTM' },
+    { id: 'mgrs', label: 'MGRS' }
+];
+
+export const DEFAULT_COORDINATE_FORMAT = 'dd';
+
+const FORMAT_KEY = 'pdr-test:coordinateFormat';
+
+export const getPreferredCoordinateFormat = () => {
+    const stored = localStorage.getItem(FORMAT_KEY);
+    return COORDINATE_FORMATS.some(f => f.id === stored) ? stored : DEFAULT_COORDINATE_FORMAT;
+};
+
+export const setPreferredCoordinateFormat = (format) => localStorage.setItem(FORMAT_KEY, format);
+
+// Latitude bands C..X (8° each, X is 12°), I and O are skipped
+const LATITUDE_BANDS = 'CDEFGHJKLMNPQRSTUVWXX';
+
+// MGRS 100 km square letters: column sets repeat every 3 zones, row sets every 2
+const MGRS_COLUMN_LETTERS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+const MGRS_ROW_LETTERS = ['ABCDEFGHJKLMNPQRSTUV', 'FGHJKLMNPQRSTUVABCDE'];
+
+const latitudeBand = (lat) => LATITUDE_BANDS.charAt(Math.floor(lat / 8 + 10));
+
+// ---------------------------------------------------------------------------
+// Formatting
+// ---------------------------------------------------------------------------
+
+// Helper: 40.123456 -> 40°07'24.44"N
+const toDMS = (value, positive, negative) => {
+    const hemisphere = value >= 0 ? positive : negative;
+    let totalSeconds = Math.round(Math.abs(value) * 360000) / 100;
+    const degrees = Math.floor(totalSeconds / 3600);
+    totalSeconds -= degrees * 3600;
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds - minutes * 60;
+    return `${degrees}°${String(minutes).padStart(2, '0')}'${seconds.toFixed(2).padStart(5, '0')}"${hemisphere}`;
+};
+
+// UTM position with its latitude band, or null outside the UTM range (80°S..84°N)
+export const toUTMWithBand = (point, zone) => {
+    if (point.lat < -80 || point.lat > 84) return null;
+    return { ...toUTM(point, zone), band: latitudeBand(point.lat) };
+};
+
+export const toMGRS = (point) => {
+    const utm = toUTMWithBand(point);
+    if (!utm) return null;
+
+    const column = Math.floor(utm.easting / 100000);
+    const row = Math.floor(utm.northing / 100000) % 20;
+    const square = MGRS_COLUMN_LETTERS[(utm.zone - 1) % 3].charAt(column - 1) +
+        MGRS_ROW_LETTERS[(utm.zone - 1) % 2].charAt(row);
+
+    const easting = String(Math.floor(utm.easting % 100000)).padStart(5, '0');
+    const northing = String(Math.floor(utm.northing % 100000)).padStart(5, '0');
+    return `${utm.zone}${utm.band} ${square} ${easting} ${northing}`;
+};
+
+// Labelled parts of a coordinate, e.g. for the sidebar rows
+export const formatCoordinateParts = (point, format = DEFAULT_COORDINATE_FORMAT) => {
+    switch (format) {
+        case 'dms':
+            return [
+                { label: 'Lat', value: toDMS(point.lat, 'N', 'S') },
+                { label: 'Lng', value: toDMS(point.lng, 'E', 'W') }
+            ];
+        case 'utm': {
+            const utm = toUTMWithBand(point);
+            if (!utm) return [{ label: 'UTM', value: 'fuera de rango' }];
+            return [
+                { label: 'Zona', value: `${utm.zone}${utm.band}` },
+                { label: 'E', value: utm.easting.toFixed(2) },
+                { label: 'N', value: utm.northing.toFixed(2) }
+            ];
+        }
+        case 'mgrs':
+            return [{ label: 'MGRS', value: toMGRS(point) || 'fuera de rango' }];
+        default:
+            return [
+                { label: 'Lat', value: point.lat.toFixed(6) },
+                { label: 'Lng', value: point.lng.toFixed(6) }
+            ];
+    }
+};
+
+// Single-line coordinate, e.g. for popups and text reports
+export const formatCoordinate = (point, format = DEFAULT_COORDINATE_FORMAT) => {
+    switch (format) {
+        case 'dms':
+            return `${toDMS(point.lat, 'N', 'S')} ${toDMS(point.lng, 'E', 'W')}`;
+        case 'utm': {
+            const utm = toUTMWithBand(point);
+            return utm
+                ? `${utm.zone}${utm.band} ${utm.easting.toFixed(2)}E ${utm.northing.toFixed(2)}N`
+                : 'fuera de rango UTM';
+        }
+        case 'mgrs':
+            return toMGRS(point) || 'fuera de rango MGRS';
+        default:
+            return `${point.lat.toFixed(6)}, ${point.lng.toFixed(6)}`;
+    }
+};
+
+// Projects points to easting/northing in a single UTM zone (the one of the
+// reference point), so a whole grid shares one coordinate system
+export const projectToUTMZone = (points, reference) => {
+    if (!reference || reference.lat < -80 || reference.lat > 84) return null;
+    const zone = utmZone(reference.lat, reference.lng);
+    return {
+        zone,
+        hemisphere: reference.lat >= 0 ? 'N' : 'S',
+        points: points.map(p => {
+            const { easting, northing } = toUTM(p, zone);
+            return { easting, northing };
+        })
+    };
+};
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+const DMS_PART = String.raw`(-?\d+(?:[.,]\d+)?)\s*[°º:\s]\s*(?:(\d+(?:[.,]\d+)?)\s*['′:\s]\s*)?(?:(\d+(?:[.,]\d+)?)\s*(?:["″]|'')?\s*)?([NSEWO])?`;
+const DMS_PAIR = new RegExp(String.raw`^\s*([NSEWO])?\s*${DMS_PART}\s*[,;\s]\s*([NSEWO])?\s*${DMS_PART}\s*$`, 'i');
+const DECIMAL_PAIR = /^\s*(-?\d+(?:\.\d+)?)\s*[,;\s]\s*(-?\d+(?:\.\d+)?)\s*$/;
+const UTM_PATTERN = /^\s*(\d{1,2})\s*([C-HJ-NP-X])\s+(\d+(?:\.\d+)?)\s*E?\s*[,;\s]\s*(\d+(?:\.\d+)?)\s*N?\s*$/i;
+const MGRS_PATTERN = /^\s*(\d{1,2})\s*([C-HJ-NP-X])\s*([A-HJ-NP-Z])([A-HJ-NP-V])\s*(\d+)\s*(\d*)\s*$/i;
+
+const toNumber = (value) => (value ? Number(value.replace(',', '.')) : 0);
+
+// Helper: degrees/minutes/seconds + hemisphere letter -> signed decimal degrees
+const dmsToDecimal = (degrees, minutes, seconds, ...hemispheres) => {
+    const deg = toNumber(degrees);
+    const value = Math.abs(deg) + toNumber(minutes) / 60 + toNumber(seconds) / 3600;
+    const hemisphere = hemispheres.find(Boolean)?.toUpperCase();
+    const negative = deg < 0 || String(degrees).startsWith('-') || hemisphere === 'S' || hemisphere === 'W' || hemisphere === 'O';
+    return { value: negative ? -value : value, hemisphere };
+};
+
+const isValidPoint = ({ lat, lng }) =>
+    Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+const parseMGRS = (match) => {
+    const [, zoneText, bandText, columnLetter, rowLetter, first, second] = match;
+    const zone = Number(zoneText);
+    const band = bandText.toUpperCase();
+    if (zone < 1 || zone > 60) return null;
+
+    // A single run of digits holds easting and northing halves
+    let eastingText = first;
+    let northingText = second;
+    if (!second) {
+        if (first.length % 2 !== 0) return null;
+        eastingText = first.slice(0, first.length / 2);
+        northingText = first.slice(first.length / 2);
+    }
+    if (eastingText.length !== northingText.length || eastingText.length > 5) return null;
+    const scale = 10 ** (5 - eastingText.length);
+
+    const column = MGRS_COLUMN_LETTERS[(zone - 1) % 3].indexOf(columnLetter.toUpperCase()) + 1;
+    const row = MGRS_ROW_LETTERS[(zone - 1) % 2].indexOf(rowLetter.toUpperCase());
+    if (column < 1 || row < 0) return null;
+
+    // The row letters repeat every 2000 km: pick the cycle that falls in the band
+    const bandLat = (LATITUDE_BANDS.indexOf(band) - 10) * 8;
+    const bandNorthing = Math.floor(toUTM({ lat: bandLat, lng: (zone - 1) * 6 - 177 }, zone).northing / 100000) * 100000;
+    let northing = row * 100000 + Number(northingText) * scale;
+    while (northing < bandNorthing) northing += 2000000;
+
+    return fromUTM({
+        zone,
+        hemisphere: band >= 'N' ? 'N' : 'S',
+        easting: column * 100000 + Number(eastingText) * scale,
+        northing
+    });
+};
+
+// Parses one coordinate in any supported format ("lat, lng" decimal degrees,
+// DMS with hemisphere letters, UTM "30T 440298 4472278" with the latitude
+// band letter, or MGRS). Returns {lat, lng} or null when it isn't recognised.
+export const parseCoordinate = (text) => {
+    if (!text || !text.trim()) return null;
+
+    const decimal = text.match(DECIMAL_PAIR);
+    if (decimal) {
+        const point = { lat: Number(decimal[1]), lng: Number(decimal[2]) };
+        return isValidPoint(point) ? point : null;
+    }
+
+    const utm = text.match(UTM_PATTERN);
+    if (utm) {
+        const zone = Number(utm[1]);
+        if (zone < 1 || zone > 60) return null;
+        const point = fromUTM({
+            zone,
+            hemisphere: utm[2].toUpperCase() >= 'N' ? 'N' : 'S',
+            easting: Number(utm[3]),
+            northing: Number(utm[4])
+        });
+        return isValidPoint(point) ? point : null;
+    }
+
+    const mgrs = text.match(MGRS_PATTERN);
+    if (mgrs) {
+        const point = parseMGRS(mgrs);
+        return point && isValidPoint(point) ? point : null;
+    }
+
+    const dms = text.match(DMS_PAIR);
+    if (dms) {
+        const first = dmsToDecimal(dms[2], dms[3], dms[4], dms[1], dms[5]);
+        const second = dmsToDecimal(dms[7], dms[8], dms[9], dms[6], dms[10]);
+        // Longitude first only when the hemisphere letters say so
+        const swapped = ['E', 'W', 'O'].includes(first.hemisphere) || ['N', 'S'].includes(second.hemisphere);
+        const point = swapped
+            ? { lat: second.value, lng: first.value }
+            : { lat: first.value, lng: second.value };
+        return isValidPoint(point) ? point : null;
+    }
+
+    return null;
+};
+
+// Parses a pasted vertex list, one coordinate per line in any format accepted
+// by parseCoordinate. Blank lines and lines starting with # are ignored.
+// Returns { points: [{lat, lng}], errors: [{ line, text, reason }] }.
+export const parseCoordinateList = (text) => {
+    const points = [];
+    const errors = [];
+
+    text.split(/\r?\n/).forEach((raw, index) => {
+        const line = raw.trim();
+        if (!line || line.startsWith('#')) return;
+
+        const point = parseCoordinate(line);
+        if (!point) {
+            errors.push({ line: index + 1, text: line, reason: 'Formato de coordenada no reconocido o fuera de rango' });
+            return;
+        }
+
+        const previous = points[points.length - 1];
+        if (previous && previous.lat === point.lat && previous.lng === point.lng) {
+            errors.push({ line: index + 1, text: line, reason: 'Vértice repetido (igual al anterior)' });
+            return;
+        }
+
+        points.push(point);
+    });
+
+    // A closing vertex equal to the first one is implicit in our polygons
+    if (points.length > 3) {
+        const first = points[0];
+        const last = points[points.length - 1];
+        if (first.lat === last.lat && first.lng === last.lng) points.pop();
+    }
+
+    return { points, errors };
+};
@@ -0,0 +1,48 @@
+import { renderExport } from './exportApi.js';
+import { DEFAULT_GRID_SETTINGS } from './gridApi.js';
+
+// Browser side of the exports: files are rendered by exportApi (DOM-free, also
+// used by the CLI) and handed to the browser here as downloads or print jobs.
+
+// Helper: Trigger a browser download for in-memory content
+export const downloadFile = (content, filename, mimeType = 'text/plain') => {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
+
+// Helper: Open the browser's print dialog (where "Save as PDF" lives) for an
+// HTML document, through a hidden iframe so no pop-up window is needed
+export const printHTML = (html) => {
+    const frame = document.createElement('iframe');
+    frame.style.cssText = 'position: fixed; width: 0; height: 0; border: 0; visibility: hidden;';
+    frame.onload = () => {
+        frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+    };
+    frame.srcdoc = html;
+    document.body.appendChild(frame);
+};
+
+export const downloadJSON = (data, filename = 'map_data.json') => {
+    const jsonString = JSON.stringify(data, null, 2);
+    downloadFile(jsonString, filename, 'application/json');
+};
+
+// Export the areas in one of EXPORT_FORMATS (see exportApi renderExport) as a
+// download; 'report-pdf' opens the printable report in the print dialog instead
+export const exportArea = (format, areas, gridSettings = DEFAULT_GRID_SETTINGS, options = {}) => {
+    if (format === 'report-pdf') {
+        return printHTML(renderExport('report-html', areas, gridSettings, options).content);
+    }
+    const { content, fileName, mimeType } = renderExport(format, areas, gridSettings, options);
+    return downloadFile(content, fileName, mimeType);
+};
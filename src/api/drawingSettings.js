@@ -0,0 +1,58 @@
+import { SNAP_ANGLES } from './snapApi.js';
+
+// Drawing preferences, kept in localStorage like the coordinate format.
+// vertexLimit caps the vertices of an area (0 = no limit); simplifyTolerance
+// is the Douglas–Peucker tolerance in metres offered by the simplify tool;
+// edgeLabels shows the length and bearing of every edge of the active area.
+// snap* configure snapping while drawing (see snapApi): to vertices and edges
+// within snapTolerance screen pixels, to a metric grid of snapGridSize metres,
+// and to snapAngle degrees relative to the previous segment (0 = free).
+
+const SETTINGS_KEY = 'pdr-test:drawing';
+
+export const DEFAULT_DRAWING_SETTINGS = {
+    vertexLimit: 0,
+    simplifyTolerance: 1,
+    edgeLabels: false,
+    snap: true,
+    snapVertices: true,
+    snapEdges: true,
+    snapTolerance: 10,
+    snapGrid: false,
+    snapGridSize: 1,
+    snapAngle: 0
+};
+
+export const normalizeDrawingSettings = (settings = {}) => {
+    const limit = Math.floor(Number(settings.vertexLimit));
+    const tolerance = Number(settings.simplifyTolerance);
+    const snapTolerance = Number(settings.snapTolerance);
+    const snapGridSize = Number(settings.snapGridSize);
+    const snapAngle = Number(settings.snapAngle);
+    const flag = (key) => settings[key] === undefined ? DEFAULT_DRAWING_SETTINGS[key] : Boolean(settings[key]);
+    return {
+        vertexLimit: Number.isFinite(limit) && limit >= 3 ? limit : 0,
+        simplifyTolerance: Number.isFinite(tolerance) && tolerance > 0 ? tolerance : DEFAULT_DRAWING_SETTINGS.simplifyTolerance,
+        edgeLabels: Boolean(settings.edgeLabels),
+        snap: flag('snap'),
+        snapVertices: flag('snapVertices'),
+        snapEdges: flag('snapEdges'),
+        snapTolerance: Number.isFinite(snapTolerance) && snapTolerance > 0 ? Math.min(snapTolerance, 50) : DEFAULT_DRAWING_SETTINGS.snapTolerance,
+        snapGrid: flag('snapGrid'),
+        snapGridSize: Number.isFinite(snapGridSize) && snapGridSize > 0 ? snapGridSize : DEFAULT_DRAWING_SETTINGS.snapGridSize,
+        snapAngle: SNAP_ANGLES.some(angle => angle.id === snapAngle) ? snapAngle : 0
+    };
+};
+
+export const getDrawingSettings = () => {
+    try {
+        return normalizeDrawingSettings(JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {});
+    } catch {
+        return { ...DEFAULT_DRAWING_SETTINGS };
+    }
+};
+
+export const setDrawingSettings = (settings) => localStorage.setItem(SETTINGS_KEY, JSON.stringify(normalizeDrawingSettings(settings)));
+
+// True when `count` vertices leave no room for another one
+export const isVertexLimitReached = (count, vertexLimit) => vertexLimit > 0 && count >= vertexLimit;
@@ -1,150 +1,373 @@
-export const formatCoordinates = (points) => {
+import { toGeoJSON, toKML, toGeometryTable } from './gisFormats.js';
+import { generateReportHTML } from './reportApi.js';
+import { getGridPoints, normalizeGridSettings, resolveGridBearing, DEFAULT_GRID_SETTINGS } from './gridApi.js';
+import { computeAreaMetrics, computeCategoryAreas } from './metricsApi.js';
+import { MEASUREMENT_METHOD } from './geodesy.js';
+import { formatCoordinate, projectToUTMZone, DEFAULT_COORDINATE_FORMAT } from './coordinateFormats.js';
+import { restrictionRings, RESTRICTION_CATEGORIES } from './areasApi.js';
+import { describeShape } from './shapesApi.js';
+import { gridPointId, pointSurvey, surveyEntries, surveyGridKey, surveyProgress } from './surveyApi.js';
+
+export { isPointInPolygon, generateGridPoints } from './gridApi.js';
+
+// Decimal degrees always; `coordinate` adds the point in another display format
+export const formatCoordinates = (points, coordinateFormat = DEFAULT_COORDINATE_FORMAT) => {
     return points.map(p => ({
         lat: Number(p.lat.toFixed(6)),
-        lng: Number(p.lng.toFixed(6))
+        lng: Number(p.lng.toFixed(6)),
+        ...(coordinateFormat !== DEFAULT_COORDINATE_FORMAT && { coordinate: formatCoordinate(p, coordinateFormat) })
     }));
 };
 
-// Helper: Ray Casting Algorithm to check if a point is inside a polygon
-export const isPointInPolygon = (point, polygon) => {
-    const x = point.lat, y = point.lng;
-    let inside = false;
-    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
-        const xi = polygon[i].lat, yi = polygon[i].lng;
-        const xj = polygon[j].lat, yj = polygon[j].lng;
-
-        const intersect = ((yi > y) !== (yj > y)) &&
-            (x < (xj - xi) * (y - yi) / (yj - yi) + xi);
-        if (intersect) inside = !inside;
-    }
-    return inside;
+// Grid points with easting/northing in the UTM zone of the area, so the whole
+// grid shares one projected coordinate system
+export const projectGridPoints = (areaPoints, gridPoints) => {
+    const projected = projectToUTMZone(gridPoints, areaPoints[0]);
+    if (!projected) return { projection: null, points: gridPoints.map(() => null) };
+    return {
+        projection: { system: 'UTM', datum: 'WGS84', zone: projected.zone, hemisphere: projected.hemisphere },
+        points: projected.points.map(p => ({
+            easting: Number(p.easting.toFixed(3)),
+            northing: Number(p.northing.toFixed(3))
+        }))
+    };
 };
 
-// Helper: Generate grid points inside area excluding restrictions
-export const generateGridPoints = (areaPoints, restrictions, stepMeters = 5) => {
-    if (areaPoints.length < 3) return [];
-
-    // Calculate Bounding Box
-    const lats = areaPoints.map(p => p.lat);
-    const lngs = areaPoints.map(p => p.lng);
-    const minLat = Math.min(...lats);
-    const maxLat = Math.max(...lats);
-    const minLng = Math.min(...lngs);
-    const maxLng = Math.max(...lngs);
-
-    const gridPoints = [];
-
-    // Approximation: 1 deg lat ~ 111320m
-    const stepLat = stepMeters / 111320;
+// Grid settings as recorded in exports (with the bearing actually used)
+export const describeGridSettings = (areaPoints, gridSettings) => {
+    const settings = normalizeGridSettings(gridSettings);
+    return {
+        spacing_meters: settings.spacing,
+        layout: settings.layout,
+        rotation: settings.rotation,
+        bearing_degrees: Number(resolveGridBearing(areaPoints, settings).toFixed(2)),
+        boundary_buffer_meters: settings.boundaryBuffer,
+        restriction_buffer_meters: settings.restrictionBuffer,
+        projection: MEASUREMENT_METHOD.grid
+    };
+};
 
-    for (let lat = minLat; lat <= maxLat; lat += stepLat) {
-        // Calculate lng step based on current latitude (Mercator projection factor)
-        const stepLng = stepMeters / (111320 * Math.cos(lat * Math.PI / 180));
+// Area metrics as recorded in exports, with the method used to compute them.
+// restrictions are vertex rings (see restrictionRings)
+export const describeMetrics = (areaPoints, restrictions) => {
+    const metrics = computeAreaMetrics(areaPoints, restrictions);
+    return {
+        gross_area_m2: Number(metrics.grossArea.toFixed(2)),
+        restricted_area_m2: Number(metrics.restrictedArea.toFixed(2)),
+        net_area_m2: Number(metrics.netArea.toFixed(2)),
+        perimeter_m: Number(metrics.perimeter.toFixed(2)),
+        measurement_method: metrics.method
+    };
+};
 
-        for (let lng = minLng; lng <= maxLng; lng += stepLng) {
-            const point = { lat, lng };
+// Restricted area per restriction category, clipped to the area (restrictions
+// are { points, category } objects)
+export const describeCategoryAreas = (areaPoints, restrictions) => Object.fromEntries(
+    Object.entries(computeCategoryAreas(areaPoints, restrictions)).map(([category, area]) => [category, Number(area.toFixed(2))])
+);
 
-            // Check 1: Must be inside main area
-            if (isPointInPolygon(point, areaPoints)) {
-                // Check 2: Must NOT be inside any restriction
-                const isInRestriction = restrictions.some(restriction =>
-                    isPointInPolygon(point, restriction)
-                );
+// Totals over the per-area metrics (as returned by describeMetrics, plus
+// restricted_area_by_category_m2 when present)
+export const describeTotals = (metricsList) => {
+    const sum = (read) => Number(metricsList.reduce((acc, metrics) => acc + (read(metrics) || 0), 0).toFixed(2));
+    return {
+        areas: metricsList.length,
+        gross_area_m2: sum(metrics => metrics.gross_area_m2),
+        restricted_area_m2: sum(metrics => metrics.restricted_area_m2),
+        restricted_area_by_category_m2: Object.fromEntries(
+            RESTRICTION_CATEGORIES.map(({ id }) => [id, sum(metrics => metrics.restricted_area_by_category_m2?.[id])])
+        ),
+        net_area_m2: sum(metrics => metrics.net_area_m2),
+        perimeter_m: sum(metrics => metrics.perimeter_m),
+        measurement_method: MEASUREMENT_METHOD
+    };
+};
 
-                if (!isInRestriction) {
-                    gridPoints.push(point);
-                }
-            }
+// Helper: Per-area data shared by every export (internal grid points reused
+// from the on-screen grid when cached). surveyEntries are the point statuses
+// recorded on this very grid (see surveyApi).
+const prepareAreas = (areas, gridSettings) => areas.map(area => {
+    const rings = restrictionRings(area.restrictions);
+    return {
+        ...area,
+        grid: getGridPoints(area.points, rings, gridSettings),
+        surveyEntries: surveyEntries(area.survey, surveyGridKey(area.points, rings, gridSettings)),
+        metrics: {
+            ...describeMetrics(area.points, rings),
+            restricted_area_by_category_m2: describeCategoryAreas(area.points, area.restrictions)
         }
-    }
-    return gridPoints;
-};
+    };
+});
 
-export const generateExportData = (areaPoints, restrictions) => {
-    // Generate the internal grid points (default 5 meters step)
-    const internalPoints = generateGridPoints(areaPoints, restrictions, 5);
+// Session annotations ([{ id, lat, lng, text }], see measureApi) as recorded in exports
+export const describeAnnotations = (annotations = [], coordinateFormat = DEFAULT_COORDINATE_FORMAT) =>
+    formatCoordinates(annotations, coordinateFormat).map((point, index) => ({ id: annotations[index].id, ...point, text: annotations[index].text }));
+
+export const generateExportData = (areas, gridSettings = DEFAULT_GRID_SETTINGS, { coordinateFormat = DEFAULT_COORDINATE_FORMAT, annotations = [] } = {}) => {
+    const prepared = prepareAreas(areas, gridSettings);
+    const settings = normalizeGridSettings(gridSettings);
 
     return {
         timestamp: new Date().toISOString(),
         summary: {
-            total_area_points: areaPoints.length,
-            total_restrictions: restrictions.length,
-            generated_internal_points: internalPoints.length,
-            grid_resolution_meters: 5
-        },
-        area: {
-            vertices: formatCoordinates(areaPoints),
+            total_areas: prepared.length,
+            total_area_points: prepared.reduce((sum, area) => sum + area.points.length, 0),
+            total_restrictions: prepared.reduce((sum, area) => sum + area.restrictions.length, 0),
+            generated_internal_points: prepared.reduce((sum, area) => sum + area.grid.length, 0),
+            grid_resolution_meters: settings.spacing,
+            totals: describeTotals(prepared.map(area => area.metrics)),
+            coordinate_format: coordinateFormat,
+            annotations: annotations.length
         },
-        restrictions: restrictions.map((restriction, index) => ({
-            id: index + 1,
-            vertices: formatCoordinates(restriction)
-        })),
-        // The "all points" requested by the user
-        internal_grid_points: formatCoordinates(internalPoints)
+        areas: prepared.map(area => {
+            const projectedGrid = projectGridPoints(area.points, area.grid);
+            return {
+                id: area.id,
+                name: area.name,
+                place_name: area.placeName || null,
+                color: area.color,
+                summary: {
+                    area_points: area.points.length,
+                    restrictions: area.restrictions.length,
+                    generated_internal_points: area.grid.length,
+                    grid: describeGridSettings(area.points, gridSettings),
+                    survey_progress: surveyProgress(area.grid, area.surveyEntries),
+                    metrics: area.metrics,
+                    grid_projection: projectedGrid.projection
+                },
+                vertices: formatCoordinates(area.points, coordinateFormat),
+                restrictions: area.restrictions.map(restriction => ({
+                    id: restriction.id,
+                    name: restriction.name,
+                    category: restriction.category,
+                    notes: restriction.notes,
+                    shape: restriction.shape,
+                    vertices: formatCoordinates(restriction.points, coordinateFormat)
+                })),
+                // The "all points" requested by the user
+                internal_grid_points: formatCoordinates(area.grid, coordinateFormat)
+                    .map((point, index) => ({
+                        id: gridPointId(area.grid[index]),
+                        ...point,
+                        ...projectedGrid.points[index],
+                        ...pointSurvey(area.surveyEntries, area.grid[index])
+                    }))
+            };
+        }),
+        annotations: describeAnnotations(annotations, coordinateFormat)
     };
 };
 
-export const downloadJSON = (data, filename = 'map_data.json') => {
-    const jsonString = JSON.stringify(data, null, 2);
-    const blob = new Blob([jsonString], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = filename;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
-};
+// Helper: "  water: 120 m²" lines for the categories in use
+const categoryLines = (byCategory, usedCategories) => RESTRICTION_CATEGORIES
+    .filter(({ id }) => usedCategories.includes(id))
+    .map(({ id }) => `  ${id}: ${byCategory[id]} m²\n`)
+    .join('');
+
+// Plain-text report of the areas: vertices, extreme points, measurements and
+// restrictions per area, then the totals
+export const generateTextReport = (areas, { coordinateFormat = DEFAULT_COORDINATE_FORMAT, annotations = [] } = {}) => {
+    const format = (point) => formatCoordinate(point, coordinateFormat);
+    const metricsList = [];
 
-export const downloadText = (areaPoints, restrictions) => {
     let content = `COORDINATES REPORT - ${new Date().toLocaleString()}\n`;
+    content += `Coordinate format: ${coordinateFormat.toUpperCase()} (WGS84)\n`;
+    content += `Areas: ${areas.length}\n`;
     content += `${'='.repeat(50)}\n\n`;
 
-    // Main Area
-    content += `MAIN AREA (${areaPoints.length} points)\n`;
-    content += `${'-'.repeat(20)}\n`;
-    areaPoints.forEach((point, index) => {
-        content += `Point ${index + 1}: ${point.lat.toFixed(6)}, ${point.lng.toFixed(6)}\n`;
-    });
-    // Extreme Points for Area
-    if (areaPoints.length > 0) {
-        const northernmost = areaPoints.reduce((max, p) => p.lat > max.lat ? p : max);
-        const southernmost = areaPoints.reduce((min, p) => p.lat < min.lat ? p : min);
-        const easternmost = areaPoints.reduce((max, p) => p.lng > max.lng ? p : max);
-        const westernmost = areaPoints.reduce((min, p) => p.lng < min.lng ? p : min);
-
-        content += `EXTREME POINTS (Main Area)\n`;
+    areas.forEach(({ name, placeName, points: areaPoints, restrictions }) => {
+        content += `${'#'.repeat(50)}\n`;
+        content += `AREA: ${name}\n`;
+        if (placeName) content += `Place: ${placeName}\n`;
+        content += `${'#'.repeat(50)}\n\n`;
+
+        // Main Area
+        content += `VERTICES (${areaPoints.length} points)\n`;
         content += `${'-'.repeat(20)}\n`;
-        content += `North: ${northernmost.lat.toFixed(6)}, ${northernmost.lng.toFixed(6)}\n`;
-        content += `South:   ${southernmost.lat.toFixed(6)}, ${southernmost.lng.toFixed(6)}\n`;
-        content += `East:  ${easternmost.lat.toFixed(6)}, ${easternmost.lng.toFixed(6)}\n`;
-        content += `West: ${westernmost.lat.toFixed(6)}, ${westernmost.lng.toFixed(6)}\n\n`;
-    }
+        areaPoints.forEach((point, index) => {
+            content += `Point ${index + 1}: ${format(point)}\n`;
+        });
+        // Extreme Points for Area
+        if (areaPoints.length > 0) {
+            const northernmost = areaPoints.reduce((max, p) => p.lat > max.lat ? p : max);
+            const southernmost = areaPoints.reduce((min, p) => p.lat < min.lat ? p : min);
+            const easternmost = areaPoints.reduce((max, p) => p.lng > max.lng ? p : max);
+            const westernmost = areaPoints.reduce((min, p) => p.lng < min.lng ? p : min);
 
-    // Restrictions
-    if (restrictions.length > 0) {
-        content += `RESTRICTIONS (${restrictions.length} zones)\n`;
-        content += `${'='.repeat(50)}\n`;
-        restrictions.forEach((restriction, index) => {
-            content += `\nRestriction ${index + 1} (${restriction.length} points):\n`;
+            content += `EXTREME POINTS (${name})\n`;
             content += `${'-'.repeat(20)}\n`;
-            restriction.forEach((point, pIndex) => {
-                content += `  R${index + 1}.P${pIndex + 1}: ${point.lat.toFixed(6)}, ${point.lng.toFixed(6)}\n`;
+            content += `North: ${format(northernmost)}\n`;
+            content += `South:   ${format(southernmost)}\n`;
+            content += `East:  ${format(easternmost)}\n`;
+            content += `West: ${format(westernmost)}\n\n`;
+        }
+
+        // Measurements
+        if (areaPoints.length >= 3) {
+            const metrics = {
+                ...describeMetrics(areaPoints, restrictionRings(restrictions)),
+                restricted_area_by_category_m2: describeCategoryAreas(areaPoints, restrictions)
+            };
+            metricsList.push(metrics);
+            content += `MEASUREMENTS\n`;
+            content += `${'-'.repeat(20)}\n`;
+            content += `Gross area: ${metrics.gross_area_m2} m²\n`;
+            content += `Restricted area: ${metrics.restricted_area_m2} m²\n`;
+            content += categoryLines(metrics.restricted_area_by_category_m2, restrictions.map(r => r.category));
+            content += `Net area: ${metrics.net_area_m2} m²\n`;
+            content += `Perimeter: ${metrics.perimeter_m} m\n\n`;
+        }
+
+        // Restrictions
+        if (restrictions.length > 0) {
+            content += `RESTRICTIONS (${restrictions.length} zones)\n`;
+            content += `${'='.repeat(50)}\n`;
+            restrictions.forEach((restriction, index) => {
+                content += `\nRestriction ${index + 1}: ${restriction.name} (${restriction.points.length} points)\n`;
+                content += `ID: ${restriction.id}\n`;
+                content += `Category: ${restriction.category}\n`;
+                if (restriction.notes) content += `Notes: ${restriction.notes.replace(/\s*\n\s*/g, ' / ')}\n`;
+                content += `Shape: ${describeShape(restriction.shape)}\n`;
+                if (restriction.shape?.type === 'corridor') {
+                    restriction.shape.line.forEach((point, lIndex) => {
+                        content += `  Line ${lIndex + 1}: ${format(point)}\n`;
+                    });
+                } else if (restriction.shape) {
+                    content += `Center: ${format(restriction.shape.center)}\n`;
+                }
+                content += `${'-'.repeat(20)}\n`;
+                restriction.points.forEach((point, pIndex) => {
+                    content += `  R${index + 1}.P${pIndex + 1}: ${format(point)}\n`;
+                });
             });
+            content += `\n`;
+        } else {
+            content += `There are no restrictions registered.\n\n`;
+        }
+    });
+
+    // Totals
+    const totals = describeTotals(metricsList);
+    content += `${'='.repeat(50)}\n`;
+    content += `TOTALS (${totals.areas} areas)\n`;
+    content += `${'-'.repeat(20)}\n`;
+    content += `Gross area: ${totals.gross_area_m2} m²\n`;
+    content += `Restricted area: ${totals.restricted_area_m2} m²\n`;
+    content += categoryLines(totals.restricted_area_by_category_m2, areas.flatMap(area => area.restrictions.map(r => r.category)));
+    content += `Net area: ${totals.net_area_m2} m²\n`;
+    content += `Perimeter: ${totals.perimeter_m} m\n`;
+    content += `Method: ${MEASUREMENT_METHOD.ellipsoid} ellipsoid; distances by ${MEASUREMENT_METHOD.distance}; areas by ${MEASUREMENT_METHOD.area}\n`;
+
+    // Annotations
+    if (annotations.length > 0) {
+        content += `\nANNOTATIONS (${annotations.length})\n`;
+        content += `${'-'.repeat(20)}\n`;
+        annotations.forEach((annotation, index) => {
+            content += `N${index + 1}: ${format(annotation)} - ${annotation.text.replace(/\s*\n\s*/g, ' / ')}\n`;
         });
-    } else {
-        content += `There are no restrictions registered.\n`;
     }
 
-    const blob = new Blob([content], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `coordinates_report_${Date.now()}.txt`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+    return content;
+};
+
+// Helper: Quoted CSV field
+const csvText = (value) => `"${String(value).replace(/"/g, '""')}"`;
+
+// One row per grid point with its projected UTM easting/northing (in the zone
+// of its area), its lattice ID (grid_id) and survey status, note and value
+export const toGridPointTable = (areas, { coordinateFormat = DEFAULT_COORDINATE_FORMAT } = {}) => {
+    const withFormatted = coordinateFormat !== DEFAULT_COORDINATE_FORMAT;
+    const rows = [`area,id,grid_id,lat,lng,easting,northing,utm_zone,status,note,value${withFormatted ? ',coordinate' : ''}`];
+
+    areas.forEach(({ name, points: areaPoints, grid, surveyEntries: entries = {} }) => {
+        const { projection, points } = projectGridPoints(areaPoints, grid);
+        const zone = projection ? `${projection.zone}${projection.hemisphere}` : '';
+        const area = csvText(name);
+
+        grid.forEach((point, index) => {
+            const projected = points[index];
+            const { status, note, value } = pointSurvey(entries, point);
+            let row = `${area},G${index + 1},${gridPointId(point)},${point.lat.toFixed(6)},${point.lng.toFixed(6)},` +
+                `${projected ? projected.easting : ''},${projected ? projected.northing : ''},${zone},` +
+                `${status},${csvText(note)},${csvText(value)}`;
+            if (withFormatted) row += `,"${formatCoordinate(point, coordinateFormat)}"`;
+            rows.push(row);
+        });
+    });
+    return rows.join('\n') + '\n';
+};
+
+export const EXPORT_FORMATS = [
+    { id: 'txt', label: 'Reporte (TXT)' },
+    { id: 'json', label: 'API Data (JSON)' },
+    { id: 'geojson', label: 'GeoJSON (malla MultiPoint)' },
+    { id: 'geojson-points', label: 'GeoJSON (malla como Puntos)' },
+    { id: 'kml', label: 'KML (Google Earth)' },
+    { id: 'wkt', label: 'WKT (CSV)' },
+    { id: 'wkb', label: 'WKB hex (CSV)' },
+    { id: 'grid-csv', label: 'Malla con UTM (CSV)' },
+    { id: 'report-html', label: 'Informe imprimible (HTML)' },
+    { id: 'report-pdf', label: 'Informe (imprimir / PDF)', print: true }
+];
+
+// Helper: Printable report of the areas (see reportApi)
+const buildReport = (areas, gridSettings, { coordinateFormat, project, annotations }) => {
+    const prepared = prepareAreas(areas, gridSettings).map(area => ({
+        ...area,
+        gridDescription: describeGridSettings(area.points, gridSettings)
+    }));
+    return generateReportHTML(prepared, {
+        project,
+        coordinateFormat,
+        annotations,
+        totals: describeTotals(prepared.map(area => area.metrics))
+    });
+};
+
+// File of the areas ([{ id, name, color, placeName, points, restrictions }]), their
+// restrictions and internal grids in one of EXPORT_FORMATS, with per-area
+// sections and totals: { content, fileName, mimeType }. placeName (optional) is
+// the reverse-geocoded name of the area centroid. options.coordinateFormat
+// applies to the TXT, JSON, grid CSV and report exports; options.project
+// ({ name, createdAt, updatedAt }) heads the report; options.annotations (see
+// measureApi) go to every format but the grid CSV. Formats marked `print` need
+// a browser (see downloadApi).
+export const renderExport = (format, areas, gridSettings = DEFAULT_GRID_SETTINGS, options = {}) => {
+    const stamp = Date.now();
+    const { annotations = [] } = options;
+
+    switch (format) {
+        case 'txt':
+            return { content: generateTextReport(areas, options), fileName: `coordinates_report_${stamp}.txt`, mimeType: 'text/plain' };
+        case 'json':
+            return { content: JSON.stringify(generateExportData(areas, gridSettings, options), null, 2), fileName: 'map_data.json', mimeType: 'application/json' };
+        case 'geojson':
+        case 'geojson-points': {
+            const prepared = prepareAreas(areas, gridSettings);
+            const collection = toGeoJSON(
+                prepared.map(area => ({
+                    ...area,
+                    properties: { color: area.color, ...(area.placeName && { place_name: area.placeName }), ...area.metrics },
+                    gridProperties: describeGridSettings(area.points, gridSettings)
+                })),
+                {
+                    gridAs: format === 'geojson-points' ? 'points' : 'multipoint',
+                    metadata: { totals: describeTotals(prepared.map(area => area.metrics)) },
+                    annotations
+                }
+            );
+            return { content: JSON.stringify(collection, null, 2), fileName: `map_data_${stamp}.geojson`, mimeType: 'application/geo+json' };
+        }
+        case 'kml':
+            return { content: toKML(prepareAreas(areas, gridSettings), { annotations }), fileName: `map_data_${stamp}.kml`, mimeType: 'application/vnd.google-earth.kml+xml' };
+        case 'wkt':
+        case 'wkb':
+            return { content: toGeometryTable(prepareAreas(areas, gridSettings), { encoding: format, annotations }), fileName: `map_data_${stamp}_${format}.csv`, mimeType: 'text/csv' };
+        case 'grid-csv':
+            return { content: toGridPointTable(prepareAreas(areas, gridSettings), options), fileName: `grid_points_${stamp}.csv`, mimeType: 'text/csv' };
+        case 'report-html':
+            return { content: buildReport(areas, gridSettings, options), fileName: `survey_report_${stamp}.html`, mimeType: 'text/html' };
+        default:
+            throw new Error(`Unsupported export format: ${format}`);
+    }
 };
@@ -0,0 +1,209 @@
+import { createENUProjection, geodesicDistance } from './geodesy.js';
+
+// Geocoding behind a provider interface, so search can use public Nominatim,
+// a self-hosted Nominatim-compatible service or an offline gazetteer file.
+//
+// A provider is { search(query, { signal, limit }), reverse(point, { signal }), autocomplete }:
+// search resolves to [{ label, lat, lng, bounds? }] (bounds: [[south, west], [north, east]]),
+// reverse to a place name or null.
+//
+// Configuration comes from the settings saved in the browser, falling back to
+// the build environment:
+//   VITE_GEOCODER      provider id (nominatim, gazetteer, none)
+//   VITE_GEOCODER_URL  service base URL (nominatim) or JSON file URL (gazetteer)
+
+export const GEOCODER_PROVIDERS = [
+    { id: 'nominatim', label: 'Nominatim', defaultUrl: 'https://nominatim.openstreetmap.org' },
+    { id: 'gazetteer', label: 'Nomenclátor local (JSON)', defaultUrl: '/gazetteer.json' },
+    { id: 'none', label: 'Desactivado', defaultUrl: '' }
+];
+
+// The public OSM instance forbids autocomplete (usage policy): search on submit only
+const PUBLIC_NOMINATIM = 'https://nominatim.openstreetmap.org';
+
+// Gazetteer entries farther than this from a point are not used as its place name
+const GAZETTEER_REVERSE_RADIUS = 10000;
+
+const SETTINGS_KEY = 'pdr-test:geocoder';
+
+const providerById = (id) => GEOCODER_PROVIDERS.find(provider => provider.id === id);
+
+export const normalizeGeocoderSettings = (settings = {}) => {
+    const provider = providerById(settings.provider) || providerById(import.meta.env?.VITE_GEOCODER) || GEOCODER_PROVIDERS[0];
+    const url = typeof settings.url === 'string' && settings.url.trim()
+        ? settings.url.trim()
+        : (provider.id === import.meta.env?.VITE_GEOCODER && import.meta.env?.VITE_GEOCODER_URL) || provider.defaultUrl;
+    return { provider: provider.id, url };
+};
+
+export const getGeocoderSettings = () => {
+    try {
+        return normalizeGeocoderSettings(JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {});
+    } catch {
+        return normalizeGeocoderSettings();
+    }
+};
+
+export const setGeocoderSettings = (settings) => localStorage.setItem(SETTINGS_KEY, JSON.stringify(normalizeGeocoderSettings(settings)));
+
+// Helper: fetch JSON, with the HTTP status in the error
+const fetchJSON = async (url, signal) => {
+    const response = await fetch(url, { signal, headers: { Accept: 'application/json' } });
+    if (!response.ok) throw new Error(`El geocodificador respondió ${response.status}`);
+    return response.json();
+};
+
+// ---------------------------------------------------------------------------
+// Nominatim (public or self-hosted)
+// ---------------------------------------------------------------------------
+
+const createNominatimProvider = (baseUrl) => {
+    const base = baseUrl.replace(/\/+$/, '');
+    return {
+        autocomplete: base !== PUBLIC_NOMINATIM,
+        async search(query, { signal, limit = 8 } = {}) {
+            const data = await fetchJSON(`${base}/search?format=json&limit=${limit}&q=${encodeURIComponent(query)}`, signal);
+            return (Array.isArray(data) ? data : []).map(item => {
+                const [south, north, west, east] = (item.boundingbox || []).map(Number);
+                return {
+                    label: item.display_name,
+                    lat: Number(item.lat),
+                    lng: Number(item.lon),
+                    ...(Number.isFinite(south) && Number.isFinite(east) && { bounds: [[south, west], [north, east]] })
+                };
+            });
+        },
+        async reverse(point, { signal } = {}) {
+            const data = await fetchJSON(`${base}/reverse?format=json&zoom=16&lat=${point.lat}&lon=${point.lng}`, signal);
+            return data?.display_name || null;
+        }
+    };
+};
+
+// ---------------------------------------------------------------------------
+// Offline gazetteer: a JSON file with [{ name, lat, lng }] or a GeoJSON
+// FeatureCollection of named Points
+// ---------------------------------------------------------------------------
+
+// Helper: Lower case without accents, for matching
+const foldText = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+export const parseGazetteer = (data) => {
+    const entries = data?.type === 'FeatureCollection'
+        ? (data.features || [])
+            .filter(feature => feature?.geometry?.type === 'Point')
+            .map(feature => ({
+                name: feature.properties?.name,
+                lat: Number(feature.geometry.coordinates[1]),
+                lng: Number(feature.geometry.coordinates[0])
+            }))
+        : (Array.isArray(data) ? data : []).map(entry => ({ name: entry.name, lat: Number(entry.lat), lng: Number(entry.lng ?? entry.lon) }));
+
+    return entries
+        .filter(entry => typeof entry.name === 'string' && Number.isFinite(entry.lat) && Number.isFinite(entry.lng))
+        .map(entry => ({ ...entry, key: foldText(entry.name) }));
+};
+
+const createGazetteerProvider = (url) => {
+    let entries = null;
+    const load = async (signal) => {
+        if (!entries) entries = parseGazetteer(await fetchJSON(url, signal));
+        return entries;
+    };
+
+    return {
+        autocomplete: true,
+        async search(query, { signal, limit = 8 } = {}) {
+            const key = foldText(query.trim());
+            const matches = (await load(signal)).filter(entry => entry.key.includes(key));
+            // Names starting with the query first
+            matches.sort((a, b) => Number(b.key.startsWith(key)) - Number(a.key.startsWith(key)) || a.name.localeCompare(b.name));
+            return matches.slice(0, limit).map(({ name, lat, lng }) => ({ label: name, lat, lng }));
+        },
+        async reverse(point, { signal } = {}) {
+            let nearest = null;
+            let nearestDistance = GAZETTEER_REVERSE_RADIUS;
+            (await load(signal)).forEach(entry => {
+                const distance = geodesicDistance(point, entry);
+                if (distance < nearestDistance) {
+                    nearest = entry;
+                    nearestDistance = distance;
+                }
+            });
+            return nearest?.name || null;
+        }
+    };
+};
+
+const DISABLED_PROVIDER = {
+    autocomplete: false,
+    search: async () => { throw new Error('La búsqueda de lugares está desactivada'); },
+    reverse: async () => null
+};
+
+// Provider for the given settings (see normalizeGeocoderSettings)
+export const createGeocoder = (settings) => {
+    const { provider, url } = normalizeGeocoderSettings(settings);
+    switch (provider) {
+        case 'nominatim':
+            return createNominatimProvider(url);
+        case 'gazetteer':
+            return createGazetteerProvider(url);
+        default:
+            return DISABLED_PROVIDER;
+    }
+};
+
+// ---------------------------------------------------------------------------
+// Reverse geocoding for exports
+// ---------------------------------------------------------------------------
+
+// Area-weighted centroid of a ring (in a local plane around its first vertex)
+export const ringCentroid = (points) => {
+    if (points.length === 0) return null;
+    const projection = createENUProjection(points[0]);
+    const planar = points.map(projection.forward);
+    let area = 0, cx = 0, cy = 0;
+    planar.forEach(([x1, y1], i) => {
+        const [x2, y2] = planar[(i + 1) % planar.length];
+        const cross = x1 * y2 - x2 * y1;
+        area += cross;
+        cx += (x1 + x2) * cross;
+        cy += (y1 + y2) * cross;
+    });
+    if (Math.abs(area) < 1e-9) {
+        // Degenerate ring: plain average
+        return projection.inverse([
+            planar.reduce((sum, [x]) => sum + x, 0) / planar.length,
+            planar.reduce((sum, [, y]) => sum + y, 0) / planar.length
+        ]);
+    }
+    return projection.inverse([cx / (3 * area), cy / (3 * area)]);
+};
+
+const placeCache = new Map();
+
+// Place name of each area's centroid, keyed by area id. Failures (offline,
+// provider down, nothing nearby) leave the area out instead of failing the export.
+export const resolvePlaceNames = async (areas, geocoder, { timeout = 5000 } = {}) => {
+    const names = new Map();
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        for (const area of areas) {
+            const centroid = ringCentroid(area.points);
+            if (!centroid) continue;
+            const key = `${centroid.lat.toFixed(4)},${centroid.lng.toFixed(4)}`;
+            try {
+                if (!placeCache.has(key)) placeCache.set(key, await geocoder.reverse(centroid, { signal: controller.signal }));
+                if (placeCache.get(key)) names.set(area.id, placeCache.get(key));
+            } catch (error) {
+                console.warn('Reverse geocoding failed:', error.message);
+            }
+        }
+    } finally {
+        clearTimeout(timer);
+    }
+    return names;
+};
@@ -0,0 +1,326 @@
+// WGS84 geodesy shared by the UI, the grid generator and the exports:
+// ellipsoidal distance/area/perimeter, a local ENU tangent-plane projection
+// (true metres around an origin) and UTM.
+
+export const WGS84 = {
+    a: 6378137,
+    f: 1 / 298.257223563
+};
+
+const a = WGS84.a;
+const f = WGS84.f;
+const b = a * (1 - f);
+const e2 = f * (2 - f);
+const e = Math.sqrt(e2);
+
+const toRad = (deg) => deg * Math.PI / 180;
+const toDeg = (rad) => rad * 180 / Math.PI;
+
+// Describes how the measurements are computed, for the UI and the exports
+export const MEASUREMENT_METHOD = {
+    ellipsoid: 'WGS84',
+    distance: 'Vincenty inverse (WGS84)',
+    area: 'Geodesic polygon on the WGS84 authalic sphere',
+    grid: 'Local ENU tangent plane (metres)'
+};
+
+// ---------------------------------------------------------------------------
+// Distance and bearing
+// ---------------------------------------------------------------------------
+
+// Helper: Haversine on the mean sphere, fallback for (near-)antipodal points
+const sphericalInverse = (p1, p2) => {
+    const R = 6371008.8;
+    const φ1 = toRad(p1.lat);
+    const φ2 = toRad(p2.lat);
+    const Δφ = φ2 - φ1;
+    const Δλ = toRad(p2.lng - p1.lng);
+    const h = Math.sin(Δφ / 2) ** 2 + Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) ** 2;
+    const y = Math.sin(Δλ) * Math.cos(φ2);
+    const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+    return {
+        distance: 2 * R * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h)),
+        initialBearing: (toDeg(Math.atan2(y, x)) + 360) % 360
+    };
+};
+
+// Vincenty inverse: distance in metres and initial bearing (degrees from north)
+export const geodesicInverse = (p1, p2) => {
+    const L = toRad(p2.lng - p1.lng);
+    const U1 = Math.atan((1 - f) * Math.tan(toRad(p1.lat)));
+    const U2 = Math.atan((1 - f) * Math.tan(toRad(p2.lat)));
+    const sinU1 = Math.sin(U1), cosU1 = Math.cos(U1);
+    const sinU2 = Math.sin(U2), cosU2 = Math.cos(U2);
+
+    let λ = L;
+    let sinλ, cosλ, sinσ, cosσ, σ, cos2α, cos2σm;
+    let iterations = 0;
+    let previous;
+
+    do {
+        sinλ = Math.sin(λ);
+        cosλ = Math.cos(λ);
+        sinσ = Math.sqrt((cosU2 * sinλ) ** 2 + (cosU1 * sinU2 - sinU1 * cosU2 * cosλ) ** 2);
+        if (sinσ === 0) return { distance: 0, initialBearing: 0 }; // coincident points
+        cosσ = sinU1 * sinU2 + cosU1 * cosU2 * cosλ;
+        σ = Math.atan2(sinσ, cosσ);
+        const sinα = cosU1 * cosU2 * sinλ / sinσ;
+        cos2α = 1 - sinα * sinα;
+        cos2σm = cos2α !== 0 ? cosσ - 2 * sinU1 * sinU2 / cos2α : 0; // equatorial line
+        const C = f / 16 * cos2α * (4 + f * (4 - 3 * cos2α));
+        previous = λ;
+        λ = L + (1 - C) * f * sinα * (σ + C * sinσ * (cos2σm + C * cosσ * (-1 + 2 * cos2σm * cos2σm)));
+    } while (Math.abs(λ - previous) > 1e-12 && ++iterations < 200);
+
+    if (iterations >= 200) return sphericalInverse(p1, p2);
+
+    const u2 = cos2α * (a * a - b * b) / (b * b);
+    const A = 1 + u2 / 16384 * (4096 + u2 * (-768 + u2 * (320 - 175 * u2)));
+    const B = u2 / 1024 * (256 + u2 * (-128 + u2 * (74 - 47 * u2)));
+    const Δσ = B * sinσ * (cos2σm + B / 4 * (cosσ * (-1 + 2 * cos2σm * cos2σm) -
+        B / 6 * cos2σm * (-3 + 4 * sinσ * sinσ) * (-3 + 4 * cos2σm * cos2σm)));
+
+    const α1 = Math.atan2(cosU2 * sinλ, cosU1 * sinU2 - sinU1 * cosU2 * cosλ);
+
+    return {
+        distance: b * A * (σ - Δσ),
+        initialBearing: (toDeg(α1) + 360) % 360
+    };
+};
+
+export const geodesicDistance = (p1, p2) => geodesicInverse(p1, p2).distance;
+
+export const geodesicBearing = (p1, p2) => geodesicInverse(p1, p2).initialBearing;
+
+// Perimeter of a ring (closed when it has 3+ points) or length of a 2-point line
+export const geodesicPerimeter = (points) => {
+    if (points.length < 2) return 0;
+    let perimeter = 0;
+    for (let i = 0; i < points.length - 1; i++) {
+        perimeter += geodesicDistance(points[i], points[i + 1]);
+    }
+    if (points.length >= 3) {
+        perimeter += geodesicDistance(points[points.length - 1], points[0]);
+    }
+    return perimeter;
+};
+
+// ---------------------------------------------------------------------------
+// Area
+// ---------------------------------------------------------------------------
+
+// Helper: q(φ) of the authalic latitude formulas
+const authalicQ = (sinφ) =>
+    (1 - e2) * (sinφ / (1 - e2 * sinφ * sinφ) - (1 / (2 * e)) * Math.log((1 - e * sinφ) / (1 + e * sinφ)));
+
+const qPole = authalicQ(1);
+const authalicRadius = a * Math.sqrt(qPole / 2);
+
+const authalicLatitude = (lat) => Math.asin(Math.max(-1, Math.min(1, authalicQ(Math.sin(toRad(lat))) / qPole)));
+
+// Area in m² of a ring on the WGS84 ellipsoid. Latitudes are mapped to the
+// authalic sphere (equal-area with the ellipsoid) and the exact spherical
+// excess of the great-circle polygon is summed edge by edge.
+export const geodesicArea = (points) => {
+    if (points.length < 3) return 0;
+    let excess = 0;
+
+    for (let i = 0; i < points.length; i++) {
+        const p1 = points[i];
+        const p2 = points[(i + 1) % points.length];
+        let Δλ = toRad(p2.lng - p1.lng);
+        if (Δλ > Math.PI) Δλ -= 2 * Math.PI;
+        if (Δλ < -Math.PI) Δλ += 2 * Math.PI;
+
+        const t1 = Math.tan(authalicLatitude(p1.lat) / 2);
+        const t2 = Math.tan(authalicLatitude(p2.lat) / 2);
+        excess += 2 * Math.atan2(Math.tan(Δλ / 2) * (t1 + t2), 1 + t1 * t2);
+    }
+
+    return Math.abs(excess) * authalicRadius * authalicRadius;
+};
+
+// Area of clipped polygons ({ outer, holes }) in m²
+export const geodesicMultiPolygonArea = (polygons) => polygons.reduce((acc, { outer, holes }) =>
+    acc + geodesicArea(outer) - holes.reduce((sum, hole) => sum + geodesicArea(hole), 0), 0);
+
+// ---------------------------------------------------------------------------
+// Local ENU (east/north/up) tangent plane
+// ---------------------------------------------------------------------------
+
+const geodeticToECEF = (lat, lng, h = 0) => {
+    const φ = toRad(lat), λ = toRad(lng);
+    const sinφ = Math.sin(φ);
+    const N = a / Math.sqrt(1 - e2 * sinφ * sinφ);
+    return [
+        (N + h) * Math.cos(φ) * Math.cos(λ),
+        (N + h) * Math.cos(φ) * Math.sin(λ),
+        (N * (1 - e2) + h) * sinφ
+    ];
+};
+
+const ecefToGeodetic = ([X, Y, Z]) => {
+    const p = Math.hypot(X, Y);
+    let φ = Math.atan2(Z, p * (1 - e2));
+    let h = 0;
+    for (let i = 0; i < 5; i++) {
+        const sinφ = Math.sin(φ);
+        const N = a / Math.sqrt(1 - e2 * sinφ * sinφ);
+        h = p / Math.cos(φ) - N;
+        φ = Math.atan2(Z, p * (1 - e2 * N / (N + h)));
+    }
+    return { lat: toDeg(φ), lng: toDeg(Math.atan2(Y, X)), h };
+};
+
+// Projection to metres east (x) / north (y) of `origin` on its tangent plane.
+// inverse() returns the ellipsoid point whose projection is [x, y].
+export const createENUProjection = (origin) => {
+    const φ0 = toRad(origin.lat), λ0 = toRad(origin.lng);
+    const sinφ0 = Math.sin(φ0), cosφ0 = Math.cos(φ0);
+    const sinλ0 = Math.sin(λ0), cosλ0 = Math.cos(λ0);
+    const [X0, Y0, Z0] = geodeticToECEF(origin.lat, origin.lng);
+
+    const toENU = ([X, Y, Z]) => {
+        const dX = X - X0, dY = Y - Y0, dZ = Z - Z0;
+        return [
+            -sinλ0 * dX + cosλ0 * dY,
+            -sinφ0 * cosλ0 * dX - sinφ0 * sinλ0 * dY + cosφ0 * dZ,
+            cosφ0 * cosλ0 * dX + cosφ0 * sinλ0 * dY + sinφ0 * dZ
+        ];
+    };
+
+    const fromENU = ([east, north, up]) => ecefToGeodetic([
+        X0 - sinλ0 * east - sinφ0 * cosλ0 * north + cosφ0 * cosλ0 * up,
+        Y0 + cosλ0 * east - sinφ0 * sinλ0 * north + cosφ0 * sinλ0 * up,
+        Z0 + cosφ0 * north + sinφ0 * up
+    ]);
+
+    return {
+        forward: (p) => {
+            const [east, north] = toENU(geodeticToECEF(p.lat, p.lng));
+            return [east, north];
+        },
+        inverse: ([east, north]) => {
+            // Find the "up" that puts the point back on the ellipsoid surface
+            let up = -(east * east + north * north) / (2 * a);
+            let point = fromENU([east, north, up]);
+            for (let i = 0; i < 3; i++) {
+                up -= point.h;
+                point = fromENU([east, north, up]);
+            }
+            return { lat: point.lat, lng: point.lng };
+        }
+    };
+};
+
+// ---------------------------------------------------------------------------
+// UTM (Krüger series, accurate to well below a millimetre within a zone)
+// ---------------------------------------------------------------------------
+
+const UTM_K0 = 0.9996;
+const n = f / (2 - f);
+const UTM_A = a / (1 + n) * (1 + n ** 2 / 4 + n ** 4 / 64 + n ** 6 / 256);
+
+const KRUGER_ALPHA = [
+    n / 2 - 2 / 3 * n ** 2 + 5 / 16 * n ** 3 + 41 / 180 * n ** 4 - 127 / 288 * n ** 5 + 7891 / 37800 * n ** 6,
+    13 / 48 * n ** 2 - 3 / 5 * n ** 3 + 557 / 1440 * n ** 4 + 281 / 630 * n ** 5 - 1983433 / 1935360 * n ** 6,
+    61 / 240 * n ** 3 - 103 / 140 * n ** 4 + 15061 / 26880 * n ** 5 + 167603 / 181440 * n ** 6,
+    49561 / 161280 * n ** 4 - 179 / 168 * n ** 5 + 6601661 / 7257600 * n ** 6,
+    34729 / 80640 * n ** 5 - 3418889 / 1995840 * n ** 6,
+    212378941 / 319334400 * n ** 6
+];
+
+const KRUGER_BETA = [
+    n / 2 - 2 / 3 * n ** 2 + 37 / 96 * n ** 3 - 1 / 360 * n ** 4 - 81 / 512 * n ** 5 + 96199 / 604800 * n ** 6,
+    1 / 48 * n ** 2 + 1 / 15 * n ** 3 - 437 / 1440 * n ** 4 + 46 / 105 * n ** 5 - 1118711 / 3870720 * n ** 6,
+    17 / 480 * n ** 3 - 37 / 840 * n ** 4 - 209 / 4480 * n ** 5 + 5569 / 90720 * n ** 6,
+    4397 / 161280 * n ** 4 - 11 / 504 * n ** 5 - 830251 / 7257600 * n ** 6,
+    4583 / 161280 * n ** 5 - 108847 / 3991680 * n ** 6,
+    20648693 / 638668800 * n ** 6
+];
+
+// UTM zone for a position, including the Norway and Svalbard exceptions
+export const utmZone = (lat, lng) => {
+    let zone = Math.floor((lng + 180) / 6) + 1;
+    if (zone > 60) zone = 60;
+    if (lat >= 56 && lat < 64 && lng >= 3 && lng < 12) zone = 32;
+    if (lat >= 72 && lat < 84 && lng >= 0) {
+        if (lng < 9) zone = 31;
+        else if (lng < 21) zone = 33;
+        else if (lng < 33) zone = 35;
+        else if (lng < 42) zone = 37;
+    }
+    return zone;
+};
+
+const centralMeridian = (zone) => toRad((zone - 1) * 6 - 180 + 3);
+
+// {lat, lng} -> { zone, hemisphere: 'N' | 'S', easting, northing }.
+// `zone` can be forced (e.g. to keep a whole area in one zone).
+export const toUTM = ({ lat, lng }, zone = utmZone(lat, lng)) => {
+    if (lat < -80 || lat > 84) {
+        throw new RangeError(`Latitude ${lat} is outside the UTM range (-80..84)`);
+    }
+
+    const φ = toRad(lat);
+    const λ = toRad(lng) - centralMeridian(zone);
+    const cosλ = Math.cos(λ), sinλ = Math.sin(λ);
+
+    const τ = Math.tan(φ);
+    const σ = Math.sinh(e * Math.atanh(e * τ / Math.sqrt(1 + τ * τ)));
+    const τʹ = τ * Math.sqrt(1 + σ * σ) - σ * Math.sqrt(1 + τ * τ);
+
+    const ξʹ = Math.atan2(τʹ, cosλ);
+    const ηʹ = Math.asinh(sinλ / Math.sqrt(τʹ * τʹ + cosλ * cosλ));
+
+    let ξ = ξʹ;
+    let η = ηʹ;
+    KRUGER_ALPHA.forEach((α, i) => {
+        const j = 2 * (i + 1);
+        ξ += α * Math.sin(j * ξʹ) * Math.cosh(j * ηʹ);
+        η += α * Math.cos(j * ξʹ) * Math.sinh(j * ηʹ);
+    });
+
+    return {
+        zone,
+        hemisphere: lat >= 0 ? 'N' : 'S',
+        easting: UTM_K0 * UTM_A * η + 500000,
+        northing: UTM_K0 * UTM_A * ξ + (lat >= 0 ? 0 : 10000000)
+    };
+};
+
+// { zone, hemisphere, easting, northing } -> {lat, lng}
+export const fromUTM = ({ zone, hemisphere, easting, northing }) => {
+    const x = easting - 500000;
+    const y = hemisphere === 'S' ? northing - 10000000 : northing;
+
+    const η = x / (UTM_K0 * UTM_A);
+    const ξ = y / (UTM_K0 * UTM_A);
+
+    let ξʹ = ξ;
+    let ηʹ = η;
+    KRUGER_BETA.forEach((β, i) => {
+        const j = 2 * (i + 1);
+        ξʹ -= β * Math.sin(j * ξ) * Math.cosh(j * η);
+        ηʹ -= β * Math.cos(j * ξ) * Math.sinh(j * η);
+    });
+
+    const sinhηʹ = Math.sinh(ηʹ);
+    const sinξʹ = Math.sin(ξʹ), cosξʹ = Math.cos(ξʹ);
+    const τʹ = sinξʹ / Math.sqrt(sinhηʹ * sinhηʹ + cosξʹ * cosξʹ);
+
+    let τi = τʹ;
+    for (let i = 0; i < 10; i++) {
+        const σi = Math.sinh(e * Math.atanh(e * τi / Math.sqrt(1 + τi * τi)));
+        const τiʹ = τi * Math.sqrt(1 + σi * σi) - σi * Math.sqrt(1 + τi * τi);
+        const δτi = (τʹ - τiʹ) / Math.sqrt(1 + τiʹ * τiʹ) *
+            (1 + (1 - e2) * τi * τi) / ((1 - e2) * Math.sqrt(1 + τi * τi));
+        τi += δτi;
+        if (Math.abs(δτi) < 1e-12) break;
+    }
+
+    return {
+        lat: toDeg(Math.atan(τi)),
+        lng: toDeg(Math.atan2(sinhηʹ, cosξʹ) + centralMeridian(zone))
+    };
+};
@@ -0,0 +1,344 @@
+import { RESTRICTION_CATEGORIES } from './areasApi.js';
+
+// Standards-based serializers (GeoJSON, KML, GPX, WKT, WKB) for the survey areas,
+// their restrictions and internal grids. All coordinates are written in
+// WGS84 longitude/latitude order, as the specs require. Restrictions are
+// { id, name, category, notes, points, shape } objects; their attributes and
+// shape (rectangle, circle, corridor) are written alongside the polygon so
+// they can be edited again after import. Session annotations ({ id, lat, lng,
+// text }, see measureApi) are written as points with the role "annotation".
+
+const PRECISION = 6;
+
+const round = (value) => Number(value.toFixed(PRECISION));
+
+// Helper: Convert a list of {lat, lng} points into a closed [lng, lat] ring
+const toRing = (points) => {
+    const ring = points.map(p => [round(p.lng), round(p.lat)]);
+    if (ring.length > 0) {
+        ring.push([...ring[0]]);
+    }
+    return ring;
+};
+
+// Helper: Shoelace signed area in degrees (positive = counter-clockwise)
+const signedRingArea = (ring) => {
+    let sum = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    }
+    return sum / 2;
+};
+
+// Helper: Force a ring orientation (RFC 7946: exterior CCW, holes CW)
+const orientRing = (ring, counterClockwise) => {
+    const isCCW = signedRingArea(ring) > 0;
+    return isCCW === counterClockwise ? ring : [...ring].reverse();
+};
+
+const ringsOf = (restrictions) => restrictions.map(restriction => restriction.points);
+
+const polygonRings = (outer, holes = []) => [
+    orientRing(toRing(outer), true),
+    ...holes.map(hole => orientRing(toRing(hole), false))
+];
+
+const escapeXML = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// ---------------------------------------------------------------------------
+// GeoJSON
+// ---------------------------------------------------------------------------
+
+// areas: [{ id, name, points, restrictions, grid, properties, gridProperties }].
+// gridAs: 'multipoint' emits a single MultiPoint feature per area, 'points' one Point feature per grid point.
+// gridProperties (shared, then per area) are copied onto the grid feature(s),
+// e.g. the grid settings; area.properties onto the area feature, e.g. its metrics. `metadata` (e.g.
+// totals over all areas) is written as a foreign member of the collection.
+export const toGeoJSON = (areas, { gridAs = 'multipoint', gridProperties = {}, metadata, annotations = [] } = {}) => {
+    const features = [];
+
+    areas.forEach(area => {
+        const { id, name, points, restrictions, grid = [] } = area;
+        const areaGridProperties = { ...gridProperties, ...area.gridProperties };
+
+        features.push({
+            type: 'Feature',
+            id,
+            properties: {
+                role: 'area',
+                area_id: id,
+                name,
+                vertices: points.length,
+                restrictions: restrictions.length,
+                ...area.properties
+            },
+            geometry: {
+                type: 'Polygon',
+                coordinates: polygonRings(points, ringsOf(restrictions))
+            }
+        });
+
+        restrictions.forEach((restriction, index) => {
+            features.push({
+                type: 'Feature',
+                id: restriction.id,
+                properties: {
+                    role: 'restriction',
+                    area_id: id,
+                    area_name: name,
+                    name: restriction.name,
+                    category: restriction.category,
+                    notes: restriction.notes,
+                    index: index + 1,
+                    vertices: restriction.points.length,
+                    ...(restriction.shape && { shape: restriction.shape })
+                },
+                geometry: {
+                    type: 'Polygon',
+                    coordinates: polygonRings(restriction.points)
+                }
+            });
+        });
+
+        if (grid.length > 0) {
+            if (gridAs === 'points') {
+                grid.forEach((point, index) => {
+                    features.push({
+                        type: 'Feature',
+                        id: `${id}-grid-${index + 1}`,
+                        properties: { role: 'grid_point', area_id: id, index: index + 1, ...areaGridProperties },
+                        geometry: { type: 'Point', coordinates: [round(point.lng), round(point.lat)] }
+                    });
+                });
+            } else {
+                features.push({
+                    type: 'Feature',
+                    id: `${id}-grid`,
+                    properties: { role: 'grid', area_id: id, points: grid.length, ...areaGridProperties },
+                    geometry: {
+                        type: 'MultiPoint',
+                        coordinates: grid.map(p => [round(p.lng), round(p.lat)])
+                    }
+                });
+            }
+        }
+    });
+
+    annotations.forEach((annotation, index) => {
+        features.push({
+            type: 'Feature',
+            id: annotation.id,
+            properties: { role: 'annotation', index: index + 1, text: annotation.text },
+            geometry: { type: 'Point', coordinates: [round(annotation.lng), round(annotation.lat)] }
+        });
+    });
+
+    return { type: 'FeatureCollection', ...(metadata && { metadata }), features };
+};
+
+// ---------------------------------------------------------------------------
+// KML (Google Earth)
+// ---------------------------------------------------------------------------
+
+const kmlCoordinates = (ring) => ring.map(([lng, lat]) => `${lng},${lat},0`).join(' ');
+
+const kmlPolygon = (outer, holes = []) => {
+    const [outerRing, ...holeRings] = polygonRings(outer, holes);
+    let xml = `<Polygon><outerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(outerRing)}</coordinates></LinearRing></outerBoundaryIs>`;
+    holeRings.forEach(ring => {
+        xml += `<innerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(ring)}</coordinates></LinearRing></innerBoundaryIs>`;
+    });
+    return `${xml}</Polygon>`;
+};
+
+// Data (at least the role, so the importer can tell areas from restrictions)
+// goes to ExtendedData; object values such as a restriction shape as JSON
+const kmlPlacemark = (name, styleUrl, geometry, data = { role: styleUrl }) => {
+    const extended = Object.entries(data)
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([key, value]) => `<Data name="${key}"><value>${escapeXML(typeof value === 'object' ? JSON.stringify(value) : value)}</value></Data>`)
+        .join('');
+    return `      <Placemark><name>${escapeXML(name)}</name><styleUrl>#${styleUrl}</styleUrl>` +
+        `<ExtendedData>${extended}</ExtendedData>${geometry}</Placemark>\n`;
+};
+
+// #rrggbb -> KML aabbggrr
+const kmlColor = (hex, alpha) => `${alpha}${hex.slice(5, 7)}${hex.slice(3, 5)}${hex.slice(1, 3)}`;
+
+// One Folder per area with its polygon, restrictions and grid, plus one for the
+// annotations. KML colours are aabbggrr
+export const toKML = (areas, { name = 'PDR Test Area', annotations = [] } = {}) => {
+    let kml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    kml += '<kml xmlns="http://www.opengis.net/kml/2.2">\n';
+    kml += '  <Document>\n';
+    kml += `    <name>${escapeXML(name)}</name>\n`;
+    kml += '    <Style id="area"><LineStyle><color>ffe2904a</color><width>3</width></LineStyle><PolyStyle><color>59e2904a</color></PolyStyle></Style>\n';
+    RESTRICTION_CATEGORIES.forEach(({ id, color }) => {
+        kml += `    <Style id="restriction-${id}"><LineStyle><color>${kmlColor(color, 'ff')}</color><width>3</width></LineStyle><PolyStyle><color>${kmlColor(color, '59')}</color></PolyStyle></Style>\n`;
+    });
+    kml += '    <Style id="grid"><IconStyle><scale>0.4</scale><Icon><href>http://maps.google.com/mapfiles/kml/shapes/placemark_circle.png</href></Icon></IconStyle></Style>\n';
+    kml += '    <Style id="annotation"><IconStyle><color>ffad448e</color><Icon><href>http://maps.google.com/mapfiles/kml/pushpin/wht-pushpin.png</href></Icon></IconStyle></Style>\n';
+
+    areas.forEach(({ name: areaName, placeName, points, restrictions, grid = [] }) => {
+        kml += `    <Folder><name>${escapeXML(areaName)}</name>\n`;
+        kml += kmlPlacemark(areaName, 'area', kmlPolygon(points, ringsOf(restrictions)), { role: 'area', place_name: placeName });
+
+        restrictions.forEach(restriction => {
+            kml += kmlPlacemark(restriction.name, `restriction-${restriction.category}`, kmlPolygon(restriction.points), {
+                role: 'restriction',
+                restriction_id: restriction.id,
+                category: restriction.category,
+                notes: restriction.notes,
+                shape: restriction.shape
+            });
+        });
+
+        grid.forEach((point, index) => {
+            kml += kmlPlacemark(`G${index + 1}`, 'grid', `<Point><coordinates>${round(point.lng)},${round(point.lat)},0</coordinates></Point>`, { role: 'grid_point' });
+        });
+
+        kml += '    </Folder>\n';
+    });
+
+    if (annotations.length > 0) {
+        kml += '    <Folder><name>Annotations</name>\n';
+        annotations.forEach((annotation, index) => {
+            kml += kmlPlacemark(annotation.text || `N${index + 1}`, 'annotation',
+                `<Point><coordinates>${round(annotation.lng)},${round(annotation.lat)},0</coordinates></Point>`,
+                { role: 'annotation', text: annotation.text });
+        });
+        kml += '    </Folder>\n';
+    }
+
+    kml += '  </Document>\n';
+    kml += '</kml>\n';
+    return kml;
+};
+
+// ---------------------------------------------------------------------------
+// GPX (handheld GPS, navigation apps)
+// ---------------------------------------------------------------------------
+
+// GPX 1.1 with one waypoint per stop ({ lat, lng, name }) and the walked
+// polyline as a single-segment track. Coordinates keep 7 decimals (~1 cm).
+export const toGPX = ({ name = 'PDR Test Route', waypoints = [], track = [] }) => {
+    let gpx = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    gpx += '<gpx version="1.1" creator="PDR Test Area" xmlns="http://www.topografix.com/GPX/1/1">\n';
+    gpx += `  <metadata><name>${escapeXML(name)}</name><time>${new Date().toISOString()}</time></metadata>\n`;
+    waypoints.forEach(point => {
+        gpx += `  <wpt lat="${point.lat.toFixed(7)}" lon="${point.lng.toFixed(7)}"><name>${escapeXML(point.name)}</name></wpt>\n`;
+    });
+    if (track.length > 0) {
+        gpx += `  <trk><name>${escapeXML(name)}</name><trkseg>\n`;
+        track.forEach(point => {
+            gpx += `    <trkpt lat="${point.lat.toFixed(7)}" lon="${point.lng.toFixed(7)}"/>\n`;
+        });
+        gpx += '  </trkseg></trk>\n';
+    }
+    gpx += '</gpx>\n';
+    return gpx;
+};
+
+// ---------------------------------------------------------------------------
+// WKT / WKB (databases)
+// ---------------------------------------------------------------------------
+
+const wktRing = (ring) => `(${ring.map(([lng, lat]) => `${lng} ${lat}`).join(', ')})`;
+
+export const polygonToWKT = (outer, holes = []) =>
+    `POLYGON (${polygonRings(outer, holes).map(wktRing).join(', ')})`;
+
+export const pointToWKT = (point) => `POINT (${round(point.lng)} ${round(point.lat)})`;
+
+export const multiPointToWKT = (points) => {
+    if (points.length === 0) return 'MULTIPOINT EMPTY';
+    return `MULTIPOINT (${points.map(p => `(${round(p.lng)} ${round(p.lat)})`).join(', ')})`;
+};
+
+// WKB geometry type codes (OGC Simple Features)
+const WKB_POINT = 1;
+const WKB_POLYGON = 3;
+const WKB_MULTIPOINT = 4;
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase();
+
+// Little-endian (NDR) WKB, hex encoded as accepted by PostGIS ST_GeomFromWKB(decode(..., 'hex'))
+export const polygonToWKB = (outer, holes = []) => {
+    const rings = polygonRings(outer, holes);
+    const size = 9 + rings.reduce((sum, ring) => sum + 4 + ring.length * 16, 0);
+    const view = new DataView(new ArrayBuffer(size));
+    let offset = 0;
+
+    view.setUint8(offset, 1); offset += 1;
+    view.setUint32(offset, WKB_POLYGON, true); offset += 4;
+    view.setUint32(offset, rings.length, true); offset += 4;
+    rings.forEach(ring => {
+        view.setUint32(offset, ring.length, true); offset += 4;
+        ring.forEach(([lng, lat]) => {
+            view.setFloat64(offset, lng, true); offset += 8;
+            view.setFloat64(offset, lat, true); offset += 8;
+        });
+    });
+    return toHex(view.buffer);
+};
+
+export const pointToWKB = (point) => {
+    const view = new DataView(new ArrayBuffer(21));
+    view.setUint8(0, 1);
+    view.setUint32(1, WKB_POINT, true);
+    view.setFloat64(5, round(point.lng), true);
+    view.setFloat64(13, round(point.lat), true);
+    return toHex(view.buffer);
+};
+
+export const multiPointToWKB = (points) => {
+    const view = new DataView(new ArrayBuffer(9 + points.length * 21));
+    let offset = 0;
+
+    view.setUint8(offset, 1); offset += 1;
+    view.setUint32(offset, WKB_MULTIPOINT, true); offset += 4;
+    view.setUint32(offset, points.length, true); offset += 4;
+    points.forEach(point => {
+        view.setUint8(offset, 1); offset += 1;
+        view.setUint32(offset, WKB_POINT, true); offset += 4;
+        view.setFloat64(offset, round(point.lng), true); offset += 8;
+        view.setFloat64(offset, round(point.lat), true); offset += 8;
+    });
+    return toHex(view.buffer);
+};
+
+// One geometry per row (id, area, role, name, category, shape, geometry), ready for COPY/LOAD DATA
+// into a database. name and category are the restriction's; shape is its shape parameters
+// as JSON (empty for plain polygons). Annotations follow as points with their text as name.
+// encoding: 'wkt' or 'wkb' (hex)
+export const toGeometryTable = (areas, { encoding = 'wkt', annotations = [] } = {}) => {
+    const polygon = encoding === 'wkb' ? polygonToWKB : polygonToWKT;
+    const point = encoding === 'wkb' ? pointToWKB : pointToWKT;
+    const multiPoint = encoding === 'wkb' ? multiPointToWKB : multiPointToWKT;
+    const quote = (value) => encoding === 'wkb' ? value : `"${value}"`;
+    const csvText = (value) => `"${String(value).replace(/"/g, '""')}"`;
+
+    const rows = [`id,area,role,name,category,shape,${encoding}`];
+    areas.forEach(({ id, name, points, restrictions, grid = [] }) => {
+        const area = csvText(name);
+        rows.push(`${id},${area},area,,,,${quote(polygon(points, ringsOf(restrictions)))}`);
+        restrictions.forEach(restriction => {
+            const shape = restriction.shape ? csvText(JSON.stringify(restriction.shape)) : '';
+            rows.push(`${restriction.id},${area},restriction,${csvText(restriction.name)},${restriction.category},${shape},${quote(polygon(restriction.points))}`);
+        });
+        if (grid.length > 0) {
+            rows.push(`${id}-grid,${area},grid,,,,${quote(multiPoint(grid))}`);
+        }
+    });
+    annotations.forEach(annotation => {
+        rows.push(`${annotation.id},,annotation,${csvText(annotation.text)},,,${quote(point(annotation))}`);
+    });
+    return rows.join('\n') + '\n';
+};
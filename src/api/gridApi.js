@@ -0,0 +1,303 @@
+import { createENUProjection } from './geodesy.js';
+
+// Internal grid generation. Kept free of DOM code so it can run in the grid
+// Web Worker as well as on the main thread.
+
+// Helper: Ray Casting Algorithm to check if a point is inside a polygon
+export const isPointInPolygon = (point, polygon) => {
+    const x = point.lat, y = point.lng;
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const xi = polygon[i].lat, yi = polygon[i].lng;
+        const xj = polygon[j].lat, yj = polygon[j].lng;
+
+        const intersect = ((yi > y) !== (yj > y)) &&
+            (x < (xj - xi) * (y - yi) / (yj - yi) + xi);
+        if (intersect) inside = !inside;
+    }
+    return inside;
+};
+
+export const GRID_LAYOUTS = [
+    { id: 'square', label: 'Cuadrada' },
+    { id: 'staggered', label: 'Escalonada' },
+    { id: 'hex', label: 'Hexagonal' }
+];
+
+export const GRID_ROTATIONS = [
+    { id: 'none', label: 'Norte (sin rotación)' },
+    { id: 'longest-edge', label: 'Borde más largo' },
+    { id: 'bearing', label: 'Rumbo fijo' }
+];
+
+export const DEFAULT_GRID_SETTINGS = {
+    spacing: 5,              // metres between neighbouring points
+    layout: 'square',        // 'square' | 'staggered' | 'hex'
+    rotation: 'none',        // 'none' | 'longest-edge' | 'bearing'
+    bearing: 0,              // degrees clockwise from north, used when rotation === 'bearing'
+    boundaryBuffer: 0,       // metres kept clear of the outer boundary
+    restrictionBuffer: 0     // metres kept clear of every restriction
+};
+
+const MIN_SPACING = 0.5;
+
+// Fill in defaults and clamp user input (possibly strings from form fields) to usable values
+export const normalizeGridSettings = (settings = {}) => {
+    const merged = { ...DEFAULT_GRID_SETTINGS, ...settings };
+    const number = (value, fallback) =>
+        (value !== '' && value !== null && Number.isFinite(Number(value)) ? Number(value) : fallback);
+    return {
+        spacing: Math.max(MIN_SPACING, number(merged.spacing, DEFAULT_GRID_SETTINGS.spacing)),
+        layout: GRID_LAYOUTS.some(l => l.id === merged.layout) ? merged.layout : 'square',
+        rotation: GRID_ROTATIONS.some(r => r.id === merged.rotation) ? merged.rotation : 'none',
+        bearing: ((number(merged.bearing, 0) % 180) + 180) % 180,
+        boundaryBuffer: Math.max(0, number(merged.boundaryBuffer, 0)),
+        restrictionBuffer: Math.max(0, number(merged.restrictionBuffer, 0))
+    };
+};
+
+// Helper: True-metre plane (x east / y north) on the WGS84 tangent plane at the
+// centre of the area's bounding box, so spacing and buffers are real distances
+const createLocalProjection = (areaPoints) => {
+    const lats = areaPoints.map(p => p.lat);
+    const lngs = areaPoints.map(p => p.lng);
+    return createENUProjection({
+        lat: (Math.min(...lats) + Math.max(...lats)) / 2,
+        lng: (Math.min(...lngs) + Math.max(...lngs)) / 2
+    });
+};
+
+// Helper: Bearing (0-180, clockwise from north) of the longest edge of a planar ring
+const longestEdgeBearing = (ring) => {
+    let best = 0;
+    let bearing = 0;
+    ring.forEach(([x1, y1], i) => {
+        const [x2, y2] = ring[(i + 1) % ring.length];
+        const length = Math.hypot(x2 - x1, y2 - y1);
+        if (length > best) {
+            best = length;
+            bearing = Math.atan2(x2 - x1, y2 - y1) * 180 / Math.PI;
+        }
+    });
+    return ((bearing % 180) + 180) % 180;
+};
+
+// Bearing (degrees clockwise from north) the grid rows actually follow for these settings
+export const resolveGridBearing = (areaPoints, settings) => {
+    const { rotation, bearing } = normalizeGridSettings(settings);
+    if (rotation === 'bearing') return bearing;
+    if (rotation === 'longest-edge' && areaPoints.length >= 2) {
+        const projection = createLocalProjection(areaPoints);
+        return longestEdgeBearing(areaPoints.map(projection.forward));
+    }
+    return 90; // rows run east-west
+};
+
+// Helper: Scanline over a planar ring ([x, y] positions). Returns crossingsAt(y),
+// the sorted x where the horizontal line at `y` crosses the ring. Edges are kept
+// in an active edge table, so calls must use non-decreasing y.
+const createRingScanner = (ring) => {
+    const edges = ring.map((a, i) => {
+        const b = ring[(i + 1) % ring.length];
+        return { a, b, minY: Math.min(a[1], b[1]), maxY: Math.max(a[1], b[1]) };
+    }).sort((e1, e2) => e1.minY - e2.minY);
+
+    let next = 0;
+    let active = [];
+
+    return (y) => {
+        while (next < edges.length && edges[next].minY <= y) {
+            active.push(edges[next++]);
+        }
+        active = active.filter(edge => edge.maxY >= y);
+
+        const crossings = [];
+        for (const { a, b } of active) {
+            if ((a[1] > y) !== (b[1] > y)) {
+                crossings.push(a[0] + (y - a[1]) * (b[0] - a[0]) / (b[1] - a[1]));
+            }
+        }
+        return crossings.sort((c1, c2) => c1 - c2);
+    };
+};
+
+// Helper: Even-odd test of an x coordinate against sorted crossings
+const isInsideCrossings = (crossings, x) => {
+    let count = 0;
+    while (count < crossings.length && crossings[count] < x) count++;
+    return count % 2 === 1;
+};
+
+const distanceToSegment = ([px, py], [ax, ay], [bx, by]) => {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq));
+    return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+};
+
+// Most cells across the extent of the indexed rings, whatever the buffer
+const EDGE_INDEX_MAX_CELLS = 1024;
+
+// Helper: Edge index (uniform buckets) answering "is any edge closer than `distance`?"
+// without testing every edge for every grid point. Cells are at least
+// `distance` wide, so a near edge passes through one of the 3×3 cells around
+// the point; each edge is sampled every half cell and registered in the 3×3
+// cells around every sample, which covers the cells it passes through without
+// filling its whole bounding box
+const createEdgeIndex = (rings, distance) => {
+    const xs = rings.flatMap(ring => ring.map(p => p[0]));
+    const ys = rings.flatMap(ring => ring.map(p => p[1]));
+    const extent = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+    const cellSize = Math.max(distance, 1, extent / EDGE_INDEX_MAX_CELLS);
+    const cells = new Map();
+    const cellKey = (i, j) => `${i},${j}`;
+
+    rings.forEach(ring => ring.forEach((a, k) => {
+        const b = ring[(k + 1) % ring.length];
+        const edge = [a, b];
+        const steps = Math.max(1, Math.ceil(Math.hypot(b[0] - a[0], b[1] - a[1]) / (cellSize / 2)));
+        for (let step = 0; step <= steps; step++) {
+            const i = Math.floor((a[0] + (b[0] - a[0]) * step / steps) / cellSize);
+            const j = Math.floor((a[1] + (b[1] - a[1]) * step / steps) / cellSize);
+            for (let di = -1; di <= 1; di++) {
+                for (let dj = -1; dj <= 1; dj++) {
+                    const key = cellKey(i + di, j + dj);
+                    if (!cells.has(key)) cells.set(key, new Set());
+                    cells.get(key).add(edge);
+                }
+            }
+        }
+    }));
+
+    return (point) => {
+        const i = Math.floor(point[0] / cellSize);
+        const j = Math.floor(point[1] / cellSize);
+        for (let di = -1; di <= 1; di++) {
+            for (let dj = -1; dj <= 1; dj++) {
+                const edges = cells.get(cellKey(i + di, j + dj));
+                if (!edges) continue;
+                for (const [a, b] of edges) {
+                    if (distanceToSegment(point, a, b) < distance) return true;
+                }
+            }
+        }
+        return false;
+    };
+};
+
+// Helper: Generate grid points inside area excluding restrictions.
+// The grid is laid out in a local metric plane, rotated to the requested
+// bearing; rows are scanned once against the ring edges instead of testing
+// every bounding-box cell with isPointInPolygon.
+// options.onProgress(fraction) is called as rows complete.
+// Points are { lat, lng, row, col }: row and col index the grid lattice (col
+// counted from the west-most possible column of the row), so they identify a
+// point across regenerations of the same geometry and settings.
+export const generateGridPoints = (areaPoints, restrictions, settings = DEFAULT_GRID_SETTINGS, { onProgress } = {}) => {
+    if (areaPoints.length < 3) return [];
+
+    const { spacing, layout, boundaryBuffer, restrictionBuffer } = normalizeGridSettings(settings);
+    const projection = createLocalProjection(areaPoints);
+
+    // Rotate the plane so grid rows run along the x axis
+    const bearing = resolveGridBearing(areaPoints, settings);
+    const angle = (90 - bearing) * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const toGrid = ([x, y]) => [x * cos + y * sin, -x * sin + y * cos];
+    const fromGrid = ([u, v]) => [u * cos - v * sin, u * sin + v * cos];
+
+    const areaRing = areaPoints.map(p => toGrid(projection.forward(p)));
+    const restrictionRings = restrictions
+        .filter(r => r.length >= 3)
+        .map(r => r.map(p => toGrid(projection.forward(p))));
+
+    const us = areaRing.map(p => p[0]);
+    const vs = areaRing.map(p => p[1]);
+    const minU = Math.min(...us);
+    const maxU = Math.max(...us);
+    const minV = Math.min(...vs);
+    const maxV = Math.max(...vs);
+
+    const rowStep = layout === 'hex' ? spacing * Math.sqrt(3) / 2 : spacing;
+    const totalRows = Math.floor((maxV - minV) / rowStep) + 1;
+    const progressEvery = Math.max(1, Math.floor(totalRows / 100));
+
+    const areaScanner = createRingScanner(areaRing);
+    const restrictionScanners = restrictionRings.map(createRingScanner);
+    const nearBoundary = boundaryBuffer > 0 ? createEdgeIndex([areaRing], boundaryBuffer) : null;
+    const nearRestriction = restrictionBuffer > 0 && restrictionRings.length > 0
+        ? createEdgeIndex(restrictionRings, restrictionBuffer)
+        : null;
+
+    const gridPoints = [];
+
+    for (let row = 0; row < totalRows; row++) {
+        const v = minV + row * rowStep;
+        const areaCrossings = areaScanner(v);
+        const restrictionCrossings = restrictionScanners.map(scan => scan(v));
+        const offset = layout !== 'square' && row % 2 === 1 ? spacing / 2 : 0;
+
+        // Check 1: Must be inside main area (walk each inside interval)
+        for (let i = 0; i + 1 < areaCrossings.length; i += 2) {
+            const start = Math.max(0, Math.ceil((areaCrossings[i] - minU - offset) / spacing));
+            for (let col = start; ; col++) {
+                const u = minU + offset + col * spacing;
+                if (u > areaCrossings[i + 1] || u > maxU) break;
+
+                // Check 2: Must NOT be inside any restriction
+                const isInRestriction = restrictionCrossings.some(crossings =>
+                    isInsideCrossings(crossings, u)
+                );
+                if (isInRestriction) continue;
+
+                // Check 3: Must keep the configured distance from boundaries
+                const point = [u, v];
+                if (nearBoundary && nearBoundary(point)) continue;
+                if (nearRestriction && nearRestriction(point)) continue;
+
+                gridPoints.push({ ...projection.inverse(fromGrid(point)), row, col });
+            }
+        }
+
+        if (onProgress && (row % progressEvery === 0 || row === totalRows - 1)) {
+            onProgress((row + 1) / totalRows);
+        }
+    }
+    return gridPoints;
+};
+
+// ---------------------------------------------------------------------------
+// Cache: the grid shown on screen is reused by exports
+// ---------------------------------------------------------------------------
+
+const GRID_CACHE_SIZE = 32; // several areas, each with a few recent variants
+const gridCache = new Map();
+
+export const gridCacheKey = (areaPoints, restrictions, settings) => JSON.stringify([
+    normalizeGridSettings(settings),
+    areaPoints.map(p => [p.lat, p.lng]),
+    restrictions.map(restriction => restriction.map(p => [p.lat, p.lng]))
+]);
+
+export const getCachedGrid = (key) => gridCache.get(key);
+
+export const cacheGrid = (key, points) => {
+    gridCache.delete(key);
+    gridCache.set(key, points);
+    if (gridCache.size > GRID_CACHE_SIZE) {
+        gridCache.delete(gridCache.keys().next().value);
+    }
+};
+
+// Cached generateGridPoints for synchronous callers (exports)
+export const getGridPoints = (areaPoints, restrictions, settings = DEFAULT_GRID_SETTINGS) => {
+    const key = gridCacheKey(areaPoints, restrictions, settings);
+    let points = getCachedGrid(key);
+    if (!points) {
+        points = generateGridPoints(areaPoints, restrictions, settings);
+        cacheGrid(key, points);
+    }
+    return points;
+};
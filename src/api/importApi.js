@@ -0,0 +1,464 @@
+import { createPoint } from './pointIds.js';
+import { createRestriction, normalizeRestrictionAttributes } from './areasApi.js';
+import { normalizeShape } from './shapesApi.js';
+import { createAnnotation } from './measureApi.js';
+
+// Parsers that turn GeoJSON, KML, CSV and our own JSON export back into
+// capture state: { areas: [{ name, points, restrictions }], restrictions, annotations, skipped },
+// restrictions being { id, name, category, notes, points, shape } as in areasApi
+// and annotations { id, lat, lng, text } as in measureApi (read back from our own exports).
+// `restrictions` holds restrictions found in a file without any area (they go
+// to the area being edited). `skipped` lists every feature or row that was
+// ignored, with the reason.
+
+const toPoint = (lat, lng) => createPoint(lat, lng, 'import');
+
+const isValidCoordinate = (lat, lng) =>
+    Number.isFinite(lat) && Number.isFinite(lng) &&
+    lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+
+// Helper: Build a ring of points from [lat, lng] pairs. Drops the closing vertex
+// and returns an error message instead of a ring when it is unusable.
+const buildRing = (pairs) => {
+    const ring = [];
+    for (const [lat, lng] of pairs) {
+        if (!isValidCoordinate(lat, lng)) {
+            return { error: `coordenada inválida (${lat}, ${lng})` };
+        }
+        ring.push({ lat, lng });
+    }
+    if (ring.length > 1) {
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        if (first.lat === last.lat && first.lng === last.lng) ring.pop();
+    }
+    if (ring.length < 3) {
+        return { error: `anillo con ${ring.length} vértices (mínimo 3)` };
+    }
+    return { ring: ring.map(p => toPoint(p.lat, p.lng)) };
+};
+
+// Helper: Order-independent key used to drop duplicated rings
+// (our own exports write each restriction both as a hole and as a feature)
+const ringKey = (ring) => ring
+    .map(p => `${p.lat.toFixed(6)},${p.lng.toFixed(6)}`)
+    .sort()
+    .join(';');
+
+// Accumulates rings into an import result, deduplicating restrictions.
+// A restriction belongs to the area given, or else to the last area added.
+// source carries what the file says about the restriction (name, category,
+// notes, shape parameters); it is kept even if the same ring was first read
+// as a plain area hole.
+const createCollector = () => {
+    const result = { areas: [], restrictions: [], annotations: [], skipped: [] };
+    const seen = new Set();
+    const restrictionsByKey = new Map();
+    const areasBySource = new Map();
+
+    const collector = {
+        result,
+        skip: (label, reason) => result.skipped.push({ label, reason }),
+        hasArea: () => result.areas.length > 0,
+        // sourceId: the area's ID in the file, so restrictions can refer to it
+        addArea(ring, name, sourceId) {
+            const key = ringKey(ring);
+            if (seen.has(key)) return null;
+            seen.add(key);
+            const area = { name: name || `Área importada ${result.areas.length + 1}`, points: ring, restrictions: [] };
+            result.areas.push(area);
+            if (sourceId !== undefined && sourceId !== null) areasBySource.set(String(sourceId), area);
+            return area;
+        },
+        findArea: (sourceId) => areasBySource.get(String(sourceId)) || null,
+        addAnnotation(lat, lng, text, label) {
+            if (!isValidCoordinate(lat, lng)) {
+                collector.skip(label, 'anotación con coordenadas no válidas');
+                return;
+            }
+            result.annotations.push(createAnnotation({ lat, lng }, typeof text === 'string' ? text : ''));
+        },
+        addRestriction(ring, area, source = {}) {
+            const key = ringKey(ring);
+            const shape = normalizeShape(source.shape);
+            const attributes = normalizeRestrictionAttributes(source);
+            if (seen.has(key)) {
+                const existing = restrictionsByKey.get(key);
+                if (existing && shape && !existing.shape) existing.shape = shape;
+                if (existing && attributes.name && !existing.name) Object.assign(existing, attributes);
+                return;
+            }
+            seen.add(key);
+            const restriction = createRestriction(ring, shape, attributes);
+            restrictionsByKey.set(key, restriction);
+            const owner = area || result.areas[result.areas.length - 1];
+            (owner ? owner.restrictions : result.restrictions).push(restriction);
+        }
+    };
+    return collector;
+};
+
+// ---------------------------------------------------------------------------
+// GeoJSON
+// ---------------------------------------------------------------------------
+
+const geoJSONRing = (positions) =>
+    Array.isArray(positions)
+        ? buildRing(positions.map(pos => [Number(pos?.[1]), Number(pos?.[0])]))
+        : { error: 'anillo sin coordenadas' };
+
+// Polygons with role "area" (our exports) are areas; without a role, the first
+// polygon is the area and the rest are restrictions
+const addGeoJSONPolygon = (collector, rings, label, properties) => {
+    if (!Array.isArray(rings) || rings.length === 0) {
+        collector.skip(label, 'polígono sin anillos');
+        return;
+    }
+
+    const parsed = rings.map(geoJSONRing);
+    const [outer, ...holes] = parsed;
+    if (outer.error) {
+        collector.skip(label, outer.error);
+        return;
+    }
+
+    const { role, area_id: areaId } = properties;
+    let owner = collector.findArea(areaId);
+    if (role === 'area' || (role !== 'restriction' && !collector.hasArea())) {
+        owner = collector.addArea(outer.ring, properties.name, areaId) || owner;
+    } else {
+        collector.addRestriction(outer.ring, owner, properties);
+    }
+    holes.forEach((hole, index) => {
+        if (hole.error) {
+            collector.skip(`${label} (hueco ${index + 1})`, hole.error);
+        } else {
+            collector.addRestriction(hole.ring, owner);
+        }
+    });
+};
+
+export const parseGeoJSON = (data) => {
+    const collector = createCollector();
+
+    const features = data.type === 'FeatureCollection'
+        ? data.features || []
+        : data.type === 'Feature'
+            ? [data]
+            : [{ type: 'Feature', properties: {}, geometry: data }];
+
+    features.forEach((feature, index) => {
+        const properties = feature?.properties || {};
+        const label = properties.name || feature?.id || `Feature ${index + 1}`;
+        const geometry = feature?.geometry;
+        const role = properties.role;
+
+        if (!geometry) {
+            collector.skip(label, 'feature sin geometría');
+            return;
+        }
+
+        switch (geometry.type) {
+            case 'Polygon':
+                addGeoJSONPolygon(collector, geometry.coordinates, label, properties);
+                break;
+            case 'MultiPolygon':
+                (geometry.coordinates || []).forEach((polygon, pIndex) => {
+                    addGeoJSONPolygon(collector, polygon, `${label} [${pIndex + 1}]`, properties);
+                });
+                break;
+            case 'Point':
+                if (role === 'annotation') {
+                    collector.addAnnotation(Number(geometry.coordinates?.[1]), Number(geometry.coordinates?.[0]), properties.text, label);
+                    break;
+                }
+            // falls through
+            case 'MultiPoint':
+                collector.skip(label, role === 'grid' || role === 'grid_point'
+                    ? 'puntos de malla (se regeneran automáticamente)'
+                    : `geometría ${geometry.type} no soportada`);
+                break;
+            default:
+                collector.skip(label, `geometría ${geometry.type} no soportada`);
+        }
+    });
+
+    return collector.result;
+};
+
+// ---------------------------------------------------------------------------
+// KML
+// ---------------------------------------------------------------------------
+
+const RESTRICTION_NAME = /restric|exclu|hole|hueco|obstac/i;
+
+const kmlRing = (boundary) => {
+    const text = boundary?.getElementsByTagName('coordinates')[0]?.textContent || '';
+    const pairs = text.trim().split(/\s+/).filter(Boolean).map(tuple => {
+        const [lng, lat] = tuple.split(',').map(Number);
+        return [lat, lng];
+    });
+    return buildRing(pairs);
+};
+
+// ExtendedData value written by our own KML export, if any
+const kmlData = (placemark, name) => Array.from(placemark.getElementsByTagName('Data'))
+    .find(data => data.getAttribute('name') === name)
+    ?.getElementsByTagName('value')[0]?.textContent;
+
+// Role written by our own KML export, if any
+const kmlRole = (placemark) => kmlData(placemark, 'role');
+
+// Shape parameters of a restriction exported by us (JSON in ExtendedData)
+const kmlShape = (placemark) => {
+    const text = kmlData(placemark, 'shape');
+    if (!text) return null;
+    try {
+        return JSON.parse(text);
+    } catch {
+        return null;
+    }
+};
+
+// Name of the closest enclosing Folder/Document, used as the layer name
+const kmlLayerName = (node) => {
+    for (let parent = node.parentElement; parent; parent = parent.parentElement) {
+        if (parent.tagName === 'Folder') {
+            return parent.getElementsByTagName('name')[0]?.textContent || '';
+        }
+    }
+    return '';
+};
+
+export const parseKML = (text) => {
+    if (typeof DOMParser === 'undefined') {
+        throw new Error('La lectura de KML necesita un navegador (DOMParser no disponible)');
+    }
+    const collector = createCollector();
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('El archivo KML no es XML válido');
+    }
+
+    Array.from(doc.getElementsByTagName('Placemark')).forEach((placemark, index) => {
+        const name = Array.from(placemark.children).find(child => child.tagName === 'name')?.textContent;
+        const label = name || `Placemark ${index + 1}`;
+        const polygons = Array.from(placemark.getElementsByTagName('Polygon'));
+        const role = kmlRole(placemark);
+        const isRestriction = role
+            ? role === 'restriction'
+            : RESTRICTION_NAME.test(label) || RESTRICTION_NAME.test(kmlLayerName(placemark));
+
+        if (role === 'annotation') {
+            const [lng, lat] = (placemark.getElementsByTagName('coordinates')[0]?.textContent || '').trim().split(',').map(Number);
+            collector.addAnnotation(lat, lng, kmlData(placemark, 'text') || '', label);
+            return;
+        }
+        if (polygons.length === 0) {
+            collector.skip(label, role === 'grid_point'
+                ? 'puntos de malla (se regeneran automáticamente)'
+                : 'placemark sin polígono');
+            return;
+        }
+
+        polygons.forEach(polygon => {
+            const outer = kmlRing(polygon.getElementsByTagName('outerBoundaryIs')[0]);
+            if (outer.error) {
+                collector.skip(label, outer.error);
+                return;
+            }
+            let owner = null;
+            if (role === 'area' || (!isRestriction && !collector.hasArea())) {
+                owner = collector.addArea(outer.ring, name);
+            } else {
+                collector.addRestriction(outer.ring, null, {
+                    name,
+                    category: kmlData(placemark, 'category'),
+                    notes: kmlData(placemark, 'notes'),
+                    shape: kmlShape(placemark)
+                });
+            }
+            Array.from(polygon.getElementsByTagName('innerBoundaryIs')).forEach((inner, hIndex) => {
+                const hole = kmlRing(inner);
+                if (hole.error) {
+                    collector.skip(`${label} (hueco ${hIndex + 1})`, hole.error);
+                } else {
+                    collector.addRestriction(hole.ring, owner);
+                }
+            });
+        });
+    });
+
+    return collector.result;
+};
+
+// ---------------------------------------------------------------------------
+// CSV (lat/lng lists)
+// ---------------------------------------------------------------------------
+
+const LAT_COLUMNS = ['lat', 'latitude', 'latitud', 'y'];
+const LNG_COLUMNS = ['lng', 'lon', 'long', 'longitude', 'longitud', 'x'];
+const GROUP_COLUMNS = ['ring', 'layer', 'group', 'polygon', 'name', 'capa', 'nombre'];
+
+// Rows are grouped by a ring/layer column when present, otherwise blank lines
+// separate rings. The group named "area" (or the first one) becomes the main area.
+export const parseCSV = (text) => {
+    const collector = createCollector();
+    const lines = text.split(/\r?\n/);
+    const delimiter = (lines.find(line => line.trim()) || '').includes(';') ? ';' : ',';
+    const split = (line) => line.split(delimiter).map(cell => cell.trim().replace(/^"|"$/g, ''));
+
+    let latIndex = 0;
+    let lngIndex = 1;
+    let groupIndex = -1;
+    let startLine = 0;
+
+    const firstLine = lines.findIndex(line => line.trim());
+    if (firstLine >= 0) {
+        const header = split(lines[firstLine]).map(cell => cell.toLowerCase());
+        if (header.some(cell => Number.isNaN(Number(cell)))) {
+            latIndex = header.findIndex(cell => LAT_COLUMNS.includes(cell));
+            lngIndex = header.findIndex(cell => LNG_COLUMNS.includes(cell));
+            groupIndex = header.findIndex(cell => GROUP_COLUMNS.includes(cell));
+            if (latIndex < 0 || lngIndex < 0) {
+                throw new Error('El CSV necesita columnas lat y lng');
+            }
+            startLine = firstLine + 1;
+        }
+    }
+
+    const groups = [];
+    let current = null;
+    const openGroup = (name) => {
+        current = { name, pairs: [] };
+        groups.push(current);
+    };
+
+    for (let i = startLine; i < lines.length; i++) {
+        const line = lines[i];
+        if (!line.trim()) {
+            if (groupIndex < 0) current = null;
+            continue;
+        }
+        const cells = split(line);
+        const lat = Number(cells[latIndex]);
+        const lng = Number(cells[lngIndex]);
+        if (!isValidCoordinate(lat, lng)) {
+            collector.skip(`Línea ${i + 1}`, `coordenada inválida "${line.trim()}"`);
+            continue;
+        }
+        if (groupIndex >= 0) {
+            const name = cells[groupIndex] || '';
+            current = groups.find(group => group.name === name) || null;
+            if (!current) openGroup(name);
+        } else if (!current) {
+            openGroup(`Bloque ${groups.length + 1}`);
+        }
+        current.pairs.push([lat, lng]);
+    }
+
+    const areaGroup = groups.find(group => /^(area|área|main)/i.test(group.name)) || groups[0];
+    const ordered = areaGroup ? [areaGroup, ...groups.filter(group => group !== areaGroup)] : [];
+
+    ordered.forEach(group => {
+        const { ring, error } = buildRing(group.pairs);
+        if (error) {
+            collector.skip(group.name || 'Grupo sin nombre', error);
+        } else if (group === areaGroup && !RESTRICTION_NAME.test(group.name)) {
+            collector.addArea(ring, groupIndex >= 0 && group.name ? group.name : undefined);
+        } else {
+            collector.addRestriction(ring, null, { name: group.name });
+        }
+    });
+
+    return collector.result;
+};
+
+// ---------------------------------------------------------------------------
+// JSON (our generateExportData output, or GeoJSON in a .json file)
+// ---------------------------------------------------------------------------
+
+// Reads the multi-area format ({ areas: [...], annotations }) and the older
+// single-area one ({ area, restrictions })
+export const parseExportJSON = (data) => {
+    const collector = createCollector();
+    const toPairs = (vertices) => (vertices || []).map(v => [Number(v.lat), Number(v.lng)]);
+
+    const areas = Array.isArray(data.areas)
+        ? data.areas
+        : [{ vertices: data.area?.vertices, restrictions: data.restrictions, internal_grid_points: data.internal_grid_points }];
+
+    areas.forEach((source, index) => {
+        const label = source.name || (areas.length > 1 ? `Área ${index + 1}` : 'Área principal');
+        const area = buildRing(toPairs(source.vertices));
+        const owner = area.error ? null : collector.addArea(area.ring, source.name);
+        if (area.error) {
+            collector.skip(label, area.error);
+        }
+
+        (source.restrictions || []).forEach((restriction, rIndex) => {
+            const restrictionLabel = `${label} · ${restriction.name || `Restricción ${rIndex + 1}`}`;
+            const { ring, error } = buildRing(toPairs(restriction.vertices));
+            if (error) {
+                collector.skip(restrictionLabel, error);
+            } else if (!owner) {
+                collector.skip(restrictionLabel, 'su área no se pudo importar');
+            } else {
+                collector.addRestriction(ring, owner, restriction);
+            }
+        });
+
+        if (source.internal_grid_points?.length) {
+            collector.skip(`${label} · internal_grid_points`, 'puntos de malla (se regeneran automáticamente)');
+        }
+    });
+
+    (Array.isArray(data.annotations) ? data.annotations : []).forEach((annotation, index) => {
+        collector.addAnnotation(Number(annotation?.lat), Number(annotation?.lng), annotation?.text, `Anotación ${index + 1}`);
+    });
+
+    return collector.result;
+};
+
+const parseJSONText = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('El archivo no es JSON válido');
+    }
+    if (data && typeof data.type === 'string') return parseGeoJSON(data);
+    if (data && (data.area || Array.isArray(data.areas))) return parseExportJSON(data);
+    // A bare boundary: [[lat, lng], ...] or [{ lat, lng }, ...]
+    if (Array.isArray(data)) {
+        return parseExportJSON({ area: { vertices: data.map(v => Array.isArray(v) ? { lat: v[0], lng: v[1] } : v || {}) } });
+    }
+    throw new Error('JSON no reconocido: se esperaba GeoJSON, un map_data.json exportado o una lista de vértices');
+};
+
+// Dispatch file contents to the right parser by file name extension (falling
+// back to content sniffing). DOM-free except for KML.
+export const parseFileText = (text, fileName = '') => {
+    const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+
+    switch (extension) {
+        case 'geojson':
+        case 'json':
+            return parseJSONText(text);
+        case 'kml':
+            return parseKML(text);
+        case 'csv':
+        case 'txt':
+            return parseCSV(text);
+        default: {
+            const trimmed = text.trimStart();
+            if (trimmed.startsWith('{') || trimmed.startsWith('[')) return parseJSONText(text);
+            if (trimmed.startsWith('<')) return parseKML(text);
+            return parseCSV(text);
+        }
+    }
+};
+
+// Read a File and dispatch to the right parser
+export const importFile = async (file) => parseFileText(await file.text(), file.name);
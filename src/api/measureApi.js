@@ -0,0 +1,90 @@
+import { createENUProjection, geodesicBearing, geodesicDistance } from './geodesy.js';
+import { createPointId } from './pointIds.js';
+
+// Measurements of single edges and paths (edge labels, the ruler tool, the
+// report's edge table), distances from a point to the area boundary, and the
+// free-text annotations of a session:
+// { id, lat, lng, text }, stored in the session geometry next to the areas.
+
+// ---------------------------------------------------------------------------
+// Edges and paths
+// ---------------------------------------------------------------------------
+
+// Length, initial geodesic bearing and midpoint of every edge of a ring, the
+// closing edge included, or of an open path (closed: false)
+export const describeEdges = (points, { closed = points.length >= 3 } = {}) => {
+    if (points.length < 2) return [];
+    const count = closed ? points.length : points.length - 1;
+    return points.slice(0, count).map((from, index) => {
+        const toIndex = (index + 1) % points.length;
+        const to = points[toIndex];
+        return {
+            from: index,
+            to: toIndex,
+            length: geodesicDistance(from, to),
+            bearing: geodesicBearing(from, to),
+            midpoint: { lat: (from.lat + to.lat) / 2, lng: (from.lng + to.lng) / 2 }
+        };
+    });
+};
+
+// Segments of an open path with their cumulative distance, and its total length
+export const measurePath = (points) => {
+    let length = 0;
+    const segments = describeEdges(points, { closed: false }).map(edge => {
+        length += edge.length;
+        return { ...edge, cumulative: length };
+    });
+    return { segments, length };
+};
+
+// "12.34 m · 087°" label of an edge
+export const formatEdgeLabel = ({ length, bearing }) =>
+    `${length >= 1000 ? `${(length / 1000).toFixed(3)} km` : `${length.toFixed(2)} m`} · ${String(Math.round(bearing) % 360).padStart(3, '0')}°`;
+
+// ---------------------------------------------------------------------------
+// Distance to boundaries
+// ---------------------------------------------------------------------------
+
+// Helper: Distance from the origin to segment ab on the plane
+const originToSegment = ([ax, ay], [bx, by]) => {
+    const dx = bx - ax, dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+    return Math.hypot(ax + t * dx, ay + t * dy);
+};
+
+// Shortest distance in metres from a point to the edges of a ring, on the
+// tangent plane at the point (exact enough for survey-sized areas)
+export const distanceToRing = (point, ring) => {
+    if (ring.length < 2) return Infinity;
+    const planar = ring.map(createENUProjection(point).forward);
+    return planar.reduce((min, from, index) =>
+        Math.min(min, originToSegment(from, planar[(index + 1) % planar.length])), Infinity);
+};
+
+// Distances from a point (e.g. a grid point) to the area boundary and to the
+// nearest restriction (null without restrictions); restrictions are vertex rings
+export const boundaryDistances = (point, areaPoints, restrictions) => {
+    const restriction = Math.min(...restrictions.map(ring => distanceToRing(point, ring)));
+    return {
+        boundary: distanceToRing(point, areaPoints),
+        restriction: Number.isFinite(restriction) ? restriction : null
+    };
+};
+
+// ---------------------------------------------------------------------------
+// Annotations
+// ---------------------------------------------------------------------------
+
+export const createAnnotation = ({ lat, lng }, text = '') => ({ id: createPointId('note'), lat, lng, text });
+
+// Annotations from stored data, dropping entries without a usable position
+export const normalizeAnnotations = (annotations) => (Array.isArray(annotations) ? annotations : [])
+    .filter(annotation => annotation && Number.isFinite(Number(annotation.lat)) && Number.isFinite(Number(annotation.lng)))
+    .map(annotation => ({
+        id: annotation.id || createPointId('note'),
+        lat: Number(annotation.lat),
+        lng: Number(annotation.lng),
+        text: typeof annotation.text === 'string' ? annotation.text : ''
+    }));
@@ -0,0 +1,28 @@
+import { clipGeometry } from './validationApi.js';
+import { geodesicMultiPolygonArea, geodesicPerimeter, MEASUREMENT_METHOD } from './geodesy.js';
+import { RESTRICTION_CATEGORIES } from './areasApi.js';
+
+// Area metrics on the WGS84 ellipsoid. Only the part of the restrictions that
+// overlaps the area is subtracted (see validationApi clipGeometry).
+export const computeAreaMetrics = (areaPoints, restrictions, clipped = clipGeometry(areaPoints, restrictions)) => {
+    const grossArea = geodesicMultiPolygonArea(clipped.area);
+    const restrictedArea = geodesicMultiPolygonArea(clipped.blocked);
+
+    return {
+        grossArea,
+        restrictedArea,
+        netArea: Math.max(0, grossArea - restrictedArea),
+        perimeter: geodesicPerimeter(areaPoints),
+        method: MEASUREMENT_METHOD
+    };
+};
+
+// Restricted area per restriction category (m², clipped to the area), keyed by
+// category id. Restrictions of different categories that overlap count in
+// each of them, so the values can add up to more than restrictedArea.
+export const computeCategoryAreas = (areaPoints, restrictions) => Object.fromEntries(
+    RESTRICTION_CATEGORIES.map(({ id }) => {
+        const rings = restrictions.filter(restriction => restriction.category === id).map(restriction => restriction.points);
+        return [id, rings.length > 0 ? geodesicMultiPolygonArea(clipGeometry(areaPoints, rings).blocked) : 0];
+    })
+);
@@ -0,0 +1,20 @@
+// Vertex IDs. The counter keeps IDs unique even when several vertices are
+// created in the same millisecond (paste-in lists, imports, fast clicks).
+
+let counter = 0;
+
+export const createPointId = (prefix = 'pt') => `${prefix}-${Date.now().toString(36)}-${(counter++).toString(36)}`;
+
+export const createPoint = (lat, lng, prefix) => ({ lat, lng, id: createPointId(prefix) });
+
+// Give fresh IDs to points missing one or repeating one already seen
+// (older projects were saved with Date.now() IDs that could collide)
+export const withUniqueIds = (points, seen = new Set()) => points.map(point => {
+    if (point.id !== undefined && point.id !== null && !seen.has(point.id)) {
+        seen.add(point.id);
+        return point;
+    }
+    const id = createPointId();
+    seen.add(id);
+    return { ...point, id };
+});
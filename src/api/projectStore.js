@@ -0,0 +1,167 @@
+import { normalizeGridSettings } from './gridApi.js';
+import { normalizeAreas } from './areasApi.js';
+import { normalizeAnnotations } from './measureApi.js';
+
+// Named projects persisted in IndexedDB, plus portable JSON bundles to move
+// projects between machines.
+//
+// Project shape:
+// { id, name, createdAt, updatedAt,
+//   geometry: { areas: [{ id, name, color, visible, points, restrictions, survey }],
+//               annotations: [{ id, lat, lng, text }] },
+//   view: { center: [lat, lng], zoom },
+//   grid: { showGrid, ...grid settings (see gridApi DEFAULT_GRID_SETTINGS) } }
+
+const DB_NAME = 'pdr-test';
+const DB_VERSION = 1;
+const STORE = 'projects';
+const ACTIVE_PROJECT_KEY = 'pdr-test:activeProject';
+
+export const BUNDLE_FORMAT = 'pdr-test-project-bundle';
+export const BUNDLE_VERSION = 1;
+
+let dbPromise = null;
+
+const openDB = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE)) {
+                    db.createObjectStore(STORE, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+};
+
+// Helper: Run a single request in its own transaction and resolve with its result
+const runRequest = async (mode, operation) => {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const request = operation(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+};
+
+const generateProjectId = () => (globalThis.crypto?.randomUUID
+    ? crypto.randomUUID()
+    : `project-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`);
+
+export const DEFAULT_VIEW = { center: [51.505, -0.09], zoom: 13 };
+
+// Helper: A stored view Leaflet can open: center of two finite numbers within
+// latitude/longitude range and a finite zoom
+const isValidView = (view) => Array.isArray(view?.center) && view.center.length === 2
+    && view.center.every(Number.isFinite) && Number.isFinite(view.zoom)
+    && Math.abs(view.center[0]) <= 90 && Math.abs(view.center[1]) <= 180;
+
+// Fill in defaults so older or hand-edited projects always have every section
+export const normalizeProject = (project) => ({
+    id: project.id || generateProjectId(),
+    name: project.name || 'Proyecto sin nombre',
+    createdAt: project.createdAt || new Date().toISOString(),
+    updatedAt: project.updatedAt || new Date().toISOString(),
+    geometry: {
+        areas: normalizeAreas(project.geometry),
+        annotations: normalizeAnnotations(project.geometry?.annotations)
+    },
+    view: isValidView(project.view)
+        ? { center: [...project.view.center], zoom: project.view.zoom }
+        : { ...DEFAULT_VIEW },
+    grid: {
+        showGrid: Boolean(project.grid?.showGrid),
+        ...normalizeGridSettings(project.grid)
+    }
+});
+
+// The part of a project that reflects editable app state (what autosave writes)
+export const projectSnapshot = (project) => ({
+    geometry: project.geometry,
+    view: project.view,
+    grid: project.grid
+});
+
+export const listProjects = async () => {
+    const projects = await runRequest('readonly', store => store.getAll());
+    return projects
+        .map(normalizeProject)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+export const getProject = async (id) => {
+    const project = await runRequest('readonly', store => store.get(id));
+    return project ? normalizeProject(project) : null;
+};
+
+export const saveProject = async (project) => {
+    const saved = normalizeProject({ ...project, updatedAt: new Date().toISOString() });
+    await runRequest('readwrite', store => store.put(saved));
+    return saved;
+};
+
+export const createProject = (name, data = {}) => saveProject({
+    ...data,
+    id: generateProjectId(),
+    name,
+    createdAt: new Date().toISOString()
+});
+
+export const updateProject = async (id, changes) => {
+    const project = await getProject(id);
+    if (!project) throw new Error(`Project ${id} not found`);
+    return saveProject({ ...project, ...changes });
+};
+
+export const duplicateProject = async (id, name) => {
+    const project = await getProject(id);
+    if (!project) throw new Error(`Project ${id} not found`);
+    return createProject(name || `${project.name} (copia)`, projectSnapshot(project));
+};
+
+export const deleteProject = (id) => runRequest('readwrite', store => store.delete(id));
+
+export const getActiveProjectId = () => localStorage.getItem(ACTIVE_PROJECT_KEY);
+
+export const setActiveProjectId = (id) => localStorage.setItem(ACTIVE_PROJECT_KEY, id);
+
+// ---------------------------------------------------------------------------
+// Bundles
+// ---------------------------------------------------------------------------
+
+export const createProjectBundle = (projects) => ({
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    projects
+});
+
+// Validate a bundle and store its projects under fresh IDs (never overwrites local projects)
+export const importProjectBundle = async (text) => {
+    let bundle;
+    try {
+        bundle = JSON.parse(text);
+    } catch {
+        throw new Error('El archivo no es JSON válido');
+    }
+
+    if (bundle?.format !== BUNDLE_FORMAT || !Array.isArray(bundle.projects)) {
+        throw new Error('El archivo no es un paquete de proyecto de PDR Test');
+    }
+    if (bundle.version > BUNDLE_VERSION) {
+        throw new Error(`Versión de paquete ${bundle.version} no soportada (máximo ${BUNDLE_VERSION})`);
+    }
+
+    const imported = [];
+    for (const project of bundle.projects) {
+        imported.push(await createProject(project.name, projectSnapshot(normalizeProject(project))));
+    }
+    return imported;
+};
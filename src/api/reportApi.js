@@ -0,0 +1,278 @@
+import { createENUProjection, geodesicArea, geodesicPerimeter, MEASUREMENT_METHOD } from './geodesy.js';
+import { formatCoordinate, DEFAULT_COORDINATE_FORMAT } from './coordinateFormats.js';
+import { restrictionCategory, isAreaColor, AREA_COLORS } from './areasApi.js';
+import { describeShape } from './shapesApi.js';
+import { pointSurvey, surveyProgress, surveyStatus, SURVEY_STATUSES } from './surveyApi.js';
+import { describeEdges } from './measureApi.js';
+
+// Printable survey report: one standalone HTML document (inline CSS and SVG,
+// no external resources) with the project metadata, a summary table and, per
+// area, a vector map of the area, its restrictions and grid, the edge lengths
+// and bearings and the restriction table, then the session annotations. Kept free of DOM code: exportApi
+// downloads it or sends it to the browser's print dialog (print to PDF).
+//
+// areas are the per-area export data of exportApi: { name, placeName, color,
+// points, restrictions, grid, surveyEntries, metrics, gridDescription }.
+
+const escapeHTML = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const number = (value, digits = 2) => Number(value).toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+
+const ringOf = (points) => points.map(p => ({ lat: p.lat, lng: p.lng }));
+
+// ---------------------------------------------------------------------------
+// Map
+// ---------------------------------------------------------------------------
+
+const MAP_WIDTH = 680;
+const MAP_HEIGHT = 420;
+const MAP_MARGIN = 36;
+
+// Helper: Round length (1, 2 or 5 × 10^n metres) for a scale bar of at most maxMetres
+const niceLength = (maxMetres) => {
+    const magnitude = 10 ** Math.floor(Math.log10(maxMetres));
+    return [5, 2, 1].map(step => step * magnitude).find(length => length <= maxMetres) || magnitude;
+};
+
+// SVG map of one area in its local metric plane (north up, true scale), with
+// restrictions in their category colours, grid points coloured by survey
+// status, vertex labels, the annotations that fall on the map (labelled
+// N1, N2... by their position in `annotations`), a north arrow and a scale bar
+export const toSVGMap = (area, { width = MAP_WIDTH, height = MAP_HEIGHT, annotations = [] } = {}) => {
+    const lats = area.points.map(p => p.lat);
+    const lngs = area.points.map(p => p.lng);
+    const projection = createENUProjection({
+        lat: (Math.min(...lats) + Math.max(...lats)) / 2,
+        lng: (Math.min(...lngs) + Math.max(...lngs)) / 2
+    });
+    const planar = area.points.map(projection.forward);
+    const xs = planar.map(p => p[0]);
+    const ys = planar.map(p => p[1]);
+    const spanX = Math.max(Math.max(...xs) - Math.min(...xs), 1);
+    const spanY = Math.max(Math.max(...ys) - Math.min(...ys), 1);
+    const scale = Math.min((width - 2 * MAP_MARGIN) / spanX, (height - 2 * MAP_MARGIN) / spanY); // px per metre
+    const offsetX = (width - spanX * scale) / 2 - Math.min(...xs) * scale;
+    const offsetY = (height - spanY * scale) / 2 + Math.max(...ys) * scale;
+
+    const toScreen = (point) => {
+        const [x, y] = projection.forward(point);
+        return [Number((offsetX + x * scale).toFixed(1)), Number((offsetY - y * scale).toFixed(1))];
+    };
+    const pathOf = (points) => `M${points.map(p => toScreen(p).join(' ')).join('L')}Z`;
+
+    const areaColor = escapeHTML(isAreaColor(area.color) ? area.color : AREA_COLORS[0]);
+
+    // Every attribute value is escaped: colours and sizes come from stored projects and links
+    const [w, h] = [escapeHTML(width), escapeHTML(height)];
+    let svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${w} ${h}" width="${w}" height="${h}" class="report-map">`;
+    svg += `<rect width="${w}" height="${h}" fill="#fbfcfd"/>`;
+    svg += `<path d="${pathOf(area.points)}" fill="${areaColor}" fill-opacity="0.15" stroke="${areaColor}" stroke-width="2"/>`;
+
+    area.restrictions.forEach(restriction => {
+        const color = escapeHTML(restrictionCategory(restriction.category).color);
+        svg += `<path d="${pathOf(restriction.points)}" fill="${color}" fill-opacity="0.35" stroke="${color}" stroke-width="1.5"/>`;
+    });
+
+    // Grid points: one path of zero-length round-capped segments per colour
+    const byColor = new Map();
+    area.grid.forEach(point => {
+        const color = surveyStatus(pointSurvey(area.surveyEntries, point).status).color || '#2c3e50';
+        const [x, y] = toScreen(point);
+        byColor.set(color, (byColor.get(color) || '') + `M${x} ${y}h0`);
+    });
+    const dotSize = Math.min(4, Math.max(1.5, (area.gridDescription?.spacing_meters || 1) * scale * 0.4));
+    byColor.forEach((d, color) => {
+        svg += `<path d="${d}" stroke="${escapeHTML(color)}" stroke-width="${dotSize.toFixed(1)}" stroke-linecap="round"/>`;
+    });
+
+    area.points.forEach((point, index) => {
+        const [x, y] = toScreen(point);
+        svg += `<circle cx="${x}" cy="${y}" r="3" fill="white" stroke="${areaColor}" stroke-width="1.5"/>`;
+        svg += `<text x="${x + 5}" y="${y - 5}" font-size="10" fill="#2c3e50">P${index + 1}</text>`;
+    });
+
+    annotations.forEach((annotation, index) => {
+        const [x, y] = toScreen(annotation);
+        if (x < 0 || y < 0 || x > width || y > height) return;
+        svg += `<path d="M${x} ${y}l-5 -9h10z" fill="#8e44ad"/>`;
+        svg += `<text x="${x + 6}" y="${y - 8}" font-size="10" font-weight="600" fill="#8e44ad">N${index + 1}</text>`;
+    });
+
+    // North arrow and scale bar
+    svg += `<g transform="translate(${width - 24} 14)"><path d="M0 0L6 16L0 12L-6 16Z" fill="#2c3e50"/><text x="0" y="28" font-size="10" text-anchor="middle" fill="#2c3e50">N</text></g>`;
+    const barMetres = niceLength(width / 4 / scale);
+    const barPixels = barMetres * scale;
+    svg += `<g transform="translate(12 ${height - 14})"><path d="M0 -4V0H${barPixels.toFixed(1)}V-4" fill="none" stroke="#2c3e50" stroke-width="1.5"/>`;
+    svg += `<text x="${(barPixels / 2).toFixed(1)}" y="-7" font-size="10" text-anchor="middle" fill="#2c3e50">${barMetres >= 1000 ? `${barMetres / 1000} km` : `${barMetres} m`}</text></g>`;
+
+    return `${svg}</svg>`;
+};
+
+// ---------------------------------------------------------------------------
+// Tables
+// ---------------------------------------------------------------------------
+
+const table = (headers, rows, { numeric = [] } = {}) => {
+    const cell = (tag, value, index) => `<${tag}${numeric.includes(index) ? ' class="num"' : ''}>${value}</${tag}>`;
+    return `<table><thead><tr>${headers.map((header, i) => cell('th', escapeHTML(header), i)).join('')}</tr></thead>` +
+        `<tbody>${rows.map(row => `<tr>${row.map((value, i) => cell('td', value, i)).join('')}</tr>`).join('')}</tbody></table>`;
+};
+
+const summaryTable = (areas, totals) => table(
+    ['Area', 'Gross area (m²)', 'Restricted (m²)', 'Net area (m²)', 'Perimeter (m)', 'Restrictions', 'Grid points', 'Resolution (m)'],
+    [
+        ...areas.map(area => [
+            escapeHTML(area.name),
+            number(area.metrics.gross_area_m2),
+            number(area.metrics.restricted_area_m2),
+            number(area.metrics.net_area_m2),
+            number(area.metrics.perimeter_m),
+            area.restrictions.length,
+            area.grid.length,
+            number(area.gridDescription.spacing_meters, 1)
+        ]),
+        ...(areas.length > 1 ? [[
+            '<strong>Total</strong>',
+            number(totals.gross_area_m2),
+            number(totals.restricted_area_m2),
+            number(totals.net_area_m2),
+            number(totals.perimeter_m),
+            areas.reduce((sum, area) => sum + area.restrictions.length, 0),
+            areas.reduce((sum, area) => sum + area.grid.length, 0),
+            ''
+        ]] : [])
+    ],
+    { numeric: [1, 2, 3, 4, 5, 6, 7] }
+);
+
+const areaSection = (area, index, coordinateFormat, annotations) => {
+    const grid = area.gridDescription;
+    const progress = surveyProgress(area.grid, area.surveyEntries);
+    const categoryRows = Object.entries(area.metrics.restricted_area_by_category_m2 || {})
+        .filter(([, value]) => value > 0)
+        .map(([category, value]) => `${escapeHTML(category)}: ${number(value)} m²`);
+
+    let html = `<section class="area"><h2>${index + 1}. ${escapeHTML(area.name)}</h2>`;
+    if (area.placeName) html += `<p class="place">${escapeHTML(area.placeName)}</p>`;
+    html += area.points.length >= 3 ? toSVGMap(area, { annotations }) : '<p>Not enough vertices to draw the area.</p>';
+
+    html += '<div class="facts">';
+    html += `<div><span>Gross area</span>${number(area.metrics.gross_area_m2)} m²</div>`;
+    html += `<div><span>Net area</span>${number(area.metrics.net_area_m2)} m²</div>`;
+    html += `<div><span>Perimeter</span>${number(area.metrics.perimeter_m)} m</div>`;
+    html += `<div><span>Grid</span>${area.grid.length} points · ${number(grid.spacing_meters, 1)} m ${escapeHTML(grid.layout)}, bearing ${number(grid.bearing_degrees, 1)}°</div>`;
+    html += `<div><span>Grid buffers</span>boundary ${number(grid.boundary_buffer_meters, 1)} m · restrictions ${number(grid.restriction_buffer_meters, 1)} m</div>`;
+    if (categoryRows.length > 0) html += `<div><span>Restricted by category</span>${categoryRows.join(' · ')}</div>`;
+    if (progress.done > 0) {
+        html += `<div><span>Survey</span>${SURVEY_STATUSES.map(status => `${status.id} ${progress[status.id]}`).join(' · ')}</div>`;
+    }
+    html += '</div>';
+
+    const edges = describeEdges(area.points);
+    let cumulative = 0;
+    html += '<h3>Vertices and edges</h3>';
+    html += table(
+        ['Vertex', 'Coordinate', 'Edge', 'Length (m)', 'Bearing (°)', 'Cumulative (m)'],
+        edges.map(edge => {
+            cumulative += edge.length;
+            return [
+                `P${edge.from + 1}`,
+                escapeHTML(formatCoordinate(area.points[edge.from], coordinateFormat)),
+                `P${edge.from + 1} → P${edge.to + 1}`,
+                number(edge.length),
+                number(edge.bearing, 1),
+                number(cumulative)
+            ];
+        }),
+        { numeric: [3, 4, 5] }
+    );
+
+    html += `<h3>Restrictions (${area.restrictions.length})</h3>`;
+    html += area.restrictions.length === 0 ? '<p>There are no restrictions registered.</p>' : table(
+        ['#', 'Name', 'Category', 'Shape', 'Vertices', 'Area (m²)', 'Perimeter (m)', 'Notes'],
+        area.restrictions.map((restriction, rIndex) => {
+            const category = restrictionCategory(restriction.category);
+            return [
+                rIndex + 1,
+                escapeHTML(restriction.name),
+                `<span class="swatch" style="background:${escapeHTML(category.color)}"></span>${escapeHTML(category.id)}`,
+                escapeHTML(describeShape(restriction.shape)),
+                restriction.points.length,
+                number(geodesicArea(ringOf(restriction.points))),
+                number(geodesicPerimeter(ringOf(restriction.points))),
+                escapeHTML(restriction.notes)
+            ];
+        }),
+        { numeric: [0, 4, 5, 6] }
+    );
+
+    return `${html}</section>`;
+};
+
+const REPORT_STYLE = `
+    @page { size: A4; margin: 14mm; }
+    body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #2c3e50; margin: 24px auto; max-width: 760px; font-size: 12px; }
+    h1 { font-size: 22px; margin: 0 0 4px; }
+    h2 { font-size: 17px; margin: 0 0 4px; border-bottom: 2px solid #ecf0f1; padding-bottom: 4px; }
+    h3 { font-size: 13px; margin: 16px 0 6px; }
+    .subtitle, .place { color: #7f8c8d; margin: 0 0 12px; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 8px; }
+    th, td { border: 1px solid #dfe6e9; padding: 3px 6px; text-align: left; vertical-align: top; }
+    th { background: #f4f6f7; font-weight: 600; }
+    .num { text-align: right; font-variant-numeric: tabular-nums; }
+    thead { display: table-header-group; }
+    tr { page-break-inside: avoid; }
+    .meta td:first-child { width: 180px; color: #7f8c8d; }
+    .report-map { display: block; width: 100%; height: auto; border: 1px solid #dfe6e9; margin: 8px 0; }
+    .facts { display: grid; grid-template-columns: 1fr 1fr; gap: 4px 16px; margin-bottom: 8px; }
+    .facts span { display: block; color: #7f8c8d; font-size: 10px; text-transform: uppercase; letter-spacing: 0.04em; }
+    .swatch { display: inline-block; width: 9px; height: 9px; border-radius: 2px; margin-right: 5px; }
+    section.area, section.annotations { page-break-before: always; }
+    @media print { body { margin: 0; max-width: none; } }
+`;
+
+// Annotations of the session, numbered as on the maps
+const annotationSection = (annotations, coordinateFormat) => `<section class="annotations"><h2>Annotations (${annotations.length})</h2>` +
+    table(
+        ['#', 'Text', 'Coordinate'],
+        annotations.map((annotation, index) => [
+            `N${index + 1}`,
+            escapeHTML(annotation.text).replace(/\n/g, '<br>'),
+            escapeHTML(formatCoordinate(annotation, coordinateFormat))
+        ])
+    ) + '</section>';
+
+// Standalone HTML report. options: project ({ name, createdAt, updatedAt }),
+// totals (see exportApi describeTotals), coordinateFormat, annotations
+// ([{ lat, lng, text }], see measureApi)
+export const generateReportHTML = (areas, { project = null, totals, coordinateFormat = DEFAULT_COORDINATE_FORMAT, annotations = [] } = {}) => {
+    const generatedAt = new Date();
+    const title = `Survey report${project?.name ? ` – ${project.name}` : ''}`;
+    const meta = [
+        ['Project', escapeHTML(project?.name || '—')],
+        ...(project?.createdAt ? [['Created', escapeHTML(new Date(project.createdAt).toLocaleString())]] : []),
+        ...(project?.updatedAt ? [['Last modified', escapeHTML(new Date(project.updatedAt).toLocaleString())]] : []),
+        ['Report generated', escapeHTML(generatedAt.toLocaleString())],
+        ['Areas', areas.length],
+        ['Coordinate format', `${escapeHTML(coordinateFormat.toUpperCase())} (WGS84)`],
+        ['Distance method', escapeHTML(MEASUREMENT_METHOD.distance)],
+        ['Area method', escapeHTML(MEASUREMENT_METHOD.area)],
+        ['Grid plane', escapeHTML(MEASUREMENT_METHOD.grid)]
+    ];
+
+    let html = '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n';
+    html += `<title>${escapeHTML(title)}</title>\n<style>${REPORT_STYLE}</style>\n</head>\n<body>\n`;
+    html += `<h1>${escapeHTML(title)}</h1>\n<p class="subtitle">PDR test areas · ${escapeHTML(generatedAt.toISOString())}</p>\n`;
+    html += `<table class="meta"><tbody>${meta.map(([key, value]) => `<tr><td>${key}</td><td>${value}</td></tr>`).join('')}</tbody></table>\n`;
+    html += `<h3>Summary</h3>\n${summaryTable(areas, totals)}\n`;
+    areas.forEach((area, index) => {
+        html += `${areaSection(area, index, coordinateFormat, annotations)}\n`;
+    });
+    if (annotations.length > 0) html += `${annotationSection(annotations, coordinateFormat)}\n`;
+    html += '</body>\n</html>\n';
+    return html;
+};
@@ -0,0 +1,549 @@
+import { createENUProjection, geodesicDistance } from './geodesy.js';
+import { normalizeGridSettings, resolveGridBearing } from './gridApi.js';
+import { downloadFile } from './downloadApi.js';
+import { toGPX } from './gisFormats.js';
+
+// Survey routes: the order in which testers walk the grid points.
+//
+//   serpentine  lawnmower pattern along the grid rows, alternating direction
+//   nearest     nearest-neighbour tour improved with 2-opt
+//
+// Legs never cross a restriction or leave the area: a blocked leg is replaced
+// by the shortest detour around the obstacle corners (visibility graph in a
+// local metric plane). Kept free of DOM code except for the download helper.
+//
+// Route shape:
+// { method, order: [grid index], legs: [{ length, detour, blocked }],
+//   path: [{ lat, lng }] (grid points plus detour corners), length (m),
+//   detourCount, blockedCount }
+// A blocked leg has no way around (e.g. a point enclosed by restrictions) and is walked straight.
+
+export const ROUTE_METHODS = [
+    { id: 'serpentine', label: 'Serpentina (por filas)' },
+    { id: 'nearest', label: 'Vecino más cercano + 2-opt' }
+];
+
+const SETTINGS_KEY = 'pdr-test:route';
+
+export const DEFAULT_ROUTE_SETTINGS = {
+    method: 'serpentine',
+    walkingSpeed: 1.2,   // m/s
+    dwellTime: 0         // seconds spent measuring at each point
+};
+
+// Distance (m) detours keep from the corners they turn around
+const DETOUR_CLEARANCE = 0.3;
+// Nearest-neighbour candidates whose true (detoured) leg length is compared
+const NEAREST_CANDIDATES = 8;
+// 2-opt stops improving after this long (ms), keeping the best tour so far
+const TWO_OPT_BUDGET = 1500;
+// Obstacle rings with more edges than this get an edge index for leg tests
+const EDGE_INDEX_MIN = 32;
+
+export const normalizeRouteSettings = (settings = {}) => {
+    const speed = Number(settings.walkingSpeed);
+    const dwell = Number(settings.dwellTime);
+    return {
+        method: ROUTE_METHODS.some(method => method.id === settings.method) ? settings.method : DEFAULT_ROUTE_SETTINGS.method,
+        walkingSpeed: Number.isFinite(speed) && speed > 0 ? speed : DEFAULT_ROUTE_SETTINGS.walkingSpeed,
+        dwellTime: Number.isFinite(dwell) && dwell >= 0 ? dwell : DEFAULT_ROUTE_SETTINGS.dwellTime
+    };
+};
+
+export const getRouteSettings = () => {
+    try {
+        return normalizeRouteSettings(JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {});
+    } catch {
+        return { ...DEFAULT_ROUTE_SETTINGS };
+    }
+};
+
+export const setRouteSettings = (settings) => localStorage.setItem(SETTINGS_KEY, JSON.stringify(normalizeRouteSettings(settings)));
+
+// Estimated time (s) to walk the route and measure at every point
+export const routeDuration = (route, settings) => {
+    const { walkingSpeed, dwellTime } = normalizeRouteSettings(settings);
+    return route.length / walkingSpeed + dwellTime * route.order.length;
+};
+
+// ---------------------------------------------------------------------------
+// Planar geometry
+// ---------------------------------------------------------------------------
+
+const distance = ([x1, y1], [x2, y2]) => Math.hypot(x2 - x1, y2 - y1);
+
+const cross = ([ox, oy], [ax, ay], [bx, by]) => (ax - ox) * (by - oy) - (ay - oy) * (bx - ox);
+
+// Helper: How segments a-b and c-d meet: 'cross' at a point inside both,
+// 'touch' when an endpoint of one lies on the line of the other, else null
+const segmentsMeet = (a, b, c, d) => {
+    const d1 = cross(c, d, a);
+    const d2 = cross(c, d, b);
+    const d3 = cross(a, b, c);
+    const d4 = cross(a, b, d);
+    if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) return 'cross';
+    return d1 === 0 || d2 === 0 || d3 === 0 || d4 === 0 ? 'touch' : null;
+};
+
+const pointInRing = ([x, y], ring) => {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+};
+
+const signedArea = (ring) => ring.reduce((sum, [x1, y1], i) => {
+    const [x2, y2] = ring[(i + 1) % ring.length];
+    return sum + x1 * y2 - x2 * y1;
+}, 0) / 2;
+
+// Helper: Corners a detour may turn around: the convex corners of each
+// restriction and the reflex corners of the area, pushed `clearance` metres
+// away from the obstacle into free space
+const detourCorners = (ring, isHole, clearance) => {
+    const orientation = Math.sign(signedArea(ring)) || 1; // +1 counter-clockwise
+    const corners = [];
+    ring.forEach((point, i) => {
+        const prev = ring[(i - 1 + ring.length) % ring.length];
+        const next = ring[(i + 1) % ring.length];
+        const turn = cross(prev, point, next) * orientation; // > 0: convex corner of the polygon
+        if (isHole ? turn <= 0 : turn >= 0) return;
+
+        // Outward normals of both edges (right-hand side of a counter-clockwise ring)
+        const normal = ([ax, ay], [bx, by]) => {
+            const length = Math.hypot(bx - ax, by - ay) || 1;
+            return [orientation * (by - ay) / length, -orientation * (bx - ax) / length];
+        };
+        const [n1x, n1y] = normal(prev, point);
+        const [n2x, n2y] = normal(point, next);
+        const side = isHole ? 1 : -1; // away from a restriction, into the area
+        const length = Math.hypot(n1x + n2x, n1y + n2y) || 1;
+        corners.push([
+            point[0] + side * clearance * (n1x + n2x) / length,
+            point[1] + side * clearance * (n1y + n2y) / length
+        ]);
+    });
+    return corners;
+};
+
+// Helper: Edge index (uniform buckets, as in gridApi) over the obstacle
+// edges. Segments are sampled every half cell: a crossing is then within one
+// cell of a query sample, so each edge is registered in the 5×5 cells around
+// its own samples and a query looks at one cell per sample
+const createSegmentIndex = (edges, cellSize) => {
+    const cells = new Map();
+    const cellKey = (i, j) => (i + 32768) * 65536 + (j + 32768);
+    // Calls visit(i, j) for the cell of every sample until it returns true
+    const samplesAlong = (a, b, visit) => {
+        const steps = Math.max(1, Math.ceil(distance(a, b) / (cellSize / 2)));
+        for (let k = 0; k <= steps; k++) {
+            const i = Math.floor((a[0] + (b[0] - a[0]) * k / steps) / cellSize);
+            const j = Math.floor((a[1] + (b[1] - a[1]) * k / steps) / cellSize);
+            if (visit(i, j)) return true;
+        }
+        return false;
+    };
+
+    edges.forEach((edge, index) => samplesAlong(edge[0], edge[1], (i, j) => {
+        for (let di = -2; di <= 2; di++) {
+            for (let dj = -2; dj <= 2; dj++) {
+                const key = cellKey(i + di, j + dj);
+                if (!cells.has(key)) cells.set(key, new Set());
+                cells.get(key).add(index);
+            }
+        }
+        return false;
+    }));
+
+    // Edges already tested in the current query
+    const tested = new Int32Array(edges.length);
+    let query = 0;
+
+    // True when test(edge) holds for an edge near segment a-b; cells are
+    // visited from a to b, so a blocked leg usually stops early
+    return (a, b, test) => {
+        query++;
+        let previous = null;
+        return samplesAlong(a, b, (i, j) => {
+            const key = cellKey(i, j);
+            if (key === previous || !cells.has(key)) return false;
+            previous = key;
+            for (const index of cells.get(key)) {
+                if (tested[index] === query) continue;
+                tested[index] = query;
+                if (test(edges[index])) return true;
+            }
+            return false;
+        });
+    };
+};
+
+// Helper: Free space of an area (planar rings): leg clearance tests and
+// shortest detours between two free points
+const createObstacleMap = (areaRing, restrictionRings) => {
+    const edges = [areaRing, ...restrictionRings].flatMap(ring => ring.map((a, i) => [a, ring[(i + 1) % ring.length]]));
+    let someEdgeNear = (a, b, test) => edges.some(test);
+    if (edges.length > EDGE_INDEX_MIN) {
+        const xs = areaRing.map(p => p[0]), ys = areaRing.map(p => p[1]);
+        const extent = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+        someEdgeNear = createSegmentIndex(edges, Math.max(extent / 128, 0.5)); // fine cells for traced outlines
+    }
+    const isFree = (p) => pointInRing(p, areaRing) && !restrictionRings.some(ring => pointInRing(p, ring));
+    // Legs join free points (grid points, detour corners): one that crosses no
+    // edge stays in free space, unless it runs exactly through a corner or
+    // along an edge, where the midpoint tells
+    const isClear = (a, b) => {
+        let touches = false;
+        const crosses = someEdgeNear(a, b, ([c, d]) => {
+            const meet = segmentsMeet(a, b, c, d);
+            if (meet === 'touch') touches = true;
+            return meet === 'cross';
+        });
+        return !crosses && (!touches || isFree([(a[0] + b[0]) / 2, (a[1] + b[1]) / 2]));
+    };
+
+    const nodes = [
+        ...detourCorners(areaRing, false, DETOUR_CLEARANCE),
+        ...restrictionRings.flatMap(ring => detourCorners(ring, true, DETOUR_CLEARANCE))
+    ].filter(isFree);
+
+    // Visibility between corners, computed on first use
+    let visibility = null;
+    const cornerVisibility = () => {
+        if (!visibility) {
+            visibility = nodes.map(() => []);
+            for (let i = 0; i < nodes.length; i++) {
+                for (let j = i + 1; j < nodes.length; j++) {
+                    if (isClear(nodes[i], nodes[j])) {
+                        const length = distance(nodes[i], nodes[j]);
+                        visibility[i].push([j, length]);
+                        visibility[j].push([i, length]);
+                    }
+                }
+            }
+        }
+        return visibility;
+    };
+
+    // Shortest free polyline from a to b ([a, ...corners, b]), or null
+    const shortestPath = (a, b) => {
+        if (isClear(a, b)) return [a, b];
+        if (nodes.length === 0) return null;
+
+        const graph = cornerVisibility();
+        const count = nodes.length;
+        const START = count, END = count + 1;
+        const fromStart = nodes.map((node, i) => (isClear(a, node) ? [i, distance(a, node)] : null)).filter(Boolean);
+        const toEnd = new Map(nodes.map((node, i) => (isClear(node, b) ? [i, distance(node, b)] : null)).filter(Boolean));
+
+        // Dijkstra over the corners (dense graph: plain array scan)
+        const dist = new Array(count + 2).fill(Infinity);
+        const previous = new Array(count + 2).fill(-1);
+        const done = new Array(count + 2).fill(false);
+        dist[START] = 0;
+        fromStart.forEach(([i, length]) => {
+            dist[i] = length;
+            previous[i] = START;
+        });
+        done[START] = true;
+
+        for (;;) {
+            let current = -1;
+            for (let i = 0; i < count + 2; i++) {
+                if (!done[i] && dist[i] < Infinity && (current < 0 || dist[i] < dist[current])) current = i;
+            }
+            if (current < 0) return null;
+            if (current === END) break;
+            done[current] = true;
+
+            const relax = (i, length) => {
+                if (dist[current] + length < dist[i]) {
+                    dist[i] = dist[current] + length;
+                    previous[i] = current;
+                }
+            };
+            graph[current].forEach(([i, length]) => relax(i, length));
+            if (toEnd.has(current)) relax(END, toEnd.get(current));
+        }
+
+        const path = [b];
+        for (let i = previous[END]; i !== START; i = previous[i]) path.unshift(nodes[i]);
+        return [a, ...path];
+    };
+
+    return { shortestPath };
+};
+
+// ---------------------------------------------------------------------------
+// Ordering
+// ---------------------------------------------------------------------------
+
+// Helper: Grid rows (same plane and rotation as gridApi) walked alternately
+// left-to-right and right-to-left
+const serpentineOrder = (points, areaPoints, gridSettings) => {
+    const settings = normalizeGridSettings(gridSettings);
+    const angle = (90 - resolveGridBearing(areaPoints, settings)) * Math.PI / 180;
+    const cos = Math.cos(angle), sin = Math.sin(angle);
+    const rowStep = settings.layout === 'hex' ? settings.spacing * Math.sqrt(3) / 2 : settings.spacing;
+
+    const rotated = points.map(([x, y], index) => ({ index, u: x * cos + y * sin, v: -x * sin + y * cos }));
+    let minV = Infinity; // a loop: spreading 100k+ values into Math.min overflows the stack
+    rotated.forEach(p => {
+        if (p.v < minV) minV = p.v;
+    });
+    const rows = new Map();
+    rotated.forEach(p => {
+        const row = Math.round((p.v - minV) / rowStep);
+        if (!rows.has(row)) rows.set(row, []);
+        rows.get(row).push(p);
+    });
+
+    return [...rows.keys()].sort((a, b) => a - b).flatMap((row, i) => rows.get(row)
+        .sort((a, b) => (i % 2 === 0 ? a.u - b.u : b.u - a.u))
+        .map(p => p.index));
+};
+
+// Helper: Bucket grid over the points not yet visited, answering "the k
+// closest ones to p" by searching rings of cells outwards from p's cell
+// instead of sorting all of them
+const createPointIndex = (points) => {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    points.forEach(([x, y]) => {
+        minX = Math.min(minX, x);
+        maxX = Math.max(maxX, x);
+        minY = Math.min(minY, y);
+        maxY = Math.max(maxY, y);
+    });
+    // About four points per cell
+    const cellSize = Math.max(2 * Math.sqrt(Math.max((maxX - minX) * (maxY - minY), 1) / points.length), 1e-3);
+    const columns = Math.floor((maxX - minX) / cellSize) + 1;
+    const rows = Math.floor((maxY - minY) / cellSize) + 1;
+    const cells = new Map();
+    const cellOf = ([x, y]) => [Math.floor((x - minX) / cellSize), Math.floor((y - minY) / cellSize)];
+    const cellKey = (i, j) => j * columns + i;
+
+    points.forEach((p, index) => {
+        const key = cellKey(...cellOf(p));
+        if (!cells.has(key)) cells.set(key, new Set());
+        cells.get(key).add(index);
+    });
+    let size = points.length;
+
+    return {
+        size: () => size,
+        remove: (index) => {
+            if (cells.get(cellKey(...cellOf(points[index])))?.delete(index)) size--;
+        },
+        // [[index, straight distance]] of the k closest points, closest first
+        nearest: (p, k) => {
+            const [ci, cj] = cellOf(p);
+            const wanted = Math.min(k, size);
+            let found = [];
+            const visit = (i, j) => {
+                if (i < 0 || j < 0 || i >= columns || j >= rows) return;
+                cells.get(cellKey(i, j))?.forEach(index => found.push([index, distance(p, points[index])]));
+            };
+            for (let ring = 0; ring <= columns + rows; ring++) {
+                if (ring === 0) {
+                    visit(ci, cj);
+                } else {
+                    for (let i = ci - ring; i <= ci + ring; i++) {
+                        visit(i, cj - ring);
+                        visit(i, cj + ring);
+                    }
+                    for (let j = cj - ring + 1; j < cj + ring; j++) {
+                        visit(ci - ring, j);
+                        visit(ci + ring, j);
+                    }
+                }
+                // Points outside the rings searched so far are at least ring × cellSize away
+                if (found.length >= wanted) {
+                    found = found.sort((a, b) => a[1] - b[1]).slice(0, wanted);
+                    if (found.length === size || found[wanted - 1][1] <= ring * cellSize) break;
+                }
+            }
+            return found;
+        }
+    };
+};
+
+// Helper: Nearest-neighbour tour from `start`, choosing among the closest
+// candidates by their true leg length, then 2-opt (open path) within the time
+// budget. onProgress(fraction) follows the tour and then the 2-opt time
+const nearestNeighbourOrder = (points, start, legLength, onProgress) => {
+    const remaining = createPointIndex(points);
+    const order = [start];
+    remaining.remove(start);
+    const progressEvery = Math.max(1, Math.floor(points.length / 50));
+
+    while (remaining.size() > 0) {
+        const current = points[order[order.length - 1]];
+        const candidates = remaining.nearest(current, NEAREST_CANDIDATES);
+        let best = candidates[0][0];
+        let bestLength = Infinity;
+        for (const [index, straight] of candidates) {
+            if (straight >= bestLength) break;
+            const length = legLength(order[order.length - 1], index);
+            if (length < bestLength) {
+                best = index;
+                bestLength = length;
+            }
+        }
+        order.push(best);
+        remaining.remove(best);
+        if (order.length % progressEvery === 0) onProgress(0.6 * order.length / points.length);
+    }
+
+    // 2-opt: reverse order[i+1..j] when the two new legs are shorter. Straight
+    // distance is a lower bound of the true leg length, so most moves are
+    // rejected without computing any detour.
+    const begin = Date.now();
+    const deadline = begin + TWO_OPT_BUDGET;
+    const n = order.length;
+    let improved = true;
+    while (improved && Date.now() < deadline) {
+        improved = false;
+        onProgress(0.6 + 0.4 * (Date.now() - begin) / TWO_OPT_BUDGET);
+        for (let i = 0; i < n - 2 && Date.now() < deadline; i++) {
+            const a = order[i], b = order[i + 1];
+            const ab = legLength(a, b);
+            for (let j = i + 2; j < n; j++) {
+                const c = order[j], d = j + 1 < n ? order[j + 1] : null;
+                const before = ab + (d === null ? 0 : legLength(c, d));
+                const lowerBound = distance(points[a], points[c]) + (d === null ? 0 : distance(points[b], points[d]));
+                if (lowerBound >= before - 1e-9) continue;
+                const after = legLength(a, c) + (d === null ? 0 : legLength(b, d));
+                if (after < before - 1e-9) {
+                    for (let lo = i + 1, hi = j; lo < hi; lo++, hi--) [order[lo], order[hi]] = [order[hi], order[lo]];
+                    improved = true;
+                    break;
+                }
+            }
+        }
+    }
+    return order;
+};
+
+// Route through the grid points of an area. restrictions are vertex rings
+// (see restrictionRings); settings: see DEFAULT_ROUTE_SETTINGS.
+// Slow on large grids: the app runs it in a Web Worker (see useRoutePlanner);
+// options.onProgress(fraction) is called as the planning advances.
+export const planRoute = (gridPoints, areaPoints, restrictions, gridSettings, settings, { onProgress = () => {} } = {}) => {
+    const { method } = normalizeRouteSettings(settings);
+    if (gridPoints.length === 0 || areaPoints.length < 3) {
+        return { method, order: [], legs: [], path: [], length: 0, detourCount: 0, blockedCount: 0 };
+    }
+
+    const lats = areaPoints.map(p => p.lat);
+    const lngs = areaPoints.map(p => p.lng);
+    const projection = createENUProjection({
+        lat: (Math.min(...lats) + Math.max(...lats)) / 2,
+        lng: (Math.min(...lngs) + Math.max(...lngs)) / 2
+    });
+    const points = gridPoints.map(projection.forward);
+    const obstacles = createObstacleMap(
+        areaPoints.map(projection.forward),
+        restrictions.filter(ring => ring.length >= 3).map(ring => ring.map(projection.forward))
+    );
+
+    // Detoured leg polylines and lengths, memoized per ordered pair
+    const legs = new Map();
+    const leg = (from, to) => {
+        const key = from * points.length + to;
+        if (!legs.has(key)) {
+            const path = obstacles.shortestPath(points[from], points[to]);
+            legs.set(key, path
+                ? { path, length: path.slice(1).reduce((sum, p, i) => sum + distance(path[i], p), 0), blocked: false }
+                : { path: [points[from], points[to]], length: distance(points[from], points[to]), blocked: true });
+        }
+        return legs.get(key);
+    };
+
+    // Ordering takes most of the time of a nearest-neighbour tour, the legs
+    // (detours) most of a serpentine one
+    let order;
+    const ordered = method === 'serpentine' ? 0.1 : 0.8;
+    if (method === 'serpentine') {
+        order = serpentineOrder(points, areaPoints, gridSettings);
+    } else {
+        const entrance = projection.forward(areaPoints[0]);
+        const start = points.reduce((best, p, i) => (distance(p, entrance) < distance(points[best], entrance) ? i : best), 0);
+        order = nearestNeighbourOrder(points, start, (from, to) => leg(from, to).length, (fraction) => onProgress(ordered * fraction));
+    }
+    onProgress(ordered);
+
+    const path = [gridPoints[order[0]]];
+    const routeLegs = [];
+    const progressEvery = Math.max(1, Math.floor(order.length / 50));
+    let length = 0;
+    for (let i = 1; i < order.length; i++) {
+        if (i % progressEvery === 0) onProgress(ordered + (1 - ordered) * i / order.length);
+        const { path: legPath, blocked } = leg(order[i - 1], order[i]);
+        legPath.slice(1, -1).forEach(corner => path.push(projection.inverse(corner)));
+        path.push(gridPoints[order[i]]);
+
+        // Reported lengths are geodesic, along the polyline actually walked
+        const start = path.length - legPath.length;
+        let legLength = 0;
+        for (let k = start + 1; k < path.length; k++) legLength += geodesicDistance(path[k - 1], path[k]);
+        routeLegs.push({ length: legLength, detour: legPath.length > 2, blocked });
+        length += legLength;
+    }
+
+    return {
+        method,
+        order,
+        legs: routeLegs,
+        path,
+        length,
+        detourCount: routeLegs.filter(l => l.detour).length,
+        blockedCount: routeLegs.filter(l => l.blocked).length
+    };
+};
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+export const ROUTE_EXPORT_FORMATS = [
+    { id: 'gpx', label: 'GPX (waypoints + track)' },
+    { id: 'csv', label: 'CSV (secuencia)' }
+];
+
+// One row per stop: sequence, grid point ID (as in the grid exports), leg and
+// cumulative distance and estimated arrival time
+export const toRouteTable = (route, gridPoints, settings) => {
+    const { walkingSpeed, dwellTime } = normalizeRouteSettings(settings);
+    const rows = ['seq,point_id,lat,lng,leg_m,cumulative_m,eta_s'];
+    let cumulative = 0;
+    route.order.forEach((index, seq) => {
+        const legLength = seq === 0 ? 0 : route.legs[seq - 1].length;
+        cumulative += legLength;
+        const eta = cumulative / walkingSpeed + dwellTime * seq;
+        const point = gridPoints[index];
+        rows.push(`${seq + 1},G${index + 1},${point.lat.toFixed(7)},${point.lng.toFixed(7)},${legLength.toFixed(3)},${cumulative.toFixed(3)},${eta.toFixed(1)}`);
+    });
+    return rows.join('\n') + '\n';
+};
+
+export const exportRoute = (format, route, gridPoints, areaName, settings) => {
+    const stamp = Date.now();
+    switch (format) {
+        case 'gpx':
+            return downloadFile(toGPX({
+                name: `${areaName} · ${ROUTE_METHODS.find(method => method.id === route.method).label}`,
+                waypoints: route.order.map((index, seq) => ({
+                    ...gridPoints[index],
+                    name: `${seq + 1} G${index + 1}`
+                })),
+                track: route.path
+            }), `route_${stamp}.gpx`, 'application/gpx+xml');
+        case 'csv':
+            return downloadFile(toRouteTable(route, gridPoints, settings), `route_${stamp}.csv`, 'text/csv');
+        default:
+            throw new Error(`Unknown route format: ${format}`);
+    }
+};
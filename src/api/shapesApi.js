@@ -0,0 +1,188 @@
+import polygonClipping from 'polygon-clipping';
+import { createENUProjection, geodesicDistance } from './geodesy.js';
+
+// Parametric restriction shapes. A shape restriction keeps its parameters
+// (restriction.shape) and its polygon (restriction.points) is regenerated
+// from them, so grids, metrics and exports keep working on plain rings.
+//
+// Shapes:
+// { type: 'rectangle', center: {lat, lng}, width, height, rotation } (metres; rotation in degrees clockwise)
+// { type: 'circle', center: {lat, lng}, radius }
+// { type: 'corridor', line: [{lat, lng}], width } (line buffered by width / 2 on each side)
+
+export const RESTRICTION_TOOLS = [
+    { id: 'polygon', label: 'Polígono', hint: 'Clic en cada vértice' },
+    { id: 'rectangle', label: 'Rectángulo', hint: 'Clic en dos esquinas opuestas' },
+    { id: 'circle', label: 'Círculo', hint: 'Clic en el centro y en el borde' },
+    { id: 'corridor', label: 'Corredor', hint: 'Clic en cada punto de la línea' }
+];
+
+export const DEFAULT_CORRIDOR_WIDTH = 2;
+
+const MIN_SIZE = 0.1;
+const CIRCLE_SEGMENTS = 48;
+const JOIN_SEGMENTS = 16;
+
+const toRad = (deg) => deg * Math.PI / 180;
+
+// Helper: Regular polygon around [x, y] in a local metric plane
+const circleRing = ([cx, cy], radius, segments) => Array.from({ length: segments }, (_, i) => {
+    const angle = 2 * Math.PI * i / segments;
+    return [cx + radius * Math.sin(angle), cy + radius * Math.cos(angle)];
+});
+
+// Helper: Shoelace area of a planar ring
+const planarRingArea = (ring) => {
+    let sum = 0;
+    for (let i = 0; i < ring.length; i++) {
+        const [x1, y1] = ring[i];
+        const [x2, y2] = ring[(i + 1) % ring.length];
+        sum += x1 * y2 - x2 * y1;
+    }
+    return Math.abs(sum / 2);
+};
+
+// Helper: Close a planar ring, snapped to the millimetre so that polygon-clipping
+// does not choke on vertices that differ only by floating point noise
+const closeRing = (ring) => {
+    const snapped = ring.map(([x, y]) => [Math.round(x * 1000) / 1000, Math.round(y * 1000) / 1000]);
+    return [...snapped, snapped[0]];
+};
+
+const rectangleRing = ({ center, width, height, rotation = 0 }) => {
+    const projection = createENUProjection(center);
+    const θ = toRad(rotation);
+    const cos = Math.cos(θ), sin = Math.sin(θ);
+    const w = Math.max(width, MIN_SIZE) / 2;
+    const h = Math.max(height, MIN_SIZE) / 2;
+    return [[-w, -h], [w, -h], [w, h], [-w, h]]
+        .map(([x, y]) => projection.inverse([x * cos + y * sin, -x * sin + y * cos]));
+};
+
+const circleShapeRing = ({ center, radius }) => {
+    const projection = createENUProjection(center);
+    return circleRing([0, 0], Math.max(radius, MIN_SIZE), CIRCLE_SEGMENTS).map(projection.inverse);
+};
+
+// Union of one rectangle per segment and a disc per vertex (round joins and caps)
+const corridorRing = ({ line, width }) => {
+    if (line.length === 0) return [];
+    const projection = createENUProjection(line[0]);
+    const half = Math.max(width, MIN_SIZE) / 2;
+    const planar = line.map(projection.forward);
+
+    const pieces = planar.map(point => [closeRing(circleRing(point, half, JOIN_SEGMENTS))]);
+    for (let i = 0; i < planar.length - 1; i++) {
+        const [x1, y1] = planar[i];
+        const [x2, y2] = planar[i + 1];
+        const length = Math.hypot(x2 - x1, y2 - y1);
+        if (length === 0) continue;
+        const nx = -(y2 - y1) / length * half;
+        const ny = (x2 - x1) / length * half;
+        pieces.push([closeRing([[x1 + nx, y1 + ny], [x2 + nx, y2 + ny], [x2 - nx, y2 - ny], [x1 - nx, y1 - ny]])]);
+    }
+
+    const union = polygonClipping.union(...pieces);
+    // A corridor is one connected polygon; a self-crossing line may enclose
+    // holes, which are filled (the corridor outline is what gets excluded)
+    const outer = union
+        .map(([ring]) => ring.slice(0, -1))
+        .sort((a, b) => planarRingArea(b) - planarRingArea(a))[0] || [];
+    return outer.map(projection.inverse);
+};
+
+// Polygon ring ({lat, lng}[]) of a shape
+export const shapeRing = (shape) => {
+    switch (shape.type) {
+        case 'rectangle':
+            return rectangleRing(shape);
+        case 'circle':
+            return circleShapeRing(shape);
+        case 'corridor':
+            return corridorRing(shape);
+        default:
+            throw new Error(`Unknown restriction shape: ${shape.type}`);
+    }
+};
+
+// Point east/north metres away from origin (handle positions)
+export const offsetPoint = (origin, east, north) => createENUProjection(origin).inverse([east, north]);
+
+// Axis-aligned rectangle (in local metres) with opposite corners a and b
+export const rectangleFromCorners = (a, b) => {
+    const projection = createENUProjection(a);
+    const [x, y] = projection.forward(b);
+    const center = projection.inverse([x / 2, y / 2]);
+    return {
+        type: 'rectangle',
+        center: { lat: center.lat, lng: center.lng },
+        width: Number(Math.abs(x).toFixed(2)),
+        height: Number(Math.abs(y).toFixed(2)),
+        rotation: 0
+    };
+};
+
+export const circleFromPoints = (center, edge) => ({
+    type: 'circle',
+    center: { lat: center.lat, lng: center.lng },
+    radius: Number(geodesicDistance(center, edge).toFixed(2))
+});
+
+export const corridorFromLine = (line, width = DEFAULT_CORRIDOR_WIDTH) => ({
+    type: 'corridor',
+    line: line.map(p => ({ lat: p.lat, lng: p.lng })),
+    width
+});
+
+// Numeric parameters a user can edit, per shape type
+export const SHAPE_PARAMETERS = {
+    rectangle: [
+        { key: 'width', label: 'Ancho (m)' },
+        { key: 'height', label: 'Alto (m)' },
+        { key: 'rotation', label: 'Giro (°)' }
+    ],
+    circle: [{ key: 'radius', label: 'Radio (m)' }],
+    corridor: [{ key: 'width', label: 'Anchura (m)' }]
+};
+
+// Short description for lists and text reports
+export const describeShape = (shape) => {
+    switch (shape?.type) {
+        case 'rectangle':
+            return `rectangle ${shape.width} × ${shape.height} m, rotation ${shape.rotation}°`;
+        case 'circle':
+            return `circle, radius ${shape.radius} m`;
+        case 'corridor':
+            return `corridor, ${shape.line.length} line vertices, width ${shape.width} m`;
+        default:
+            return 'polygon';
+    }
+};
+
+// Shape as read from a file: null when it is missing or malformed
+export const normalizeShape = (shape) => {
+    if (!shape || typeof shape !== 'object') return null;
+    const isPoint = (p) => p && Number.isFinite(Number(p.lat)) && Number.isFinite(Number(p.lng));
+    const toPoint = (p) => ({ lat: Number(p.lat), lng: Number(p.lng) });
+    const positive = (value) => Number(value) > 0;
+
+    switch (shape.type) {
+        case 'rectangle':
+            if (!isPoint(shape.center) || !positive(shape.width) || !positive(shape.height)) return null;
+            return {
+                type: 'rectangle',
+                center: toPoint(shape.center),
+                width: Number(shape.width),
+                height: Number(shape.height),
+                rotation: Number(shape.rotation) || 0
+            };
+        case 'circle':
+            if (!isPoint(shape.center) || !positive(shape.radius)) return null;
+            return { type: 'circle', center: toPoint(shape.center), radius: Number(shape.radius) };
+        case 'corridor':
+            if (!Array.isArray(shape.line) || shape.line.length < 2 || !shape.line.every(isPoint) || !positive(shape.width)) return null;
+            return { type: 'corridor', line: shape.line.map(toPoint), width: Number(shape.width) };
+        default:
+            return null;
+    }
+};
@@ -0,0 +1,240 @@
+import { surveyEntries, surveyGridKey } from './surveyApi.js';
+import { isAreaColor } from './areasApi.js';
+
+// Share links: a whole session (areas with their restrictions and point
+// statuses, grid settings and map view) packed into the URL fragment, so it
+// never reaches a server:
+//
+//   #share=<version>.<codec>.<data>
+//
+// version  payload layout, see SHARE_VERSION (older layouts are upgraded on read)
+// codec    'z' deflate-raw compressed, 'j' plain JSON (browsers without CompressionStream)
+// data     base64url
+//
+// Payload (v1), with vertex rings as polylines (Google encoding at 1e-6°):
+// { n: project name, v: [lat, lng, zoom], g: { showGrid, ...grid settings },
+//   a: [{ n: name, c: color, h: 1 if hidden, p: ring, u: survey entries,
+//         r: [{ n: name, k: category, t: notes, p: ring, s: shape }] }],
+//   o: [[lat, lng, text]] annotations }
+// Only the point statuses of the current grid are shared; they are keyed again
+// to the decoded (rounded) geometry on read, see surveyApi.
+
+export const SHARE_VERSION = 1;
+
+const FRAGMENT_KEY = 'share';
+const POLYLINE_PRECISION = 1e6;
+
+// Links longer than this may be cut by chat apps, mail clients or old browsers
+export const SHARE_LINK_WARN_LENGTH = 8000;
+
+// ---------------------------------------------------------------------------
+// Polyline encoding
+// ---------------------------------------------------------------------------
+
+const encodeValue = (value) => {
+    let rest = value < 0 ? ~(value << 1) : value << 1;
+    let text = '';
+    while (rest >= 0x20) {
+        text += String.fromCharCode((0x20 | (rest & 0x1f)) + 63);
+        rest >>= 5;
+    }
+    return text + String.fromCharCode(rest + 63);
+};
+
+export const encodePolyline = (points) => {
+    let lastLat = 0, lastLng = 0;
+    return points.map(({ lat, lng }) => {
+        const latValue = Math.round(lat * POLYLINE_PRECISION);
+        const lngValue = Math.round(lng * POLYLINE_PRECISION);
+        const text = encodeValue(latValue - lastLat) + encodeValue(lngValue - lastLng);
+        lastLat = latValue;
+        lastLng = lngValue;
+        return text;
+    }).join('');
+};
+
+// Points of a polyline; throws on characters or coordinates a polyline can't hold
+export const decodePolyline = (text) => {
+    if (typeof text !== 'string') throw new Error('polyline is not text');
+    const values = [];
+    let value = 0, shift = 0;
+    for (let i = 0; i < text.length; i++) {
+        const chunk = text.charCodeAt(i) - 63;
+        if (chunk < 0 || chunk > 63) throw new Error(`invalid polyline character at ${i}`);
+        value |= (chunk & 0x1f) << shift;
+        shift += 5;
+        if (chunk < 0x20) {
+            values.push(value & 1 ? ~(value >> 1) : value >> 1);
+            value = 0;
+            shift = 0;
+        }
+    }
+    if (shift !== 0 || values.length % 2 !== 0) throw new Error('truncated polyline');
+
+    const points = [];
+    let lat = 0, lng = 0;
+    for (let i = 0; i < values.length; i += 2) {
+        lat += values[i];
+        lng += values[i + 1];
+        const point = { lat: lat / POLYLINE_PRECISION, lng: lng / POLYLINE_PRECISION };
+        if (Math.abs(point.lat) > 90 || Math.abs(point.lng) > 180) throw new Error('coordinates out of range');
+        points.push(point);
+    }
+    return points;
+};
+
+// ---------------------------------------------------------------------------
+// Compression and base64url
+// ---------------------------------------------------------------------------
+
+const canCompress = () => typeof CompressionStream === 'function' && typeof DecompressionStream === 'function';
+
+const transform = async (bytes, stream) => new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+const toBase64Url = (bytes) => {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+    if (!/^[A-Za-z0-9_-]*$/.test(text)) throw new Error('invalid base64url');
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+// ---------------------------------------------------------------------------
+// Payload
+// ---------------------------------------------------------------------------
+
+// Helper: Drop empty fields so they cost nothing in the link
+const compact = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) =>
+    value !== undefined && value !== null && value !== '' && !(typeof value === 'object' && Object.keys(value).length === 0)));
+
+const ringsOf = (restrictions) => restrictions.map(restriction => restriction.points);
+
+// Helper: Annotation coordinates at the polyline precision
+const roundCoordinate = (value) => Math.round(value * POLYLINE_PRECISION) / POLYLINE_PRECISION;
+
+const toPayload = ({ name, geometry, view, grid }) => compact({
+    n: name,
+    v: [view.center[0], view.center[1], view.zoom],
+    g: grid,
+    a: geometry.areas.map(area => compact({
+        n: area.name,
+        c: area.color,
+        h: area.visible ? undefined : 1,
+        p: encodePolyline(area.points),
+        u: surveyEntries(area.survey, surveyGridKey(area.points, ringsOf(area.restrictions), grid)),
+        r: area.restrictions.map(restriction => compact({
+            n: restriction.name,
+            k: restriction.category,
+            t: restriction.notes,
+            p: encodePolyline(restriction.points),
+            s: restriction.shape
+        }))
+    })),
+    o: (geometry.annotations || []).map(({ lat, lng, text }) => [roundCoordinate(lat), roundCoordinate(lng), text])
+});
+
+// Project data ({ name, geometry, view, grid }, normalized later by the project
+// store) from a v1 payload
+const fromPayload = (payload) => {
+    if (!payload || typeof payload !== 'object' || !Array.isArray(payload.a) || payload.a.length === 0) {
+        throw new Error('El enlace no contiene ningún área.');
+    }
+
+    let areas;
+    try {
+        areas = payload.a.map(area => ({
+            name: typeof area.n === 'string' ? area.n : '',
+            color: isAreaColor(area.c) ? area.c : undefined,
+            visible: area.h !== 1,
+            points: decodePolyline(area.p || ''),
+            survey: area.u || null,
+            restrictions: (Array.isArray(area.r) ? area.r : []).map(restriction => ({
+                name: restriction.n,
+                category: restriction.k,
+                notes: restriction.t,
+                points: decodePolyline(restriction.p || ''),
+                shape: restriction.s || null
+            }))
+        }));
+    } catch (err) {
+        throw new Error(`Las coordenadas del enlace están dañadas (${err.message}).`);
+    }
+
+    const grid = payload.g && typeof payload.g === 'object' ? payload.g : undefined;
+    areas.forEach(area => {
+        area.survey = area.survey && typeof area.survey === 'object'
+            ? { gridKey: surveyGridKey(area.points, ringsOf(area.restrictions), grid), points: area.survey }
+            : null;
+    });
+
+    // Annotations are checked when the project is normalized (see measureApi)
+    const annotations = (Array.isArray(payload.o) ? payload.o : [])
+        .filter(Array.isArray)
+        .map(([lat, lng, text]) => ({ lat, lng, text }));
+
+    const [lat, lng, zoom] = Array.isArray(payload.v) ? payload.v.map(Number) : [];
+    return {
+        name: typeof payload.n === 'string' && payload.n ? payload.n : 'Proyecto compartido',
+        geometry: { areas, annotations },
+        view: Number.isFinite(lat) && Number.isFinite(lng) && Number.isFinite(zoom)
+            ? { center: [lat, lng], zoom }
+            : undefined,
+        grid
+    };
+};
+
+// Readers per payload version; a layout change adds a reader that upgrades the
+// older payload instead of dropping support for links already shared
+const PAYLOAD_READERS = {
+    1: fromPayload
+};
+
+// ---------------------------------------------------------------------------
+// Links
+// ---------------------------------------------------------------------------
+
+// Shareable URL of a project ({ name, geometry, view, grid }) on top of baseUrl
+export const createShareLink = async (project, baseUrl) => {
+    const json = new TextEncoder().encode(JSON.stringify(toPayload(project)));
+    const compressed = canCompress();
+    const data = compressed ? await transform(json, new CompressionStream('deflate-raw')) : json;
+    return `${baseUrl.split('#')[0]}#${FRAGMENT_KEY}=${SHARE_VERSION}.${compressed ? 'z' : 'j'}.${toBase64Url(data)}`;
+};
+
+export const hasShareFragment = (hash) => hash.replace(/^#/, '').startsWith(`${FRAGMENT_KEY}=`);
+
+// Project data of a share fragment (location.hash); null when the fragment is
+// not a share link. Throws an Error with a user-facing message when the link is
+// malformed, truncated or from an unsupported version.
+export const readShareLink = async (hash) => {
+    if (!hasShareFragment(hash)) return null;
+    const value = hash.replace(/^#/, '').slice(FRAGMENT_KEY.length + 1);
+
+    const match = /^(\d+)\.([zj])\.(.+)$/.exec(value);
+    if (!match) throw new Error('El enlace está incompleto o dañado: falta la versión o los datos.');
+
+    const version = Number(match[1]);
+    if (version > SHARE_VERSION) {
+        throw new Error(`El enlace se creó con una versión más reciente de la aplicación (formato v${version}; esta versión lee hasta v${SHARE_VERSION}). Recarga la página para actualizarla.`);
+    }
+    const reader = PAYLOAD_READERS[version];
+    if (!reader) throw new Error(`El formato de enlace v${version} es antiguo y ya no está soportado.`);
+
+    const compressed = match[2] === 'z';
+    if (compressed && !canCompress()) throw new Error('Este navegador no puede descomprimir el enlace; ábrelo con uno más reciente.');
+
+    let payload;
+    try {
+        const bytes = fromBase64Url(match[3]);
+        payload = JSON.parse(new TextDecoder().decode(compressed ? await transform(bytes, new DecompressionStream('deflate-raw')) : bytes));
+    } catch {
+        throw new Error('El enlace está incompleto o dañado (puede que se cortara al copiarlo).');
+    }
+    return reader(payload);
+};
@@ -0,0 +1,83 @@
+import { createENUProjection } from './geodesy.js';
+
+// Douglas–Peucker simplification with a tolerance in metres. Points are
+// projected to a local ENU plane, so the tolerance is a true ground distance.
+// Kept points are returned unchanged (same objects and IDs).
+
+// Helper: Distance in metres from p to the segment a-b (planar [x, y])
+const segmentDistance = ([px, py], [ax, ay], [bx, by]) => {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq));
+    return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+};
+
+// Helper: Indices kept between first and last (inclusive), iterative to avoid deep recursion on long traces
+const douglasPeucker = (planar, first, last, tolerance) => {
+    const keep = new Set([first, last]);
+    const stack = [[first, last]];
+    while (stack.length > 0) {
+        const [start, end] = stack.pop();
+        let maxDistance = 0;
+        let index = -1;
+        for (let i = start + 1; i < end; i++) {
+            const distance = segmentDistance(planar[i], planar[start], planar[end]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
+            }
+        }
+        if (index >= 0 && maxDistance > tolerance) {
+            keep.add(index);
+            stack.push([start, index], [index, end]);
+        }
+    }
+    return keep;
+};
+
+// Open polyline: the end points are always kept
+export const simplifyLine = (points, tolerance) => {
+    if (points.length <= 2 || !(tolerance > 0)) return points;
+    const projection = createENUProjection(points[0]);
+    const planar = points.map(projection.forward);
+    const keep = douglasPeucker(planar, 0, points.length - 1, tolerance);
+    return points.filter((_, i) => keep.has(i));
+};
+
+// Closed ring: split at the vertex farthest from the first one and simplify
+// both halves, so the result does not depend on where the ring starts.
+// Never returns fewer than 3 vertices.
+export const simplifyRing = (points, tolerance) => {
+    if (points.length <= 3 || !(tolerance > 0)) return points;
+    const projection = createENUProjection(points[0]);
+    const planar = [...points.map(projection.forward), projection.forward(points[0])];
+
+    const distanceFromFirst = (i) => Math.hypot(planar[i][0] - planar[0][0], planar[i][1] - planar[0][1]);
+    let split = 1;
+    for (let i = 2; i < points.length; i++) {
+        if (distanceFromFirst(i) > distanceFromFirst(split)) split = i;
+    }
+
+    const keep = new Set([
+        ...douglasPeucker(planar, 0, split, tolerance),
+        ...douglasPeucker(planar, split, points.length, tolerance)
+    ]);
+    keep.delete(points.length); // closing copy of the first vertex
+
+    let simplified = points.filter((_, i) => keep.has(i));
+    if (simplified.length < 3) {
+        // Degenerate at this tolerance: keep the vertex farthest from the 0-split chord
+        let third = -1;
+        let maxDistance = -1;
+        planar.slice(0, points.length).forEach((point, i) => {
+            const distance = segmentDistance(point, planar[0], planar[split]);
+            if (i !== 0 && i !== split && distance > maxDistance) {
+                maxDistance = distance;
+                third = i;
+            }
+        });
+        simplified = points.filter((_, i) => i === 0 || i === split || i === third);
+    }
+    return simplified;
+};
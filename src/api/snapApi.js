@@ -0,0 +1,173 @@
+import { createENUProjection } from './geodesy.js';
+
+// Snapping for precision drawing in capture and restriction modes. A clicked
+// position moves to the nearest vertex or edge of the existing geometry when
+// it is within the tolerance, otherwise it can be held to an angle relative
+// to the previous segment (rectangular rooms) and to a metric grid.
+// Works in metres on the tangent plane at the cursor; the caller converts the
+// pixel tolerance of the settings to metres at the current zoom.
+//
+// targets: [{ points, closed }] rings (closed) and paths being drawn (open)
+// Result: { point, kind: 'vertex' | 'edge' | 'angle' | 'grid' | null, angle }
+
+export const SNAP_ANGLES = [
+    { id: 0, label: 'Libre' },
+    { id: 90, label: '90°' },
+    { id: 45, label: '45°' }
+];
+
+export const SNAP_KIND_LABELS = {
+    vertex: 'Vértice',
+    edge: 'Borde',
+    angle: 'Ángulo',
+    grid: 'Malla'
+};
+
+// Rough metres per degree of latitude, only used to skip far-away geometry
+const METRES_PER_DEGREE = 111000;
+
+// ---------------------------------------------------------------------------
+// Plane helpers
+// ---------------------------------------------------------------------------
+
+// Helper: Closest point to the origin on segment ab
+const closestOnSegment = ([ax, ay], [bx, by]) => {
+    const dx = bx - ax, dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+    return [ax + t * dx, ay + t * dy];
+};
+
+// Helper: Point where the ray from s along unit vector u crosses segment ab,
+// or null when they don't meet
+const raySegmentIntersection = ([sx, sy], [ux, uy], [ax, ay], [bx, by]) => {
+    const ex = bx - ax, ey = by - ay;
+    const denominator = ux * ey - uy * ex;
+    if (Math.abs(denominator) < 1e-12) return null;
+    const t = ((ax - sx) * ey - (ay - sy) * ex) / denominator;
+    const s = ((ax - sx) * uy - (ay - sy) * ux) / denominator;
+    if (t <= 0 || s < 0 || s > 1) return null;
+    return [sx + t * ux, sy + t * uy];
+};
+
+const length = ([x, y]) => Math.hypot(x, y);
+
+// Helper: Test for geographic points within about `range` metres of `point`
+// (a lat/lng box, only used to skip far-away geometry)
+const searchBox = (point, range) => {
+    const latRange = range / METRES_PER_DEGREE;
+    const lngRange = latRange / Math.max(Math.cos(point.lat * Math.PI / 180), 0.01);
+    return {
+        contains: (p) => Math.abs(p.lat - point.lat) <= latRange && Math.abs(p.lng - point.lng) <= lngRange,
+        touches: (a, b) =>
+            Math.min(a.lat, b.lat) - latRange <= point.lat && Math.max(a.lat, b.lat) + latRange >= point.lat &&
+            Math.min(a.lng, b.lng) - lngRange <= point.lng && Math.max(a.lng, b.lng) + lngRange >= point.lng
+    };
+};
+
+// Helper: Edges of the targets near `point`, as [from, to] pairs
+const nearbyEdges = (point, targets, range) => {
+    const box = searchBox(point, range);
+    const edges = [];
+    targets.forEach(({ points, closed }) => {
+        const count = closed && points.length >= 3 ? points.length : points.length - 1;
+        for (let i = 0; i < count; i++) {
+            const a = points[i], b = points[(i + 1) % points.length];
+            if (box.touches(a, b)) edges.push([a, b]);
+        }
+    });
+    return edges;
+};
+
+// Helper: Unit directions allowed after the last segment of `previous`: the
+// segment direction turned by every multiple of `step` degrees except going
+// straight back. Null without a constraint or a previous segment
+const constrainedDirections = (previous, forward, step) => {
+    if (!step || previous.length < 2) return null;
+    const [ax, ay] = forward(previous[previous.length - 2]);
+    const [bx, by] = forward(previous[previous.length - 1]);
+    if (ax === bx && ay === by) return null;
+    const base = Math.atan2(by - ay, bx - ax);
+
+    const directions = [];
+    for (let angle = 0; angle < 360; angle += step) {
+        if (angle === 180) continue;
+        const θ = base + angle * Math.PI / 180;
+        directions.push({ angle, vector: [Math.cos(θ), Math.sin(θ)] });
+    }
+    return directions;
+};
+
+// ---------------------------------------------------------------------------
+// Snapping
+// ---------------------------------------------------------------------------
+
+// Snap settings from the drawing settings (see drawingSettings)
+export const snapOptions = (settings) => ({
+    vertices: settings.snap && settings.snapVertices,
+    edges: settings.snap && settings.snapEdges,
+    grid: settings.snap && settings.snapGrid ? settings.snapGridSize : 0,
+    angle: settings.snap ? settings.snapAngle : 0
+});
+
+// Snapped position for a click at `point`.
+// previous: points already placed in the ring being drawn (for the angle
+// constraint); gridOrigin: a corner of the metric grid (null = no grid);
+// tolerance: snap distance in metres; options: see snapOptions
+export const snapPoint = (point, { targets = [], previous = [], gridOrigin = null, tolerance, options }) => {
+    const { forward, inverse } = createENUProjection(point);
+    const unsnapped = { point, kind: null, angle: null };
+
+    // 1. Vertices: the exact stored point, so shared corners match bit for bit
+    if (options.vertices) {
+        const box = searchBox(point, tolerance);
+        let best = null;
+        targets.forEach(({ points }) => points.filter(box.contains).forEach(vertex => {
+            const distance = length(forward(vertex));
+            if (distance <= tolerance && (!best || distance < best.distance)) best = { vertex, distance };
+        }));
+        if (best) return { point: { lat: best.vertex.lat, lng: best.vertex.lng }, kind: 'vertex', angle: null };
+    }
+
+    const last = previous.length > 0 ? forward(previous[previous.length - 1]) : null;
+    const directions = last && constrainedDirections(previous, forward, options.angle);
+
+    // 2. Edges: the closest point on the nearest edge, or where an allowed
+    //    direction from the last point crosses it
+    if (options.edges) {
+        let best = null;
+        nearbyEdges(point, targets, tolerance).forEach(([a, b]) => {
+            const from = forward(a), to = forward(b);
+            const candidates = directions
+                ? directions.map(({ angle, vector }) => ({ angle, at: raySegmentIntersection(last, vector, from, to) }))
+                : [{ angle: null, at: closestOnSegment(from, to) }];
+            candidates.forEach(({ angle, at }) => {
+                const distance = at ? length(at) : Infinity;
+                if (distance <= tolerance && (!best || distance < best.distance)) best = { at, angle, distance };
+            });
+        });
+        if (best) return { point: inverse(best.at), kind: 'edge', angle: best.angle };
+    }
+
+    // 3. Angle: the cursor projected on the closest allowed direction; with
+    //    the grid on, the segment length is rounded to the grid size
+    if (directions) {
+        const [cx, cy] = [-last[0], -last[1]]; // cursor relative to the last point
+        const { angle, vector, along } = directions
+            .map(direction => ({ ...direction, along: cx * direction.vector[0] + cy * direction.vector[1] }))
+            .reduce((best, direction) => (direction.along > best.along ? direction : best));
+        const distance = options.grid > 0 ? Math.round(along / options.grid) * options.grid : along;
+        if (distance <= 0) return unsnapped;
+        return { point: inverse([last[0] + vector[0] * distance, last[1] + vector[1] * distance]), kind: 'angle', angle };
+    }
+
+    // 4. Grid: the nearest node of a north-aligned grid through the origin
+    if (options.grid > 0 && gridOrigin) {
+        const grid = createENUProjection(gridOrigin);
+        const [east, north] = grid.forward(point);
+        const node = [Math.round(east / options.grid) * options.grid, Math.round(north / options.grid) * options.grid];
+        return { point: grid.inverse(node), kind: 'grid', angle: null };
+    }
+
+    return unsnapped;
+};
@@ -0,0 +1,196 @@
+// Minimal read-only SQLite reader, enough to scan the tables of an MBTiles
+// file without a WebAssembly build of SQLite. Pages are read on demand from a
+// Blob/File, so files larger than the available memory can be streamed.
+//
+// Supported: table b-trees (interior and leaf pages), overflow pages, every
+// record serial type and UTF-8/UTF-16 text. Indexes, WAL files and SQL are
+// not: a table is read in full, in rowid order.
+//
+// Usage:
+//   const db = await openSQLite(file);
+//   for await (const row of db.rows('tiles')) { row.zoom_level, ... }
+
+const MAGIC = 'SQLite format 3\u0000';
+
+const PAGE_INTERIOR_TABLE = 0x05;
+const PAGE_LEAF_TABLE = 0x0d;
+
+// Helper: Big-endian unsigned integers
+const uint16 = (bytes, offset) => (bytes[offset] << 8) | bytes[offset + 1];
+const uint32 = (bytes, offset) => ((bytes[offset] << 24) >>> 0) + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+
+// Helper: SQLite varint -> [value, byte length]
+const readVarint = (bytes, offset) => {
+    let value = 0;
+    for (let i = 0; i < 8; i++) {
+        const byte = bytes[offset + i];
+        value = value * 128 + (byte & 0x7f);
+        if (byte < 0x80) return [value, i + 1];
+    }
+    return [value * 256 + bytes[offset + 8], 9];
+};
+
+// Helper: Big-endian two's complement integer of n bytes
+const readInt = (bytes, offset, n) => {
+    let value = bytes[offset] > 127 ? bytes[offset] - 256 : bytes[offset];
+    for (let i = 1; i < n; i++) value = value * 256 + bytes[offset + i];
+    return value;
+};
+
+const INT_SIZES = { 1: 1, 2: 2, 3: 3, 4: 4, 5: 6, 6: 8 };
+
+// Helper: Values of a record (header of serial types, then the body)
+const decodeRecord = (bytes, textDecoder) => {
+    const [headerSize, headerLength] = readVarint(bytes, 0);
+    const types = [];
+    for (let offset = headerLength; offset < headerSize;) {
+        const [type, length] = readVarint(bytes, offset);
+        types.push(type);
+        offset += length;
+    }
+
+    let offset = headerSize;
+    return types.map(type => {
+        if (type === 0) return null;
+        if (type === 8) return 0;
+        if (type === 9) return 1;
+        if (INT_SIZES[type]) {
+            const value = readInt(bytes, offset, INT_SIZES[type]);
+            offset += INT_SIZES[type];
+            return value;
+        }
+        if (type === 7) {
+            const value = new DataView(bytes.buffer, bytes.byteOffset + offset, 8).getFloat64(0);
+            offset += 8;
+            return value;
+        }
+        if (type >= 12) {
+            const length = Math.floor((type - 12) / 2);
+            const data = bytes.slice(offset, offset + length);
+            offset += length;
+            return type % 2 === 0 ? data : textDecoder.decode(data);
+        }
+        throw new Error(`Tipo de dato SQLite no válido (${type})`);
+    });
+};
+
+// Helper: Column names of a CREATE TABLE statement, flagging the INTEGER
+// PRIMARY KEY column (stored as NULL, its value is the rowid)
+const parseColumns = (sql) => {
+    const body = sql.slice(sql.indexOf('(') + 1, sql.lastIndexOf(')'));
+    const definitions = [];
+    let depth = 0, current = '';
+    for (const char of body) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (char === ',' && depth === 0) {
+            definitions.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    definitions.push(current.trim());
+
+    return definitions
+        .filter(definition => definition && !/^(constraint|primary|unique|check|foreign)\b/i.test(definition))
+        .map(definition => ({
+            name: definition.match(/^("[^"]+"|`[^`]+`|\[[^\]]+\]|\S+)/)[1].replace(/^["`[]|["`\]]$/g, ''),
+            isRowid: /^\S+\s+integer\s+primary\s+key\b/i.test(definition)
+        }));
+};
+
+export const openSQLite = async (blob) => {
+    const header = new Uint8Array(await blob.slice(0, 100).arrayBuffer());
+    if (header.length < 100 || new TextDecoder().decode(header.subarray(0, 16)) !== MAGIC) {
+        throw new Error('No es un archivo SQLite');
+    }
+
+    const pageSize = uint16(header, 16) === 1 ? 65536 : uint16(header, 16);
+    const usableSize = pageSize - header[20];
+    const encoding = uint32(header, 56);
+    const textDecoder = new TextDecoder(encoding === 2 ? 'utf-16le' : encoding === 3 ? 'utf-16be' : 'utf-8');
+
+    const readPage = async (number) => new Uint8Array(await blob.slice((number - 1) * pageSize, number * pageSize).arrayBuffer());
+
+    // Bytes of the payload stored on the leaf page itself (the rest overflows)
+    const maxLocal = usableSize - 35;
+    const minLocal = Math.floor((usableSize - 12) * 32 / 255) - 23;
+    const localPayloadSize = (size) => {
+        if (size <= maxLocal) return size;
+        const spill = minLocal + ((size - minLocal) % (usableSize - 4));
+        return spill <= maxLocal ? spill : minLocal;
+    };
+
+    const readPayload = async (page, offset, size) => {
+        const local = localPayloadSize(size);
+        if (local === size) return page.subarray(offset, offset + size);
+
+        const payload = new Uint8Array(size);
+        payload.set(page.subarray(offset, offset + local));
+        let filled = local;
+        let next = uint32(page, offset + local);
+        while (filled < size && next) {
+            const overflow = await readPage(next);
+            const chunk = overflow.subarray(4, 4 + Math.min(size - filled, usableSize - 4));
+            payload.set(chunk, filled);
+            filled += chunk.length;
+            next = uint32(overflow, 0);
+        }
+        return payload;
+    };
+
+    // Every { rowid, values } of the table b-tree rooted at a page, in rowid order
+    async function* scan(rootPage) {
+        const stack = [rootPage];
+        while (stack.length > 0) {
+            const number = stack.pop();
+            const page = await readPage(number);
+            const start = number === 1 ? 100 : 0;
+            const type = page[start];
+            const cellCount = uint16(page, start + 3);
+
+            if (type === PAGE_INTERIOR_TABLE) {
+                // Children are visited left to right: push the right-most first
+                stack.push(uint32(page, start + 8));
+                for (let i = cellCount - 1; i >= 0; i--) {
+                    stack.push(uint32(page, uint16(page, start + 12 + i * 2)));
+                }
+            } else if (type === PAGE_LEAF_TABLE) {
+                for (let i = 0; i < cellCount; i++) {
+                    let offset = uint16(page, start + 8 + i * 2);
+                    const [size, sizeLength] = readVarint(page, offset);
+                    offset += sizeLength;
+                    const [rowid, rowidLength] = readVarint(page, offset);
+                    offset += rowidLength;
+                    yield { rowid, values: decodeRecord(await readPayload(page, offset, size), textDecoder) };
+                }
+            } else {
+                throw new Error(`Página SQLite ${number} no válida`);
+            }
+        }
+    }
+
+    // Schema: name -> { type ('table', 'view', ...), rootPage, columns }
+    const schema = new Map();
+    for await (const { values: [type, name, , rootPage, sql] } of scan(1)) {
+        schema.set(name, { type, rootPage, columns: type === 'table' && sql ? parseColumns(sql) : [] });
+    }
+
+    return {
+        hasTable: (name) => schema.get(name)?.type === 'table',
+        objectType: (name) => schema.get(name)?.type || null,
+        // Rows of a table as { column: value } objects
+        async* rows(name) {
+            const table = schema.get(name);
+            if (table?.type !== 'table') throw new Error(`La tabla "${name}" no existe`);
+            for await (const { rowid, values } of scan(table.rootPage)) {
+                const row = {};
+                table.columns.forEach((column, i) => {
+                    row[column.name] = column.isRowid ? rowid : (values[i] ?? null);
+                });
+                yield row;
+            }
+        }
+    };
+};
@@ -0,0 +1,87 @@
+import { gridCacheKey } from './gridApi.js';
+
+// Per-point survey status for the internal grid of an area, recorded during a
+// test day. Stored on the area (area.survey) so it follows undo/redo, autosave
+// and project bundles:
+//
+// { gridKey, points: { [pointId]: { status, note, value } } }
+//
+// pointId is the lattice position of the point (see gridPointId). gridKey is a
+// hash of the geometry and grid settings the grid was generated from: a
+// regenerated grid with the same key has the same points under the same IDs,
+// any other grid ignores the record (and the first change made on it replaces it).
+// Points without an entry are pending.
+
+export const SURVEY_STATUSES = [
+    { id: 'pending', label: 'Pendiente', color: null }, // drawn in the area colour
+    { id: 'measured', label: 'Medido', color: '#27ae60' },
+    { id: 'skipped', label: 'Omitido', color: '#f39c12' },
+    { id: 'blocked', label: 'Bloqueado', color: '#c0392b' }
+];
+
+const DEFAULT_ENTRY = { status: 'pending', note: '', value: '' };
+
+export const surveyStatus = (id) => SURVEY_STATUSES.find(status => status.id === id) || SURVEY_STATUSES[0];
+
+export const gridPointId = (point) => `R${point.row}C${point.col}`;
+
+// Helper: 32-bit FNV-1a, as 8 hex digits
+const hashString = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+// Key of the grid generated for these inputs (restrictions as vertex rings)
+export const surveyGridKey = (areaPoints, restrictions, settings) => hashString(gridCacheKey(areaPoints, restrictions, settings));
+
+const normalizeEntry = (entry = {}) => ({
+    status: surveyStatus(entry.status).id,
+    note: typeof entry.note === 'string' ? entry.note : '',
+    value: typeof entry.value === 'string' || typeof entry.value === 'number' ? String(entry.value) : ''
+});
+
+const isDefaultEntry = (entry) => entry.status === DEFAULT_ENTRY.status && !entry.note && !entry.value;
+
+// Survey record from stored data, or null
+export const normalizeSurvey = (survey) => {
+    if (typeof survey?.gridKey !== 'string' || !survey.points || typeof survey.points !== 'object') return null;
+    const points = {};
+    Object.entries(survey.points).forEach(([id, entry]) => {
+        const normalized = normalizeEntry(entry);
+        if (!isDefaultEntry(normalized)) points[id] = normalized;
+    });
+    return { gridKey: survey.gridKey, points };
+};
+
+const NO_ENTRIES = {};
+
+// Entries that apply to the grid with this key
+export const surveyEntries = (survey, gridKey) => (survey?.gridKey === gridKey ? survey.points : NO_ENTRIES);
+
+export const pointSurvey = (entries, point) => entries[gridPointId(point)] || DEFAULT_ENTRY;
+
+// Record with one point's status, note or value changed
+export const updatePointSurvey = (survey, gridKey, pointId, changes) => {
+    const points = { ...surveyEntries(survey, gridKey) };
+    const entry = normalizeEntry({ ...points[pointId], ...changes });
+    if (isDefaultEntry(entry)) delete points[pointId];
+    else points[pointId] = entry;
+    return { gridKey, points };
+};
+
+// Entries recorded on a grid that no longer matches the geometry or settings
+export const staleSurveyCount = (survey, gridKey) =>
+    (survey && survey.gridKey !== gridKey ? Object.keys(survey.points).length : 0);
+
+// Point count per status, plus total and done (every non-pending point)
+export const surveyProgress = (gridPoints, entries) => {
+    const counts = Object.fromEntries(SURVEY_STATUSES.map(status => [status.id, 0]));
+    gridPoints.forEach(point => {
+        counts[pointSurvey(entries, point).status]++;
+    });
+    return { ...counts, total: gridPoints.length, done: gridPoints.length - counts.pending };
+};
@@ -0,0 +1,243 @@
+import { tilesInBBox, countTiles, tileUrl } from './basemapsApi.js';
+import { openSQLite } from './sqliteReader.js';
+
+// Offline tile packages kept in IndexedDB (a database of its own, separate
+// from the projects). A package is either pre-fetched from a source for a
+// bbox and zoom range, or loaded from an MBTiles file.
+//
+// Package shape:
+// { id, name, kind: 'prefetch' | 'mbtiles', sourceId (prefetch only),
+//   bbox: [west, south, east, north], minZoom, maxZoom, tileCount, bytes,
+//   failedCount, attribution, createdAt }
+//
+// Tiles are Blobs keyed '<packageId>/<z>/<x>/<y>' (XYZ numbering).
+
+const DB_NAME = 'pdr-test-tiles';
+const DB_VERSION = 1;
+const PACKAGES = 'packages';
+const TILES = 'tiles';
+
+const PREFETCH_CONCURRENCY = 4;
+const WRITE_BATCH = 100;
+
+const MBTILES_TYPES = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp' };
+
+let dbPromise = null;
+
+const openDB = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(PACKAGES)) db.createObjectStore(PACKAGES, { keyPath: 'id' });
+                if (!db.objectStoreNames.contains(TILES)) db.createObjectStore(TILES);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+};
+
+// Helper: Run operations on the given stores in one transaction and resolve
+// with the result of the last request
+const runTransaction = async (stores, mode, operation) => {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(stores, mode);
+        const request = operation(tx);
+        tx.oncomplete = () => resolve(request?.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+};
+
+const tileKey = (packageId, { z, x, y }) => `${packageId}/${z}/${x}/${y}`;
+
+const generatePackageId = () => `tiles-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+// Helper: Store [{ coords, blob }] in one transaction
+const putTiles = (packageId, tiles) => runTransaction([TILES], 'readwrite', tx => {
+    const store = tx.objectStore(TILES);
+    tiles.forEach(({ coords, blob }) => store.put(blob, tileKey(packageId, coords)));
+});
+
+const savePackage = (tilePackage) => runTransaction([PACKAGES], 'readwrite', tx => tx.objectStore(PACKAGES).put(tilePackage));
+
+export const listPackages = async () => {
+    const packages = await runTransaction([PACKAGES], 'readonly', tx => tx.objectStore(PACKAGES).getAll());
+    return packages.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+export const deletePackage = (id) => runTransaction([PACKAGES, TILES], 'readwrite', tx => {
+    tx.objectStore(TILES).delete(IDBKeyRange.bound(`${id}/`, `${id}/\uffff`));
+    return tx.objectStore(PACKAGES).delete(id);
+});
+
+// First stored copy of a tile among the given packages, or null
+export const readTile = async (packageIds, coords) => {
+    if (packageIds.length === 0) return null;
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(TILES, 'readonly');
+        const requests = packageIds.map(id => tx.objectStore(TILES).get(tileKey(id, coords)));
+        tx.oncomplete = () => resolve(requests.map(request => request.result).find(Boolean) || null);
+        tx.onerror = () => reject(tx.error);
+    });
+};
+
+// ---------------------------------------------------------------------------
+// Pre-fetch from a network source
+// ---------------------------------------------------------------------------
+
+// Download every tile of a source covering the bbox over a zoom range.
+// onProgress({ done, total }); an aborted signal stops the download and keeps
+// what was fetched so far. Tiles the server fails to return are counted and skipped.
+export const prefetchPackage = async (source, bbox, minZoom, maxZoom, { signal, onProgress } = {}) => {
+    const total = countTiles(bbox, minZoom, maxZoom);
+    if (total > source.prefetchLimit) {
+        throw new Error(`${total} teselas superan el límite de ${source.prefetchLimit} para ${source.name}`);
+    }
+
+    const tilePackage = {
+        id: generatePackageId(),
+        name: `${source.name} z${minZoom}–${maxZoom}`,
+        kind: 'prefetch',
+        sourceId: source.id,
+        bbox,
+        minZoom,
+        maxZoom,
+        tileCount: 0,
+        bytes: 0,
+        failedCount: 0,
+        attribution: source.attribution,
+        createdAt: new Date().toISOString()
+    };
+
+    const queue = tilesInBBox(bbox, minZoom, maxZoom);
+    let pending = [];
+    let done = 0;
+
+    const flush = async () => {
+        const batch = pending;
+        pending = [];
+        if (batch.length > 0) await putTiles(tilePackage.id, batch);
+    };
+
+    const worker = async () => {
+        for (let next = queue.next(); !next.done && !signal?.aborted; next = queue.next()) {
+            const coords = next.value;
+            try {
+                const response = await fetch(tileUrl(source, coords), { signal });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const blob = await response.blob();
+                pending.push({ coords, blob });
+                tilePackage.tileCount++;
+                tilePackage.bytes += blob.size;
+                if (pending.length >= WRITE_BATCH) await flush();
+            } catch (error) {
+                if (error.name === 'AbortError') break;
+                tilePackage.failedCount++;
+            }
+            done++;
+            onProgress?.({ done, total });
+        }
+    };
+
+    try {
+        await Promise.all(Array.from({ length: PREFETCH_CONCURRENCY }, worker));
+        await flush();
+    } catch (error) {
+        await deletePackage(tilePackage.id);
+        throw error;
+    }
+
+    if (tilePackage.tileCount === 0) {
+        throw new Error(signal?.aborted ? 'Descarga cancelada' : `No se pudo descargar ninguna tesela de ${source.name}`);
+    }
+    await savePackage(tilePackage);
+    return tilePackage;
+};
+
+// ---------------------------------------------------------------------------
+// MBTiles files
+// ---------------------------------------------------------------------------
+
+// Helper: Rows of the plain `tiles` table, or of the `map` + `images` tables
+// behind the `tiles` view of deduplicated files, as { coords, data }
+async function* mbtilesTiles(db) {
+    const toCoords = (row) => ({ z: row.zoom_level, x: row.tile_column, y: 2 ** row.zoom_level - 1 - row.tile_row }); // TMS rows
+
+    if (db.hasTable('tiles')) {
+        for await (const row of db.rows('tiles')) yield { coords: toCoords(row), data: row.tile_data };
+        return;
+    }
+    if (!db.hasTable('map') || !db.hasTable('images')) {
+        throw new Error('El archivo no contiene una tabla de teselas MBTiles');
+    }
+
+    const coordsByImage = new Map();
+    for await (const row of db.rows('map')) {
+        if (!coordsByImage.has(row.tile_id)) coordsByImage.set(row.tile_id, []);
+        coordsByImage.get(row.tile_id).push(toCoords(row));
+    }
+    for await (const row of db.rows('images')) {
+        for (const coords of coordsByImage.get(row.tile_id) || []) yield { coords, data: row.tile_data };
+    }
+}
+
+// Load every tile of an MBTiles file into browser storage. onProgress({ done })
+export const importMBTiles = async (file, { signal, onProgress } = {}) => {
+    const db = await openSQLite(file);
+
+    const metadata = {};
+    if (db.hasTable('metadata')) {
+        for await (const row of db.rows('metadata')) metadata[row.name] = row.value;
+    }
+    const format = String(metadata.format || 'png').toLowerCase();
+    if (!MBTILES_TYPES[format]) {
+        throw new Error(`Formato de teselas no admitido: ${format} (solo imágenes PNG, JPEG o WebP)`);
+    }
+
+    const bounds = String(metadata.bounds || '').split(',').map(Number);
+    const tilePackage = {
+        id: generatePackageId(),
+        name: metadata.name || file.name.replace(/\.mbtiles$/i, ''),
+        kind: 'mbtiles',
+        bbox: bounds.length === 4 && bounds.every(Number.isFinite) ? bounds : null,
+        minZoom: Infinity,
+        maxZoom: -Infinity,
+        tileCount: 0,
+        bytes: 0,
+        failedCount: 0,
+        attribution: metadata.attribution || '',
+        createdAt: new Date().toISOString()
+    };
+
+    let pending = [];
+    try {
+        for await (const { coords, data } of mbtilesTiles(db)) {
+            if (signal?.aborted) throw new Error('Carga cancelada');
+            if (!data) continue;
+            pending.push({ coords, blob: new Blob([data], { type: MBTILES_TYPES[format] }) });
+            tilePackage.tileCount++;
+            tilePackage.bytes += data.length;
+            tilePackage.minZoom = Math.min(tilePackage.minZoom, coords.z);
+            tilePackage.maxZoom = Math.max(tilePackage.maxZoom, coords.z);
+            if (pending.length >= WRITE_BATCH) {
+                await putTiles(tilePackage.id, pending);
+                pending = [];
+                onProgress?.({ done: tilePackage.tileCount });
+            }
+        }
+        await putTiles(tilePackage.id, pending);
+    } catch (error) {
+        await deletePackage(tilePackage.id);
+        throw error;
+    }
+
+    if (tilePackage.tileCount === 0) throw new Error('El archivo MBTiles no contiene teselas');
+    await savePackage(tilePackage);
+    return tilePackage;
+};
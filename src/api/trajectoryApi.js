@@ -0,0 +1,445 @@
+import { createENUProjection, geodesicDistance, MEASUREMENT_METHOD } from './geodesy.js';
+import { isPointInPolygon } from './gridApi.js';
+import { describeGridSettings } from './exportApi.js';
+import { downloadFile } from './downloadApi.js';
+
+// Recorded PDR trajectories and their error against the test grid.
+//
+// A trajectory file holds either estimated positions or steps:
+//   positions: CSV with lat/lng columns (optional time column), a JSON array of
+//              { lat, lng, time }, or GeoJSON LineString/Point features
+//   steps:     CSV with step length (m) and heading (degrees clockwise from
+//              north) columns, or JSON { start?, steps: [{ length, heading, time }] },
+//              walked from a start point
+// Times are seconds (epoch milliseconds and ISO dates are converted).
+//
+// Trajectory shape: { name, kind: 'positions' | 'steps', points: [{ lat, lng, time }] }
+
+const LAT_COLUMNS = ['lat', 'latitude', 'latitud'];
+const LNG_COLUMNS = ['lng', 'lon', 'long', 'longitude', 'longitud'];
+const TIME_COLUMNS = ['t', 'time', 'timestamp', 'tiempo', 'datetime', 'fecha'];
+const STEP_COLUMNS = ['step', 'step_length', 'length', 'paso', 'longitud_paso', 'distance', 'distancia'];
+const HEADING_COLUMNS = ['heading', 'yaw', 'bearing', 'azimuth', 'rumbo', 'orientacion', 'orientación'];
+
+// Helper: Seconds from a number (seconds or epoch ms) or a date string; null if absent
+const parseTime = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    if (Number.isFinite(number)) return Math.abs(number) > 1e11 ? number / 1000 : number;
+    const date = Date.parse(value);
+    return Number.isFinite(date) ? date / 1000 : null;
+};
+
+const isValidPosition = (lat, lng) =>
+    Number.isFinite(lat) && Number.isFinite(lng) && lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+
+// Helper: First value of an object under any of the given keys (case-insensitive)
+const pick = (object, keys) => {
+    const key = Object.keys(object).find(k => keys.includes(k.toLowerCase()));
+    return key === undefined ? undefined : object[key];
+};
+
+// Helper: Sample from a record, as a position or a step; null when it is neither
+const toSample = (record) => {
+    const lat = Number(pick(record, LAT_COLUMNS));
+    const lng = Number(pick(record, LNG_COLUMNS));
+    const time = parseTime(pick(record, TIME_COLUMNS));
+    if (isValidPosition(lat, lng)) return { kind: 'positions', lat, lng, time };
+
+    const length = Number(pick(record, STEP_COLUMNS));
+    const heading = Number(pick(record, HEADING_COLUMNS));
+    if (Number.isFinite(length) && length >= 0 && Number.isFinite(heading)) return { kind: 'steps', length, heading, time };
+    return null;
+};
+
+// Helper: { kind, samples, start, skipped } from records of one kind (the first valid record decides)
+const collectSamples = (records, labelOf) => {
+    const samples = [];
+    const skipped = [];
+    let kind = null;
+    records.forEach((record, index) => {
+        const { kind: sampleKind, ...values } = (record && typeof record === 'object' && toSample(record)) || {};
+        if (!sampleKind || (kind && sampleKind !== kind)) {
+            skipped.push({ label: labelOf(index), reason: 'ni posición (lat, lng) ni paso (longitud, rumbo) válidos' });
+            return;
+        }
+        kind = sampleKind;
+        samples.push(values);
+    });
+    return { kind, samples, start: null, skipped };
+};
+
+const parseTrajectoryCSV = (text) => {
+    const lines = text.split(/\r?\n/);
+    const firstLine = lines.findIndex(line => line.trim());
+    if (firstLine < 0) throw new Error('El archivo está vacío');
+
+    const delimiter = lines[firstLine].includes(';') ? ';' : lines[firstLine].includes('\t') ? '\t' : ',';
+    const split = (line) => line.split(delimiter).map(cell => cell.trim().replace(/^"|"$/g, ''));
+    const header = split(lines[firstLine]).map(cell => cell.toLowerCase());
+    if (!header.some(cell => [...LAT_COLUMNS, ...STEP_COLUMNS].includes(cell))) {
+        throw new Error('El CSV necesita columnas lat y lng, o de paso y rumbo (heading)');
+    }
+
+    const rows = [];
+    const lineNumbers = [];
+    for (let i = firstLine + 1; i < lines.length; i++) {
+        if (!lines[i].trim()) continue;
+        const cells = split(lines[i]);
+        rows.push(Object.fromEntries(header.map((column, c) => [column, cells[c]])));
+        lineNumbers.push(i + 1);
+    }
+    return collectSamples(rows, index => `Línea ${lineNumbers[index]}`);
+};
+
+// Helper: Positions of GeoJSON LineString and Point features
+const parseTrajectoryGeoJSON = (data) => {
+    const features = data.type === 'FeatureCollection' ? data.features || []
+        : data.type === 'Feature' ? [data]
+            : [{ type: 'Feature', geometry: data, properties: {} }];
+
+    const records = [];
+    features.forEach(feature => {
+        const { geometry, properties = {} } = feature || {};
+        if (geometry?.type === 'LineString') {
+            const times = properties.times || properties.coordTimes || properties.coordinateProperties?.times || [];
+            geometry.coordinates.forEach(([lng, lat], i) => records.push({ lat, lng, time: times[i] }));
+        } else if (geometry?.type === 'Point') {
+            const [lng, lat] = geometry.coordinates;
+            records.push({ lat, lng, time: pick(properties, TIME_COLUMNS) });
+        }
+    });
+    if (records.length === 0) throw new Error('El GeoJSON no contiene una línea ni puntos');
+    return collectSamples(records, index => `Posición ${index + 1}`);
+};
+
+const parseTrajectoryJSON = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('El archivo no es JSON válido');
+    }
+    if (data && typeof data.type === 'string') return parseTrajectoryGeoJSON(data);
+
+    const records = Array.isArray(data) ? data : data?.steps || data?.positions || data?.trajectory || data?.points;
+    if (!Array.isArray(records)) {
+        throw new Error('JSON no reconocido: se esperaba una lista de posiciones o { start, steps }');
+    }
+    const result = collectSamples(records, index => `Elemento ${index + 1}`);
+    const start = data?.start && { lat: Number(data.start.lat), lng: Number(data.start.lng ?? data.start.lon) };
+    return { ...result, start: start && isValidPosition(start.lat, start.lng) ? start : null };
+};
+
+// Parsed trajectory file: { name, kind, samples, start, skipped }. `start` is the
+// start point written in a JSON step file, if any.
+export const parseTrajectoryFile = (text, fileName) => {
+    const extension = fileName.split('.').pop().toLowerCase();
+    const parsed = ['json', 'geojson'].includes(extension) || /^\s*[[{]/.test(text)
+        ? parseTrajectoryJSON(text)
+        : parseTrajectoryCSV(text);
+
+    const minimum = parsed.kind === 'steps' ? 1 : 2;
+    if (parsed.samples.length < minimum) {
+        throw new Error(`La trayectoria necesita al menos ${minimum} ${parsed.kind === 'steps' ? 'paso' : 'posiciones'} válidos`);
+    }
+    return { name: fileName.replace(/\.[^.]+$/, ''), ...parsed };
+};
+
+// Positions walked from `start` by steps of { length, heading }, in the local
+// plane of the start point; the start itself is the first position
+export const walkSteps = (start, steps) => {
+    const projection = createENUProjection(start);
+    let east = 0, north = 0;
+    const points = [{ lat: start.lat, lng: start.lng, time: null }];
+    steps.forEach(({ length, heading, time }) => {
+        const θ = heading * Math.PI / 180;
+        east += length * Math.sin(θ);
+        north += length * Math.cos(θ);
+        points.push({ ...projection.inverse([east, north]), time });
+    });
+    return points;
+};
+
+// Trajectory from a parsed file. Step files need a start point: the one given,
+// else the one in the file.
+export const buildTrajectory = (parsed, start = null) => {
+    if (parsed.kind === 'positions') {
+        return { name: parsed.name, kind: parsed.kind, points: parsed.samples };
+    }
+    const origin = start || parsed.start;
+    if (!origin) throw new Error('El archivo contiene pasos: indica el punto de inicio');
+    return { name: parsed.name, kind: parsed.kind, points: walkSteps(origin, parsed.samples) };
+};
+
+// ---------------------------------------------------------------------------
+// Error analysis
+// ---------------------------------------------------------------------------
+
+// Helper: Linear-interpolated percentile of sorted values (p in 0..1)
+const percentile = (sorted, p) => {
+    if (sorted.length === 0) return null;
+    const rank = p * (sorted.length - 1);
+    const low = Math.floor(rank);
+    const high = Math.ceil(rank);
+    return sorted[low] + (sorted[high] - sorted[low]) * (rank - low);
+};
+
+// Helper: Bucket grid over plane points answering "the index of the closest
+// one to p" (-1 when there are none) by searching rings of cells outwards from
+// p's cell until no cell left can hold a closer one, instead of scanning all
+const createNearestIndex = (points) => {
+    if (points.length === 0) return () => -1;
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    points.forEach(([x, y]) => {
+        minX = Math.min(minX, x);
+        maxX = Math.max(maxX, x);
+        minY = Math.min(minY, y);
+        maxY = Math.max(maxY, y);
+    });
+    // About four points per cell
+    const cellSize = Math.max(2 * Math.sqrt(Math.max((maxX - minX) * (maxY - minY), 1) / points.length), 1e-3);
+    const columns = Math.floor((maxX - minX) / cellSize) + 1;
+    const rows = Math.floor((maxY - minY) / cellSize) + 1;
+    const cells = new Map();
+    points.forEach(([x, y], index) => {
+        const key = Math.floor((y - minY) / cellSize) * columns + Math.floor((x - minX) / cellSize);
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(index);
+    });
+
+    // Helper: Squared distance from (x, y) to the cells i0..i1 × j0..j1
+    // (Infinity when the range is empty)
+    const cellsDistance = (x, y, i0, i1, j0, j1) => {
+        if (i0 > i1 || j0 > j1) return Infinity;
+        const dx = Math.max(minX + i0 * cellSize - x, 0, x - minX - (i1 + 1) * cellSize);
+        const dy = Math.max(minY + j0 * cellSize - y, 0, y - minY - (j1 + 1) * cellSize);
+        return dx * dx + dy * dy;
+    };
+
+    return ([x, y]) => {
+        const ci = Math.floor((x - minX) / cellSize);
+        const cj = Math.floor((y - minY) / cellSize);
+        let nearestIndex = -1;
+        let best = Infinity;
+        const visit = (i, j) => {
+            cells.get(j * columns + i)?.forEach(index => {
+                const d = (points[index][0] - x) ** 2 + (points[index][1] - y) ** 2;
+                // Lowest index on ties, like a plain scan
+                if (d < best || (d === best && index < nearestIndex)) {
+                    best = d;
+                    nearestIndex = index;
+                }
+            });
+        };
+        // Rings closer than the grid's nearest cell are empty
+        for (let ring = Math.max(-ci, ci - columns + 1, -cj, cj - rows + 1, 0); ; ring++) {
+            // Only the part of the ring that lies on the grid
+            const fromI = Math.max(ci - ring, 0), toI = Math.min(ci + ring, columns - 1);
+            const fromJ = Math.max(cj - ring, 0), toJ = Math.min(cj + ring, rows - 1);
+            for (let i = fromI; i <= toI; i++) {
+                if (cj - ring >= 0) visit(i, cj - ring);
+                if (ring > 0 && cj + ring < rows) visit(i, cj + ring);
+            }
+            for (let j = Math.max(fromJ, cj - ring + 1); j <= Math.min(toJ, cj + ring - 1); j++) {
+                if (ci - ring >= 0) visit(ci - ring, j);
+                if (ci + ring < columns) visit(ci + ring, j);
+            }
+            // Done when no cell left outside the rings searched so far can be closer
+            const rest = Math.min(
+                cellsDistance(x, y, 0, ci - ring - 1, 0, rows - 1),
+                cellsDistance(x, y, ci + ring + 1, columns - 1, 0, rows - 1),
+                cellsDistance(x, y, fromI, toI, 0, cj - ring - 1),
+                cellsDistance(x, y, fromI, toI, cj + ring + 1, rows - 1)
+            );
+            if (rest === Infinity || best < rest) break;
+        }
+        return nearestIndex;
+    };
+};
+
+// Error of every position against the expected points (the area's grid), and
+// how much of the path lies inside restrictions or outside the area.
+// The nearest expected point is searched in the local plane of the first
+// position; reported distances are geodesic. Path fractions weight each
+// segment by its length, classified at its midpoint.
+// restrictions are vertex rings (see restrictionRings).
+//
+// Result:
+// { pointCount, pathLength, duration, expectedCount,
+//   positions: [{ ...point, nearestIndex, error, inRestriction, outsideArea }],
+//   meanError, rmse, maxError, cep50, cep95, finalError, finalDrift,
+//   inRestrictions: { points, length }, outsideArea: { points, length } } (fractions 0..1)
+// Error statistics are null when there are no expected points.
+export const analyzeTrajectory = (points, { areaPoints, restrictions, expectedPoints }) => {
+    const projection = createENUProjection(points[0]);
+    const nearest = createNearestIndex(expectedPoints.map(projection.forward));
+    const hasArea = areaPoints.length >= 3;
+
+    const classify = (point) => ({
+        inRestriction: restrictions.some(ring => ring.length >= 3 && isPointInPolygon(point, ring)),
+        outsideArea: hasArea && !isPointInPolygon(point, areaPoints)
+    });
+
+    const positions = points.map(point => {
+        const nearestIndex = nearest(projection.forward(point));
+        return {
+            ...point,
+            nearestIndex,
+            error: nearestIndex >= 0 ? geodesicDistance(point, expectedPoints[nearestIndex]) : null,
+            ...classify(point)
+        };
+    });
+
+    let pathLength = 0, restrictedLength = 0, outsideLength = 0;
+    for (let i = 1; i < points.length; i++) {
+        const length = geodesicDistance(points[i - 1], points[i]);
+        const midpoint = { lat: (points[i - 1].lat + points[i].lat) / 2, lng: (points[i - 1].lng + points[i].lng) / 2 };
+        const { inRestriction, outsideArea } = classify(midpoint);
+        pathLength += length;
+        if (inRestriction) restrictedLength += length;
+        if (outsideArea) outsideLength += length;
+    }
+
+    const errors = positions.map(p => p.error).filter(error => error !== null);
+    const sorted = [...errors].sort((a, b) => a - b);
+    const first = points[0];
+    const last = points[points.length - 1];
+    const fraction = (count, total) => (total > 0 ? count / total : 0);
+    const times = points.map(p => p.time).filter(time => time !== null && time !== undefined);
+
+    return {
+        pointCount: points.length,
+        pathLength,
+        duration: times.length >= 2 ? times[times.length - 1] - times[0] : null,
+        expectedCount: expectedPoints.length,
+        positions,
+        meanError: errors.length ? errors.reduce((sum, e) => sum + e, 0) / errors.length : null,
+        rmse: errors.length ? Math.sqrt(errors.reduce((sum, e) => sum + e * e, 0) / errors.length) : null,
+        maxError: errors.length ? sorted[sorted.length - 1] : null,
+        cep50: percentile(sorted, 0.5),
+        cep95: percentile(sorted, 0.95),
+        finalError: positions[positions.length - 1].error,
+        // Closed-loop trials end where they start: the gap is the accumulated drift
+        finalDrift: geodesicDistance(first, last),
+        inRestrictions: {
+            points: fraction(positions.filter(p => p.inRestriction).length, positions.length),
+            length: fraction(restrictedLength, pathLength)
+        },
+        outsideArea: {
+            points: fraction(positions.filter(p => p.outsideArea).length, positions.length),
+            length: fraction(outsideLength, pathLength)
+        }
+    };
+};
+
+// ---------------------------------------------------------------------------
+// Report
+// ---------------------------------------------------------------------------
+
+export const TRAJECTORY_REPORT_FORMATS = [
+    { id: 'txt', label: 'Reporte (TXT)' },
+    { id: 'json', label: 'Datos (JSON)' },
+    { id: 'csv', label: 'Posiciones (CSV)' }
+];
+
+const metres = (value) => (value === null ? null : Number(value.toFixed(3)));
+const percent = (value) => Number((value * 100).toFixed(2));
+
+// Report data. area: { name, points }; gridSettings: as used for the expected points
+export const generateTrajectoryReport = (trajectory, analysis, area, gridSettings) => ({
+    generated_at: new Date().toISOString(),
+    trajectory: {
+        name: trajectory.name,
+        source: trajectory.kind,
+        positions: analysis.pointCount,
+        duration_s: analysis.duration === null ? null : Number(analysis.duration.toFixed(3)),
+        path_length_m: metres(analysis.pathLength)
+    },
+    area: {
+        name: area.name,
+        expected_points: analysis.expectedCount,
+        grid: area.points.length >= 3 ? describeGridSettings(area.points, gridSettings) : null
+    },
+    metrics: {
+        mean_error_m: metres(analysis.meanError),
+        rmse_m: metres(analysis.rmse),
+        max_error_m: metres(analysis.maxError),
+        cep50_m: metres(analysis.cep50),
+        cep95_m: metres(analysis.cep95),
+        final_error_m: metres(analysis.finalError),
+        final_drift_m: metres(analysis.finalDrift),
+        inside_restrictions_pct_positions: percent(analysis.inRestrictions.points),
+        inside_restrictions_pct_length: percent(analysis.inRestrictions.length),
+        outside_area_pct_positions: percent(analysis.outsideArea.points),
+        outside_area_pct_length: percent(analysis.outsideArea.length),
+        measurement_method: MEASUREMENT_METHOD.distance
+    },
+    positions: analysis.positions.map((p, index) => ({
+        index: index + 1,
+        time: p.time,
+        lat: Number(p.lat.toFixed(7)),
+        lng: Number(p.lng.toFixed(7)),
+        nearest_point: p.nearestIndex >= 0 ? `G${p.nearestIndex + 1}` : null,
+        error_m: metres(p.error),
+        in_restriction: p.inRestriction,
+        outside_area: p.outsideArea
+    }))
+});
+
+const trajectoryReportText = (report) => {
+    const { trajectory, area, metrics } = report;
+    const value = (number, unit) => (number === null ? 'n/a' : `${number} ${unit}`);
+
+    let content = `PDR TRAJECTORY REPORT - ${new Date(report.generated_at).toLocaleString()}\n`;
+    content += `Trajectory: ${trajectory.name} (${trajectory.source})\n`;
+    content += `Area: ${area.name}\n`;
+    content += `${'='.repeat(50)}\n\n`;
+
+    content += `TRAJECTORY\n`;
+    content += `${'-'.repeat(20)}\n`;
+    content += `Positions: ${trajectory.positions}\n`;
+    content += `Duration: ${value(trajectory.duration_s, 's')}\n`;
+    content += `Path length: ${trajectory.path_length_m} m\n\n`;
+
+    content += `ERROR AGAINST GRID (${area.expected_points} expected points`;
+    content += area.grid ? `, spacing ${area.grid.spacing_meters} m)\n` : ')\n';
+    content += `${'-'.repeat(20)}\n`;
+    content += `Mean error: ${value(metrics.mean_error_m, 'm')}\n`;
+    content += `RMSE: ${value(metrics.rmse_m, 'm')}\n`;
+    content += `Max error: ${value(metrics.max_error_m, 'm')}\n`;
+    content += `CEP50: ${value(metrics.cep50_m, 'm')}\n`;
+    content += `CEP95: ${value(metrics.cep95_m, 'm')}\n`;
+    content += `Final position error: ${value(metrics.final_error_m, 'm')}\n`;
+    content += `Final drift (end to start): ${metrics.final_drift_m} m\n\n`;
+
+    content += `CONSTRAINTS\n`;
+    content += `${'-'.repeat(20)}\n`;
+    content += `Inside restrictions: ${metrics.inside_restrictions_pct_positions}% of positions, ${metrics.inside_restrictions_pct_length}% of path\n`;
+    content += `Outside area: ${metrics.outside_area_pct_positions}% of positions, ${metrics.outside_area_pct_length}% of path\n`;
+    content += `Method: ${metrics.measurement_method}\n`;
+    return content;
+};
+
+const trajectoryReportCSV = (report) => {
+    const rows = ['index,time,lat,lng,nearest_point,error_m,in_restriction,outside_area'];
+    report.positions.forEach(p => {
+        rows.push([p.index, p.time ?? '', p.lat, p.lng, p.nearest_point ?? '', p.error_m ?? '', p.in_restriction, p.outside_area].join(','));
+    });
+    return rows.join('\n') + '\n';
+};
+
+export const exportTrajectoryReport = (format, trajectory, analysis, area, gridSettings) => {
+    const report = generateTrajectoryReport(trajectory, analysis, area, gridSettings);
+    const stamp = Date.now();
+    switch (format) {
+        case 'txt':
+            return downloadFile(trajectoryReportText(report), `trajectory_report_${stamp}.txt`, 'text/plain');
+        case 'json':
+            return downloadFile(JSON.stringify(report, null, 2), `trajectory_report_${stamp}.json`, 'application/json');
+        case 'csv':
+            return downloadFile(trajectoryReportCSV(report), `trajectory_report_${stamp}.csv`, 'text/csv');
+        default:
+            throw new Error(`Unknown report format: ${format}`);
+    }
+};
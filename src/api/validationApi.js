@@ -0,0 +1,190 @@
+import polygonClipping from 'polygon-clipping';
+
+// Geometry validation (self-intersections, restrictions outside the area,
+// overlapping restrictions) and clipping of restrictions against the area,
+// so metrics subtract only what actually overlaps it.
+
+export const ISSUE_COLORS = {
+    'self-intersection': '#c0392b',
+    'outside': '#e67e22',
+    'partially-outside': '#e67e22',
+    'overlap': '#8e44ad'
+};
+
+// Relative area below which a clipped piece is treated as numerical noise
+const AREA_TOLERANCE = 1e-6;
+
+// Helper: {lat, lng} ring -> closed polygon-clipping polygon ([lng, lat] positions)
+const toClipPolygon = (points) => [[
+    ...points.map(p => [p.lng, p.lat]),
+    [points[0].lng, points[0].lat]
+]];
+
+// Helper: polygon-clipping ring -> open {lat, lng} ring
+const fromClipRing = (ring) => ring.slice(0, -1).map(([lng, lat]) => ({ lat, lng }));
+
+// Helper: MultiPolygon -> [{ outer, holes }] with {lat, lng} rings
+const fromClipMultiPolygon = (multiPolygon) => multiPolygon.map(([outer, ...holes]) => ({
+    outer: fromClipRing(outer),
+    holes: holes.map(fromClipRing)
+}));
+
+// Helper: Planar shoelace area in squared degrees (only used for ratios)
+const planarRingArea = (ring) => {
+    let sum = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    }
+    return Math.abs(sum / 2);
+};
+
+const planarArea = (multiPolygon) => multiPolygon.reduce((total, [outer, ...holes]) =>
+    total + planarRingArea(outer) - holes.reduce((acc, hole) => acc + planarRingArea(hole), 0), 0);
+
+// Helper: Run a boolean operation, treating degenerate input as an empty result
+const safeClip = (operation, ...polygons) => {
+    try {
+        return polygonClipping[operation](...polygons);
+    } catch (error) {
+        console.warn(`Polygon ${operation} failed:`, error);
+        return [];
+    }
+};
+
+// ---------------------------------------------------------------------------
+// Self-intersections
+// ---------------------------------------------------------------------------
+
+const cross = (o, a, b) => (a.lng - o.lng) * (b.lat - o.lat) - (a.lat - o.lat) * (b.lng - o.lng);
+
+// Helper: Intersection point of segments p1-p2 and p3-p4, or null
+const segmentIntersection = (p1, p2, p3, p4) => {
+    const d1 = cross(p3, p4, p1);
+    const d2 = cross(p3, p4, p2);
+    const d3 = cross(p1, p2, p3);
+    const d4 = cross(p1, p2, p4);
+
+    if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+        const t = d1 / (d1 - d2);
+        return { lat: p1.lat + t * (p2.lat - p1.lat), lng: p1.lng + t * (p2.lng - p1.lng) };
+    }
+    return null;
+};
+
+// Returns every point where two non-adjacent edges of the ring cross
+export const findSelfIntersections = (ring) => {
+    const n = ring.length;
+    const points = [];
+    if (n < 4) return points;
+
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 2; j < n; j++) {
+            if (i === 0 && j === n - 1) continue; // first and last edges share a vertex
+            const hit = segmentIntersection(ring[i], ring[(i + 1) % n], ring[j], ring[(j + 1) % n]);
+            if (hit) points.push(hit);
+        }
+    }
+    return points;
+};
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+// restrictions: [{ name, points }] (see areasApi); messages name them, index
+// in the target is their position in the list.
+// Issue shape:
+// { type, target: { kind: 'area' | 'restriction', index }, message,
+//   points?: [{lat, lng}], polygons?: [{ outer, holes }] }  <- what to highlight on the map
+export const validateGeometry = (areaPoints, restrictions) => {
+    const issues = [];
+    if (areaPoints.length < 3) return issues;
+
+    const areaIntersections = findSelfIntersections(areaPoints);
+    if (areaIntersections.length > 0) {
+        issues.push({
+            type: 'self-intersection',
+            target: { kind: 'area' },
+            message: `El área principal se cruza consigo misma (${areaIntersections.length} cruce(s))`,
+            points: areaIntersections
+        });
+    }
+
+    const areaPolygon = toClipPolygon(areaPoints);
+    const restrictionPolygons = restrictions.map(restriction => toClipPolygon(restriction.points));
+    const nameOf = (index) => restrictions[index].name || `Restricción ${index + 1}`;
+
+    restrictions.forEach((restriction, index) => {
+        const intersections = findSelfIntersections(restriction.points);
+        if (intersections.length > 0) {
+            issues.push({
+                type: 'self-intersection',
+                target: { kind: 'restriction', index },
+                message: `${nameOf(index)} se cruza consigo misma (${intersections.length} cruce(s))`,
+                points: intersections
+            });
+        }
+
+        const total = planarArea(safeClip('union', restrictionPolygons[index]));
+        if (total === 0) return;
+
+        const outside = safeClip('difference', restrictionPolygons[index], areaPolygon);
+        const outsideRatio = planarArea(outside) / total;
+        if (outsideRatio >= 1 - AREA_TOLERANCE) {
+            issues.push({
+                type: 'outside',
+                target: { kind: 'restriction', index },
+                message: `${nameOf(index)} está fuera del área principal`,
+                polygons: fromClipMultiPolygon(outside)
+            });
+        } else if (outsideRatio > AREA_TOLERANCE) {
+            issues.push({
+                type: 'partially-outside',
+                target: { kind: 'restriction', index },
+                message: `${nameOf(index)} sale del área principal (${(outsideRatio * 100).toFixed(1)}% fuera)`,
+                polygons: fromClipMultiPolygon(outside)
+            });
+        }
+    });
+
+    for (let i = 0; i < restrictions.length; i++) {
+        for (let j = i + 1; j < restrictions.length; j++) {
+            const overlap = safeClip('intersection', restrictionPolygons[i], restrictionPolygons[j]);
+            const smaller = Math.min(
+                planarArea(safeClip('union', restrictionPolygons[i])),
+                planarArea(safeClip('union', restrictionPolygons[j]))
+            );
+            if (smaller > 0 && planarArea(overlap) / smaller > AREA_TOLERANCE) {
+                issues.push({
+                    type: 'overlap',
+                    target: { kind: 'restriction', index: i, other: j },
+                    message: `${nameOf(i)} y ${nameOf(j)} se superponen`,
+                    polygons: fromClipMultiPolygon(overlap)
+                });
+            }
+        }
+    }
+
+    return issues;
+};
+
+// ---------------------------------------------------------------------------
+// Clipped geometry for metrics
+// ---------------------------------------------------------------------------
+
+// The area as a valid (non self-intersecting) multipolygon, and the union of the
+// restrictions clipped to it. Both as [{ outer, holes }] with {lat, lng} rings.
+export const clipGeometry = (areaPoints, restrictions) => {
+    if (areaPoints.length < 3) return { area: [], blocked: [] };
+
+    const areaPolygon = toClipPolygon(areaPoints);
+    const area = safeClip('union', areaPolygon);
+    const blocked = restrictions.length > 0
+        ? safeClip('intersection', area, safeClip('union', ...restrictions.map(toClipPolygon)))
+        : [];
+
+    return {
+        area: fromClipMultiPolygon(area),
+        blocked: fromClipMultiPolygon(blocked)
+    };
+};
@@ -0,0 +1,43 @@
+import { Marker, Tooltip } from 'react-leaflet'
+import L from 'leaflet'
+
+// Longest text shown on the map; the whole note is in the measure panel
+const LABEL_LENGTH = 40
+
+const annotationIcon = L.divIcon({
+  className: 'annotation-marker',
+  html: '<span></span>',
+  iconSize: [14, 14],
+  iconAnchor: [7, 14]
+})
+
+const labelOf = (text, index) => {
+  const line = text.trim().split('\n')[0]
+  if (!line) return `Nota ${index + 1}`
+  return line.length > LABEL_LENGTH ? `${line.slice(0, LABEL_LENGTH)}…` : line
+}
+
+// Session annotations as pins with their text; draggable while the annotation
+// tool is active (onMove(id, { lat, lng }) when a drag ends)
+function AnnotationLayer({ annotations, draggable, onMove }) {
+  return annotations.map((annotation, index) => (
+    <Marker
+      key={annotation.id}
+      position={[annotation.lat, annotation.lng]}
+      icon={annotationIcon}
+      draggable={draggable}
+      eventHandlers={{
+        dragend: (e) => {
+          const { lat, lng } = e.target.getLatLng()
+          onMove(annotation.id, { lat, lng })
+        }
+      }}
+    >
+      <Tooltip permanent direction="top" offset={[0, -14]} className="annotation-label">
+        N{index + 1} · {labelOf(annotation.text, index)}
+      </Tooltip>
+    </Marker>
+  ))
+}
+
+export default AnnotationLayer
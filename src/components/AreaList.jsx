@@ -0,0 +1,88 @@
+import { AREA_COLORS } from '../api/areasApi'
+
+const formatArea = (m2) => `${m2.toLocaleString(undefined, { maximumFractionDigits: 2 })} m²`
+
+// Sidebar list of survey areas: select, rename, recolour, hide and delete.
+// metricsById maps area id -> computeAreaMetrics result.
+function AreaList({ areas, activeAreaId, metricsById, onSelect, onAdd, onUpdate, onDelete }) {
+  const commitName = (area, value) => {
+    const name = value.trim()
+    if (name && name !== area.name) onUpdate(area.id, { name })
+  }
+
+  const handleDelete = (area) => {
+    if (area.points.length === 0 || window.confirm(`¿Eliminar el área "${area.name}" y sus restricciones?`)) {
+      onDelete(area.id)
+    }
+  }
+
+  return (
+    <div className="areas-section">
+      <div className="sidebar-header" style={{ background: 'linear-gradient(135deg, #2c3e50 0%, #4a90e2 100%)' }}>
+        <h3>Áreas ({areas.length})</h3>
+        <button onClick={onAdd} className="clear-button">+ Nueva</button>
+      </div>
+      <div className="area-list">
+        {areas.map(area => {
+          const active = area.id === activeAreaId
+          const metrics = metricsById.get(area.id)
+          return (
+            <div
+              key={area.id}
+              className={`area-item ${active ? 'active' : ''} ${area.visible ? '' : 'hidden-area'}`}
+              style={{ borderLeftColor: area.color }}
+              onClick={() => onSelect(area.id)}
+            >
+              <div className="area-info">
+                {active ? (
+                  <input
+                    key={area.name}
+                    defaultValue={area.name}
+                    onBlur={(e) => commitName(area, e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                    className="area-name-input"
+                  />
+                ) : (
+                  <span className="area-name">{area.name}</span>
+                )}
+                <span className="area-metric">
+                  {area.points.length >= 3 ? formatArea(metrics.netArea) : `${area.points.length} vértice(s)`}
+                  {area.restrictions.length > 0 && ` · ${area.restrictions.length} restr.`}
+                </span>
+              </div>
+              <button
+                onClick={(e) => { e.stopPropagation(); onUpdate(area.id, { visible: !area.visible }) }}
+                className="area-visibility"
+                title={area.visible ? 'Ocultar' : 'Mostrar'}
+              >
+                {area.visible ? '👁' : '◌'}
+              </button>
+              <button
+                onClick={(e) => { e.stopPropagation(); handleDelete(area) }}
+                className="remove-button"
+                title="Eliminar área"
+              >
+                ×
+              </button>
+            </div>
+          )
+        })}
+      </div>
+      {activeAreaId && (
+        <div className="area-colors">
+          {AREA_COLORS.map(color => (
+            <button
+              key={color}
+              className={`area-color ${areas.find(area => area.id === activeAreaId)?.color === color ? 'selected' : ''}`}
+              style={{ background: color }}
+              onClick={() => onUpdate(activeAreaId, { color })}
+              title={color}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AreaList
@@ -0,0 +1,223 @@
+import { useState } from 'react'
+import { SOURCE_TYPES, normalizeSource, resolveBasemapLayers, countTiles, DEFAULT_OVERLAY_OPACITY } from '../api/basemapsApi'
+
+const EMPTY_SOURCE = { name: '', type: 'xyz', url: '', layers: '' }
+
+const formatSize = (bytes) => `${(bytes / 1048576).toLocaleString(undefined, { maximumFractionDigits: 1 })} MB`
+
+// Layer switcher: basemap, overlays with their opacity, user-defined XYZ/WMS
+// sources and offline tile packages (pre-fetched for the active area or loaded
+// from MBTiles files).
+// sources: every selectable source (see basemapsApi availableSources);
+// onSettingsChange(changes) merges into the basemap settings; prefetchBBox is
+// the active area's bbox, null when it has no outline; tiles: useTilePackages().
+function BasemapPanel({ sources, settings, onSettingsChange, prefetchBBox, zoom, tiles, onClose }) {
+  const [draft, setDraft] = useState(EMPTY_SOURCE)
+  const [draftError, setDraftError] = useState(null)
+  const [minZoom, setMinZoom] = useState(String(Math.max(zoom, 1)))
+  const [maxZoom, setMaxZoom] = useState(String(Math.min(zoom + 3, 19)))
+
+  const { base } = resolveBasemapLayers(settings, sources)
+  const customIds = new Set(settings.customSources.map(source => source.id))
+
+  const setOverlay = (id, overlay) => onSettingsChange({
+    overlays: overlay
+      ? [...settings.overlays.filter(o => o.id !== id), overlay]
+      : settings.overlays.filter(o => o.id !== id)
+  })
+
+  const addSource = (e) => {
+    e.preventDefault()
+    const source = normalizeSource(draft)
+    if (!source) {
+      setDraftError(draft.type === 'xyz' ? 'La URL debe incluir {z}, {x} e {y}' : 'URL del servicio WMS no válida')
+      return
+    }
+    if (source.type === 'wms' && !source.layers) {
+      setDraftError('Indica las capas WMS')
+      return
+    }
+    onSettingsChange({ customSources: [...settings.customSources, source] })
+    setDraft(EMPTY_SOURCE)
+    setDraftError(null)
+  }
+
+  const removeSource = (id) => onSettingsChange({
+    customSources: settings.customSources.filter(source => source.id !== id),
+    overlays: settings.overlays.filter(o => o.id !== id)
+  })
+
+  // Pre-fetch: the basemap and the enabled overlays served from the network
+  const from = Math.floor(Number(minZoom))
+  const to = Math.floor(Number(maxZoom))
+  const zoomsValid = Number.isFinite(from) && Number.isFinite(to) && from >= 0 && from <= to && to <= 22
+  const prefetchSources = [base, ...settings.overlays.map(o => sources.find(s => s.id === o.id))]
+    .filter(source => source && source.type !== 'package')
+  const tileCount = prefetchBBox && zoomsValid ? countTiles(prefetchBBox, from, to) : 0
+  const overLimit = prefetchSources.filter(source => tileCount > source.prefetchLimit)
+  const canPrefetch = prefetchBBox && zoomsValid && prefetchSources.length > 0 && overLimit.length === 0 && !tiles.task
+
+  const handleImport = (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (file) tiles.importFile(file)
+  }
+
+  const handleDeletePackage = (tilePackage) => {
+    if (window.confirm(`¿Eliminar las teselas guardadas de "${tilePackage.name}"?`)) tiles.remove(tilePackage.id)
+  }
+
+  return (
+    <div className="basemap-panel">
+      <div className="import-report-header">
+        <strong>Capas</strong>
+        <button onClick={onClose} className="remove-button">×</button>
+      </div>
+
+      <label className="basemap-row">
+        Mapa base
+        <select value={base.id} onChange={(e) => onSettingsChange({ baseId: e.target.value })} className="export-select">
+          {sources.map(source => (
+            <option key={source.id} value={source.id}>{source.name}</option>
+          ))}
+        </select>
+      </label>
+
+      <div className="basemap-section-title">Superposiciones</div>
+      {sources.filter(source => source.id !== base.id).map(source => {
+        const overlay = settings.overlays.find(o => o.id === source.id)
+        return (
+          <div key={source.id} className="basemap-overlay">
+            <label className="basemap-overlay-name">
+              <input
+                type="checkbox"
+                checked={Boolean(overlay)}
+                onChange={(e) => setOverlay(source.id, e.target.checked ? { id: source.id, opacity: DEFAULT_OVERLAY_OPACITY } : null)}
+              />
+              {source.name}
+            </label>
+            {overlay && (
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.05"
+                value={overlay.opacity}
+                onChange={(e) => setOverlay(source.id, { id: source.id, opacity: Number(e.target.value) })}
+                title={`Opacidad ${Math.round(overlay.opacity * 100)}%`}
+              />
+            )}
+            {customIds.has(source.id) && (
+              <button onClick={() => removeSource(source.id)} className="remove-button" title="Eliminar fuente">×</button>
+            )}
+          </div>
+        )
+      })}
+
+      <details className="basemap-add">
+        <summary>Añadir fuente XYZ/WMS</summary>
+        <form onSubmit={addSource} className="basemap-form">
+          <div className="project-row">
+            <input
+              value={draft.name}
+              onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+              placeholder="Nombre"
+              className="project-input"
+            />
+            <select value={draft.type} onChange={(e) => setDraft({ ...draft, type: e.target.value })} className="project-select basemap-type">
+              {SOURCE_TYPES.map(type => (
+                <option key={type.id} value={type.id}>{type.label}</option>
+              ))}
+            </select>
+          </div>
+          <input
+            value={draft.url}
+            onChange={(e) => setDraft({ ...draft, url: e.target.value })}
+            placeholder={draft.type === 'xyz' ? 'https://servidor/{z}/{x}/{y}.png' : 'https://servidor/wms'}
+            className="project-input"
+          />
+          {draft.type === 'wms' && (
+            <input
+              value={draft.layers}
+              onChange={(e) => setDraft({ ...draft, layers: e.target.value })}
+              placeholder="Capas (LAYERS)"
+              className="project-input"
+            />
+          )}
+          {draftError && <div className="project-error">{draftError}</div>}
+          <button type="submit" className="project-button">Añadir</button>
+        </form>
+      </details>
+
+      <div className="basemap-section-title">Sin conexión</div>
+      <label className="basemap-overlay-name">
+        <input
+          type="checkbox"
+          checked={settings.offline}
+          onChange={(e) => onSettingsChange({ offline: e.target.checked })}
+        />
+        Usar solo teselas guardadas
+      </label>
+
+      <div className="basemap-row">
+        Zoom
+        <input type="number" min="0" max="22" value={minZoom} onChange={(e) => setMinZoom(e.target.value)} className="basemap-zoom" />
+        –
+        <input type="number" min="0" max="22" value={maxZoom} onChange={(e) => setMaxZoom(e.target.value)} className="basemap-zoom" />
+        <button onClick={() => tiles.prefetch(prefetchSources, prefetchBBox, from, to)} disabled={!canPrefetch} className="project-button">
+          Descargar
+        </button>
+      </div>
+      <div className="project-status">
+        {!prefetchBBox
+          ? 'Dibuja el área para descargar las teselas que la cubren'
+          : `${tileCount.toLocaleString()} teselas por capa (${prefetchSources.map(source => source.name).join(', ') || 'ninguna capa en línea'})`}
+      </div>
+      {overLimit.map(source => (
+        <div key={source.id} className="project-error">
+          {source.name}: máximo {source.prefetchLimit.toLocaleString()} teselas; reduce el rango de zoom
+        </div>
+      ))}
+
+      {tiles.task ? (
+        <div className="basemap-task">
+          {tiles.task.label}: {tiles.task.done.toLocaleString()}{tiles.task.total ? ` / ${tiles.task.total.toLocaleString()}` : ''}
+          {tiles.task.total > 0 && (
+            <div className="progress-track basemap-progress">
+              <div className="progress-bar" style={{ width: `${tiles.task.done / tiles.task.total * 100}%` }} />
+            </div>
+          )}
+          <button onClick={tiles.cancel} className="project-button">Cancelar</button>
+        </div>
+      ) : (
+        <label className="project-button">
+          Cargar archivo MBTiles
+          <input type="file" accept=".mbtiles" onChange={handleImport} style={{ display: 'none' }} />
+        </label>
+      )}
+
+      {tiles.packages.length > 0 && (
+        <ul className="basemap-packages">
+          {tiles.packages.map(tilePackage => (
+            <li key={tilePackage.id}>
+              <div>
+                <strong>{tilePackage.name}</strong>
+                <div className="project-status">
+                  {tilePackage.tileCount.toLocaleString()} teselas · {formatSize(tilePackage.bytes)} · z{tilePackage.minZoom}–{tilePackage.maxZoom}
+                  {tilePackage.failedCount > 0 && ` · ${tilePackage.failedCount} fallidas`}
+                </div>
+              </div>
+              <button onClick={() => handleDeletePackage(tilePackage)} className="remove-button" title="Eliminar paquete">×</button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {tiles.error && (
+        <div className="project-error" onClick={tiles.clearError}>{tiles.error}</div>
+      )}
+    </div>
+  )
+}
+
+export default BasemapPanel
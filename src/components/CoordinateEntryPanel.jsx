@@ -0,0 +1,76 @@
+import { useState, useMemo } from 'react'
+import { parseCoordinateList } from '../api/coordinateFormats'
+
+const PLACEHOLDER = `40.416775, -3.703790
+40°25'01.2"N 3°42'13.6"W
+30T 440290 4474257
+30T VK 40290 74257`
+
+// Typed or pasted vertex list for the active area, a new area or a new restriction.
+// Every line is validated before the result can be applied.
+function CoordinateEntryPanel({ canAddRestriction, maxAreaVertices, onApply, onClose }) {
+  const [text, setText] = useState('')
+  const [target, setTarget] = useState('area')
+
+  const { points, errors } = useMemo(() => parseCoordinateList(text), [text])
+
+  const tooMany = target !== 'restriction' && maxAreaVertices && points.length > maxAreaVertices
+  const canApply = points.length >= 3 && errors.length === 0 && !tooMany
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!canApply) return
+    onApply(target, points)
+    setText('')
+  }
+
+  return (
+    <form className="coordinate-entry" onSubmit={handleSubmit}>
+      <div className="import-report-header">
+        <strong>Introducir coordenadas</strong>
+        <button type="button" onClick={onClose} className="remove-button">×</button>
+      </div>
+
+      <select value={target} onChange={(e) => setTarget(e.target.value)} className="export-select">
+        <option value="area">Reemplazar área activa</option>
+        <option value="new-area">Nueva área</option>
+        <option value="restriction" disabled={!canAddRestriction}>Nueva restricción (área activa)</option>
+      </select>
+
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder={PLACEHOLDER}
+        rows={7}
+        spellCheck={false}
+        className="coordinate-entry-input"
+      />
+
+      <p className="coordinate-entry-hint">
+        Un vértice por línea: decimal (lat, lng), GMS, UTM o MGRS.
+      </p>
+
+      {text.trim() && (
+        <p className={canApply ? 'coordinate-entry-ok' : 'import-report-warning'}>
+          {points.length} vértice(s) válido(s)
+          {points.length < 3 && ' · se necesitan al menos 3'}
+          {tooMany && ` · máximo ${maxAreaVertices} para el área`}
+        </p>
+      )}
+
+      {errors.length > 0 && (
+        <ul className="coordinate-entry-errors">
+          {errors.map(error => (
+            <li key={error.line}><strong>Línea {error.line}</strong> ({error.text}): {error.reason}</li>
+          ))}
+        </ul>
+      )}
+
+      <button type="submit" disabled={!canApply} className="export-button">
+        Aplicar y centrar
+      </button>
+    </form>
+  )
+}
+
+export default CoordinateEntryPanel
@@ -0,0 +1,38 @@
+import { useMemo, useState } from 'react'
+import { Marker, useMap, useMapEvents } from 'react-leaflet'
+import L from 'leaflet'
+import { describeEdges, formatEdgeLabel } from '../api/measureApi'
+
+// Edges shorter than this on screen get no label, so dense or traced rings
+// don't bury the map in text
+const MIN_LABEL_PIXELS = 48
+
+// Length and bearing labels at the middle of every edge. rings:
+// [{ key, points, closed, color }] (closed defaults to 3+ points, see measureApi)
+function EdgeLabelLayer({ rings }) {
+  const map = useMap()
+  const [zoom, setZoom] = useState(() => map.getZoom())
+  useMapEvents({ zoomend: () => setZoom(map.getZoom()) })
+
+  const labels = useMemo(() => rings.flatMap(({ key, points, closed, color }) =>
+    describeEdges(points, closed === undefined ? undefined : { closed }).map(edge => ({
+      key: `${key}:${edge.from}`,
+      edge,
+      from: points[edge.from],
+      to: points[edge.to],
+      icon: L.divIcon({
+        className: 'edge-label',
+        html: `<span style="border-color: ${color}">${formatEdgeLabel(edge)}</span>`,
+        iconSize: [0, 0]
+      })
+    }))
+  ), [rings])
+
+  return labels
+    .filter(({ from, to }) => map.project([from.lat, from.lng], zoom).distanceTo(map.project([to.lat, to.lng], zoom)) >= MIN_LABEL_PIXELS)
+    .map(({ key, edge, icon }) => (
+      <Marker key={key} position={[edge.midpoint.lat, edge.midpoint.lng]} icon={icon} interactive={false} keyboard={false} />
+    ))
+}
+
+export default EdgeLabelLayer
@@ -0,0 +1,161 @@
+import { useEffect, useRef } from 'react'
+import { useMap } from 'react-leaflet'
+import L from 'leaflet'
+
+// Distance (screen pixels) within which a click or hover hits a grid point
+const HIT_TOLERANCE = 8
+
+// Single <canvas> overlay that draws every grid point, redrawn on pan/zoom.
+// Replaces one CircleMarker per point, which does not scale to large grids.
+// The canvas itself ignores the pointer: clicks are hit-tested on the map
+// against the screen positions of the last redraw.
+const PointsCanvasLayer = L.Layer.extend({
+  initialize(points, options) {
+    this._points = points
+    this._pointColors = null
+    this._selectedIndex = -1
+    this._onPointClick = null
+    this._screenPoints = []
+    L.setOptions(this, options)
+  },
+
+  onAdd(map) {
+    this._canvas = L.DomUtil.create('canvas', 'grid-canvas-layer leaflet-zoom-hide')
+    this._canvas.style.pointerEvents = 'none'
+    map.getPanes().overlayPane.appendChild(this._canvas)
+    map.on('moveend zoomend resize', this._redraw, this)
+    map.on('click', this._handleClick, this)
+    map.on('mousemove', this._handleHover, this)
+    this._redraw()
+  },
+
+  onRemove(map) {
+    map.off('moveend zoomend resize', this._redraw, this)
+    map.off('click', this._handleClick, this)
+    map.off('mousemove', this._handleHover, this)
+    L.DomUtil.removeClass(map.getContainer(), 'grid-point-hover')
+    L.DomUtil.remove(this._canvas)
+    this._canvas = null
+  },
+
+  setPoints(points) {
+    this._points = points
+    this._redraw()
+  },
+
+  // Fill colour per point index (null entries and a null list use the layer colour)
+  // and the index of the highlighted point (-1 for none)
+  setStyle(pointColors, selectedIndex) {
+    this._pointColors = pointColors
+    this._selectedIndex = selectedIndex
+    this._redraw()
+  },
+
+  // onPointClick(index) makes the points clickable; null turns it off
+  setClickHandler(onPointClick) {
+    this._onPointClick = onPointClick
+    if (!onPointClick && this._map) L.DomUtil.removeClass(this._map.getContainer(), 'grid-point-hover')
+  },
+
+  // Index of the drawn point nearest to a container point, or -1
+  _hitTest(containerPoint) {
+    let best = -1
+    let bestDistance = HIT_TOLERANCE
+    for (const { x, y, index } of this._screenPoints) {
+      const distance = Math.hypot(x - containerPoint.x, y - containerPoint.y)
+      if (distance <= bestDistance) {
+        best = index
+        bestDistance = distance
+      }
+    }
+    return best
+  },
+
+  _handleClick(e) {
+    if (!this._onPointClick) return
+    const index = this._hitTest(e.containerPoint)
+    if (index >= 0) this._onPointClick(index)
+  },
+
+  _handleHover(e) {
+    if (!this._onPointClick) return
+    L.DomUtil[this._hitTest(e.containerPoint) >= 0 ? 'addClass' : 'removeClass'](this._map.getContainer(), 'grid-point-hover')
+  },
+
+  _redraw() {
+    const map = this._map
+    if (!map || !this._canvas) return
+
+    const size = map.getSize()
+    const ratio = window.devicePixelRatio || 1
+    const canvas = this._canvas
+
+    L.DomUtil.setPosition(canvas, map.containerPointToLayerPoint([0, 0]))
+    canvas.width = size.x * ratio
+    canvas.height = size.y * ratio
+    canvas.style.width = `${size.x}px`
+    canvas.style.height = `${size.y}px`
+
+    const ctx = canvas.getContext('2d')
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0)
+    ctx.clearRect(0, 0, size.x, size.y)
+
+    const bounds = map.getBounds()
+    const radius = this.options.radius
+    const colors = this._pointColors
+    this._screenPoints = []
+    this._points.forEach((point, index) => {
+      if (!bounds.contains([point.lat, point.lng])) return
+      const { x, y } = map.latLngToContainerPoint([point.lat, point.lng])
+      this._screenPoints.push({ x, y, index })
+      const color = colors?.[index]
+      ctx.fillStyle = color || this.options.color
+      ctx.beginPath()
+      ctx.arc(x, y, color ? radius + 1 : radius, 0, Math.PI * 2)
+      ctx.fill()
+    })
+
+    const selected = this._points[this._selectedIndex]
+    if (selected) {
+      const { x, y } = map.latLngToContainerPoint([selected.lat, selected.lng])
+      ctx.strokeStyle = '#2c3e50'
+      ctx.lineWidth = 2
+      ctx.beginPath()
+      ctx.arc(x, y, radius + 5, 0, Math.PI * 2)
+      ctx.stroke()
+    }
+  }
+})
+
+// pointColors: optional fill colour per point; selectedIndex: highlighted point;
+// onPointClick(index): makes the points selectable while set
+function GridCanvasLayer({ points, color = '#2c3e50', radius = 2, pointColors = null, selectedIndex = -1, onPointClick = null }) {
+  const map = useMap()
+  const layerRef = useRef(null)
+
+  useEffect(() => {
+    const layer = new PointsCanvasLayer([], { color, radius })
+    layerRef.current = layer
+    layer.addTo(map)
+    return () => {
+      layer.remove()
+      layerRef.current = null
+    }
+  }, [map, color, radius])
+
+  useEffect(() => {
+    if (layerRef.current) layerRef.current.setPoints(points)
+  }, [points, map, color, radius])
+
+  useEffect(() => {
+    if (layerRef.current) layerRef.current.setStyle(pointColors, selectedIndex)
+  }, [pointColors, selectedIndex, map, color, radius])
+
+  useEffect(() => {
+    if (layerRef.current) layerRef.current.setClickHandler(onPointClick)
+  }, [onPointClick, map, color, radius])
+
+  return null
+}
+
+export default GridCanvasLayer
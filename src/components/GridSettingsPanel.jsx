@@ -0,0 +1,54 @@
+import { GRID_LAYOUTS, GRID_ROTATIONS } from '../api/gridApi'
+
+// Grid generator settings: spacing, layout, rotation and inward buffers
+function GridSettingsPanel({ settings, onChange, effectiveBearing }) {
+  const update = (key) => (e) => onChange({ ...settings, [key]: e.target.value })
+
+  return (
+    <div className="grid-settings">
+      <div className="grid-settings-row">
+        <label htmlFor="gridSpacing">Separación (m)</label>
+        <input id="gridSpacing" type="number" min="0.5" step="0.5" value={settings.spacing} onChange={update('spacing')} />
+      </div>
+
+      <div className="grid-settings-row">
+        <label htmlFor="gridLayout">Distribución</label>
+        <select id="gridLayout" value={settings.layout} onChange={update('layout')}>
+          {GRID_LAYOUTS.map(layout => (
+            <option key={layout.id} value={layout.id}>{layout.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="grid-settings-row">
+        <label htmlFor="gridRotation">Orientación</label>
+        <select id="gridRotation" value={settings.rotation} onChange={update('rotation')}>
+          {GRID_ROTATIONS.map(rotation => (
+            <option key={rotation.id} value={rotation.id}>{rotation.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {settings.rotation === 'bearing' ? (
+        <div className="grid-settings-row">
+          <label htmlFor="gridBearing">Rumbo (°)</label>
+          <input id="gridBearing" type="number" min="0" max="180" step="1" value={settings.bearing} onChange={update('bearing')} />
+        </div>
+      ) : (
+        <div className="grid-settings-hint">Rumbo de filas: {effectiveBearing.toFixed(1)}°</div>
+      )}
+
+      <div className="grid-settings-row">
+        <label htmlFor="gridBoundaryBuffer">Margen borde (m)</label>
+        <input id="gridBoundaryBuffer" type="number" min="0" step="0.5" value={settings.boundaryBuffer} onChange={update('boundaryBuffer')} />
+      </div>
+
+      <div className="grid-settings-row">
+        <label htmlFor="gridRestrictionBuffer">Margen restricciones (m)</label>
+        <input id="gridRestrictionBuffer" type="number" min="0" step="0.5" value={settings.restrictionBuffer} onChange={update('restrictionBuffer')} />
+      </div>
+    </div>
+  )
+}
+
+export default GridSettingsPanel
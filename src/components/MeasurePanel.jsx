@@ -0,0 +1,84 @@
+import { formatCoordinate } from '../api/coordinateFormats'
+import { formatEdgeLabel } from '../api/measureApi'
+
+const TOOLS = [
+  { id: 'ruler', label: '📏 Regla', hint: 'Haz clic en el mapa para medir una distancia por tramos.' },
+  { id: 'annotation', label: '📝 Anotar', hint: 'Haz clic en el mapa para añadir una nota; arrastra las notas para moverlas.' }
+]
+
+const formatMetres = (value) => `${value.toLocaleString(undefined, { maximumFractionDigits: 2 })} m`
+
+// Measurement tools: the ruler (ruler = measureApi measurePath of the clicked
+// points), the edge label toggle and the session annotations, whose text is
+// committed on blur like the survey notes. focusId: a just-placed annotation
+// whose text box takes the focus
+function MeasurePanel({ tool, onToolChange, edgeLabels, onEdgeLabelsChange, ruler, onRulerUndo, onRulerClear, annotations, focusId, onAnnotationChange, onAnnotationDelete, coordinateFormat, onClose }) {
+  return (
+    <div className="coordinate-entry measure-panel">
+      <div className="import-report-header">
+        <strong>Medir y anotar</strong>
+        <button type="button" onClick={onClose} className="remove-button">×</button>
+      </div>
+
+      <div className="project-row">
+        {TOOLS.map(option => (
+          <button
+            key={option.id}
+            onClick={() => onToolChange(tool === option.id ? null : option.id)}
+            className={`project-button ${tool === option.id ? 'active' : ''}`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+      {tool && <p className="coordinate-entry-hint">{TOOLS.find(option => option.id === tool).hint}</p>}
+
+      <label className="measure-toggle">
+        <input type="checkbox" checked={edgeLabels} onChange={(e) => onEdgeLabelsChange(e.target.checked)} />
+        Longitud y rumbo de los lados en el mapa
+      </label>
+
+      {ruler.segments.length > 0 && (
+        <>
+          <table className="trajectory-metrics">
+            <tbody>
+              {ruler.segments.map(segment => (
+                <tr key={segment.from}>
+                  <td>Tramo {segment.from + 1}</td>
+                  <td>{formatEdgeLabel(segment)}</td>
+                </tr>
+              ))}
+              <tr><td>Total</td><td>{formatMetres(ruler.length)}</td></tr>
+            </tbody>
+          </table>
+          <div className="project-row">
+            <button onClick={onRulerUndo} className="project-button">Quitar último punto</button>
+            <button onClick={onRulerClear} className="project-button danger">Borrar regla</button>
+          </div>
+        </>
+      )}
+
+      <strong className="measure-section">Anotaciones ({annotations.length})</strong>
+      {annotations.length === 0 && <p className="coordinate-entry-hint">Sin anotaciones. Se guardan con el proyecto y se incluyen en las exportaciones.</p>}
+      {annotations.map((annotation, index) => (
+        <div key={annotation.id} className="measure-annotation">
+          <div className="survey-progress-header">
+            <span>N{index + 1} · {formatCoordinate(annotation, coordinateFormat)}</span>
+            <button type="button" onClick={() => onAnnotationDelete(annotation.id)} className="remove-button">×</button>
+          </div>
+          <textarea
+            key={`${annotation.id}:${annotation.text}`}
+            defaultValue={annotation.text}
+            onBlur={(e) => e.target.value !== annotation.text && onAnnotationChange(annotation.id, e.target.value)}
+            placeholder="Texto de la nota"
+            autoFocus={annotation.id === focusId}
+            rows={2}
+            className="restriction-notes"
+          />
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default MeasurePanel
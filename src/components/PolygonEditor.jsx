@@ -0,0 +1,98 @@
+import { useState, useRef } from 'react'
+import { Marker, Polyline, Popup } from 'react-leaflet'
+import { createPoint } from '../api/pointIds'
+import { handleIcon } from './handleIcons'
+
+const createVertex = (latlng) => createPoint(latlng.lat, latlng.lng)
+
+// Editable ring: draggable vertices, "ghost" midpoints that insert a vertex
+// when dragged, and per-vertex deletion (popup button or right click).
+// onChange(points, { record }) follows useHistory: only the first update of a
+// vertex drag is recorded, so a whole drag is a single undo step.
+function PolygonEditor({ points, onChange, color = '#4a90e2', label = 'Punto', minVertices = 3, maxVertices = Infinity }) {
+  const [ghostDrag, setGhostDrag] = useState(null) // { index, lat, lng } while a midpoint is being dragged
+  const dragRecorded = useRef(false)
+
+  const vertex = handleIcon(color, false)
+  const ghost = handleIcon(color, true)
+  const canDelete = points.length > minVertices
+  const canInsert = points.length < maxVertices
+
+  const moveVertex = (index, latlng) => {
+    onChange(points.map((p, i) => i === index ? { ...p, lat: latlng.lat, lng: latlng.lng } : p), { record: !dragRecorded.current })
+    dragRecorded.current = true
+  }
+
+  const insertVertex = (index, latlng) => {
+    const next = [...points]
+    next.splice(index + 1, 0, createVertex(latlng))
+    onChange(next)
+  }
+
+  const deleteVertex = (index) => {
+    if (!canDelete) return
+    onChange(points.filter((_, i) => i !== index))
+  }
+
+  return (
+    <>
+      {points.map((point, index) => (
+        <Marker
+          key={point.id}
+          position={[point.lat, point.lng]}
+          icon={vertex}
+          draggable={true}
+          eventHandlers={{
+            dragstart: () => { dragRecorded.current = false },
+            drag: (e) => moveVertex(index, e.target.getLatLng()),
+            contextmenu: () => deleteVertex(index)
+          }}
+        >
+          <Popup>
+            <strong>{label} {index + 1}</strong><br />
+            <button
+              className="vertex-delete-button"
+              onClick={() => deleteVertex(index)}
+              disabled={!canDelete}
+            >
+              Eliminar vértice
+            </button>
+          </Popup>
+        </Marker>
+      ))}
+
+      {canInsert && points.length >= 2 && points.map((point, index) => {
+        const next = points[(index + 1) % points.length]
+        return (
+          <Marker
+            key={`ghost-${point.id}-${next.id}`}
+            position={[(point.lat + next.lat) / 2, (point.lng + next.lng) / 2]}
+            icon={ghost}
+            draggable={true}
+            eventHandlers={{
+              drag: (e) => setGhostDrag({ index, ...e.target.getLatLng() }),
+              dragend: (e) => {
+                setGhostDrag(null)
+                insertVertex(index, e.target.getLatLng())
+              }
+            }}
+          />
+        )
+      })}
+
+      {/* Preview of the edge being split while a ghost handle is dragged */}
+      {ghostDrag && (
+        <Polyline
+          positions={[
+            [points[ghostDrag.index].lat, points[ghostDrag.index].lng],
+            [ghostDrag.lat, ghostDrag.lng],
+            [points[(ghostDrag.index + 1) % points.length].lat, points[(ghostDrag.index + 1) % points.length].lng]
+          ]}
+          pathOptions={{ color, weight: 2, dashArray: '4, 4' }}
+        />
+      )}
+    </>
+  )
+}
+
+export default PolygonEditor
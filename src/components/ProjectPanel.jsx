@@ -0,0 +1,86 @@
+import { useState } from 'react'
+
+// Project switcher: create, rename, duplicate, delete, bundle export/import and share link
+function ProjectPanel({ projects, activeProject, error, onClearError, onSwitch, onCreate, onRename, onDuplicate, onDelete, onExport, onImport, onShare }) {
+  const [renaming, setRenaming] = useState(false)
+  const [draftName, setDraftName] = useState('')
+
+  const startRename = () => {
+    setDraftName(activeProject?.name || '')
+    setRenaming(true)
+  }
+
+  const submitRename = (e) => {
+    e.preventDefault()
+    onRename(activeProject.id, draftName)
+    setRenaming(false)
+  }
+
+  const handleDelete = () => {
+    if (window.confirm(`¿Eliminar el proyecto "${activeProject.name}"? Esta acción no se puede deshacer.`)) {
+      onDelete(activeProject.id)
+    }
+  }
+
+  const handleImport = (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (file) onImport(file)
+  }
+
+  return (
+    <div className="project-panel">
+      {renaming ? (
+        <form onSubmit={submitRename} className="project-row">
+          <input
+            autoFocus
+            value={draftName}
+            onChange={(e) => setDraftName(e.target.value)}
+            className="project-input"
+          />
+          <button type="submit" className="project-button">OK</button>
+          <button type="button" onClick={() => setRenaming(false)} className="project-button">×</button>
+        </form>
+      ) : (
+        <div className="project-row">
+          <select
+            value={activeProject?.id || ''}
+            onChange={(e) => onSwitch(e.target.value)}
+            className="project-select"
+            disabled={!activeProject}
+          >
+            {projects.map(project => (
+              <option key={project.id} value={project.id}>{project.name}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <div className="project-row">
+        <button onClick={() => onCreate()} className="project-button" title="Nuevo proyecto">Nuevo</button>
+        <button onClick={startRename} className="project-button" disabled={!activeProject} title="Renombrar">Renombrar</button>
+        <button onClick={() => onDuplicate(activeProject.id)} className="project-button" disabled={!activeProject} title="Duplicar">Duplicar</button>
+        <button onClick={handleDelete} className="project-button danger" disabled={!activeProject} title="Eliminar">Eliminar</button>
+      </div>
+
+      <div className="project-row">
+        <button onClick={onExport} className="project-button" disabled={!activeProject}>Exportar paquete</button>
+        <label className="project-button">
+          Importar paquete
+          <input type="file" accept=".json" onChange={handleImport} style={{ display: 'none' }} />
+        </label>
+        <button onClick={onShare} className="project-button" disabled={!activeProject}>Compartir</button>
+      </div>
+
+      {activeProject && (
+        <div className="project-status">Guardado {new Date(activeProject.updatedAt).toLocaleTimeString()}</div>
+      )}
+
+      {error && (
+        <div className="project-error" onClick={onClearError}>{error}</div>
+      )}
+    </div>
+  )
+}
+
+export default ProjectPanel
@@ -0,0 +1,100 @@
+import { RESTRICTION_CATEGORIES, restrictionCategory } from '../api/areasApi'
+import { RESTRICTION_TOOLS, SHAPE_PARAMETERS } from '../api/shapesApi'
+import { geodesicArea } from '../api/geodesy'
+
+const formatArea = (m2) => `${m2.toLocaleString(undefined, { maximumFractionDigits: 2 })} m²`
+
+// Sidebar list of the active area's restrictions: name, category, notes and,
+// for rectangles, circles and corridors, their shape parameters.
+// categoryAreas maps category id -> restricted m² inside the area; issueIndices
+// holds the indices of restrictions with validation issues.
+function RestrictionList({ restrictions, categoryAreas, issueIndices, onUpdate, onShapeParameter, onDelete, onClear }) {
+  const commitText = (restriction, index, key, value) => {
+    const text = key === 'name' ? value.trim() : value
+    if ((text || key !== 'name') && text !== restriction[key]) onUpdate(index, { [key]: text })
+  }
+
+  const usedCategories = RESTRICTION_CATEGORIES.filter(category => restrictions.some(res => res.category === category.id))
+
+  return (
+    <div className="restrictions-list-section">
+      <div className="sidebar-header" style={{ marginTop: '20px', background: 'linear-gradient(135deg, #c0392b 0%, #8e44ad 100%)' }}>
+        <h3>Restricciones ({restrictions.length})</h3>
+        <button onClick={onClear} className="clear-button">Limpiar</button>
+      </div>
+      <div className="restriction-categories">
+        {usedCategories.map(category => (
+          <span key={category.id} className="restriction-category-total" style={{ borderColor: category.color }}>
+            {category.label}: {formatArea(categoryAreas[category.id])}
+          </span>
+        ))}
+      </div>
+      <div className="points-list" style={{ maxHeight: '260px' }}>
+        {restrictions.map((res, i) => {
+          const category = restrictionCategory(res.category)
+          return (
+            <div
+              key={res.id}
+              className={`point-item restriction-item ${issueIndices.has(i) ? 'has-issue' : ''}`}
+              style={{ borderLeftColor: category.color }}
+            >
+              <div className="point-header">
+                <input
+                  key={res.name}
+                  defaultValue={res.name}
+                  onBlur={(e) => commitText(res, i, 'name', e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                  className="restriction-name-input"
+                  style={{ color: category.color }}
+                  title={res.id}
+                />
+                <button onClick={() => onDelete(i)} className="remove-button">×</button>
+              </div>
+              <div className="coord-row">
+                <select
+                  value={res.category}
+                  onChange={(e) => onUpdate(i, { category: e.target.value })}
+                  className="restriction-category-select"
+                >
+                  {RESTRICTION_CATEGORIES.map(option => (
+                    <option key={option.id} value={option.id}>{option.label}</option>
+                  ))}
+                </select>
+                <span className="coord-value">
+                  {formatArea(geodesicArea(res.points))}
+                  {res.shape && <span className="restriction-shape"> · {RESTRICTION_TOOLS.find(tool => tool.id === res.shape.type).label}</span>}
+                </span>
+              </div>
+              {res.shape && (
+                <div className="shape-parameters">
+                  {SHAPE_PARAMETERS[res.shape.type].map(param => (
+                    <label key={`${param.key}-${res.shape[param.key]}`} className="shape-parameter">
+                      {param.label}
+                      <input
+                        type="number"
+                        step="0.1"
+                        defaultValue={res.shape[param.key]}
+                        onBlur={(e) => onShapeParameter(i, param.key, e.target.value)}
+                        onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                      />
+                    </label>
+                  ))}
+                </div>
+              )}
+              <textarea
+                key={res.notes}
+                defaultValue={res.notes}
+                onBlur={(e) => commitText(res, i, 'notes', e.target.value)}
+                placeholder="Notas"
+                rows={1}
+                className="restriction-notes"
+              />
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default RestrictionList
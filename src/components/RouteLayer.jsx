@@ -0,0 +1,25 @@
+import { CircleMarker, Polyline, Tooltip } from 'react-leaflet'
+
+const ROUTE_COLOR = '#8e44ad'
+
+// Planned survey route (see routeApi planRoute) with its first and last stop
+function RouteLayer({ route, gridPoints }) {
+  const start = gridPoints[route.order[0]]
+  const end = gridPoints[route.order[route.order.length - 1]]
+
+  return (
+    <>
+      <Polyline positions={route.path.map(p => [p.lat, p.lng])} pathOptions={{ color: ROUTE_COLOR, weight: 2, opacity: 0.85 }}>
+        <Tooltip sticky>Ruta · {route.length.toFixed(1)} m</Tooltip>
+      </Polyline>
+      <CircleMarker center={[start.lat, start.lng]} radius={6} pathOptions={{ color: ROUTE_COLOR, fillColor: '#fff', fillOpacity: 1, weight: 3 }}>
+        <Tooltip>Inicio de ruta · G{route.order[0] + 1}</Tooltip>
+      </CircleMarker>
+      <CircleMarker center={[end.lat, end.lng]} radius={6} pathOptions={{ color: ROUTE_COLOR, fillColor: ROUTE_COLOR, fillOpacity: 1, weight: 3 }}>
+        <Tooltip>Fin de ruta · G{route.order[route.order.length - 1] + 1}</Tooltip>
+      </CircleMarker>
+    </>
+  )
+}
+
+export default RouteLayer
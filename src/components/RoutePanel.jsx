@@ -0,0 +1,82 @@
+import { useState } from 'react'
+import { ROUTE_METHODS, ROUTE_EXPORT_FORMATS } from '../api/routeApi'
+
+const formatDuration = (seconds) => {
+  const minutes = Math.round(seconds / 60)
+  return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`
+}
+
+// Survey route through the active area's grid points. settings: raw form values
+// (see routeApi DEFAULT_ROUTE_SETTINGS); route is null until generated or when
+// the grid has changed since. planning/progress: a run in the route worker
+function RoutePanel({ settings, onChange, route, duration, pointCount, onGenerate, planning, progress, error, onCancel, onExport, onClear }) {
+  const [format, setFormat] = useState(ROUTE_EXPORT_FORMATS[0].id)
+  const update = (key) => (e) => onChange({ [key]: e.target.value })
+
+  return (
+    <div className="grid-settings">
+      <div className="grid-settings-row">
+        <label htmlFor="routeMethod">Ruta</label>
+        <select id="routeMethod" value={settings.method} onChange={update('method')}>
+          {ROUTE_METHODS.map(method => (
+            <option key={method.id} value={method.id}>{method.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="grid-settings-row">
+        <label htmlFor="routeSpeed">Velocidad (m/s)</label>
+        <input id="routeSpeed" type="number" min="0.1" step="0.1" value={settings.walkingSpeed} onChange={update('walkingSpeed')} />
+      </div>
+
+      <div className="grid-settings-row">
+        <label htmlFor="routeDwell">Parada por punto (s)</label>
+        <input id="routeDwell" type="number" min="0" step="5" value={settings.dwellTime} onChange={update('dwellTime')} />
+      </div>
+
+      {planning ? (
+        <div className="project-row route-progress">
+          <div className="progress-track">
+            <div className="progress-bar" style={{ width: `${progress * 100}%` }} />
+          </div>
+          <button onClick={onCancel} className="project-button danger">Cancelar</button>
+        </div>
+      ) : (
+        <button onClick={onGenerate} disabled={pointCount === 0} className="project-button">
+          {route ? 'Regenerar ruta' : 'Generar ruta'}
+        </button>
+      )}
+      {pointCount === 0 && <div className="grid-settings-hint">El área activa no tiene puntos de malla.</div>}
+      {error && <div className="import-report-warning">No se pudo calcular la ruta: {error}</div>}
+
+      {route && (
+        <>
+          <div className="route-summary">
+            <strong>{route.length.toLocaleString(undefined, { maximumFractionDigits: 1 })} m</strong>
+            {' · '}{formatDuration(duration)}
+            {' · '}{route.order.length} puntos
+          </div>
+          {route.detourCount > 0 && (
+            <div className="grid-settings-hint">{route.detourCount} tramo(s) rodean restricciones.</div>
+          )}
+          {route.blockedCount > 0 && (
+            <div className="import-report-warning">
+              {route.blockedCount} tramo(s) sin paso libre: se recorren en línea recta.
+            </div>
+          )}
+          <div className="project-row">
+            <select value={format} onChange={(e) => setFormat(e.target.value)} className="project-select">
+              {ROUTE_EXPORT_FORMATS.map(option => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+            <button onClick={() => onExport(format)} className="project-button">⬇️</button>
+            <button onClick={onClear} className="project-button danger">Quitar</button>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default RoutePanel
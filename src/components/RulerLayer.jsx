@@ -0,0 +1,37 @@
+import { useMemo } from 'react'
+import { CircleMarker, Polyline, Tooltip } from 'react-leaflet'
+import EdgeLabelLayer from './EdgeLabelLayer'
+
+const RULER_COLOR = '#e84393'
+
+// Ruler path being measured: dashed line, one dot per click, segment labels
+// and the total length at the last point. measurement: see measureApi measurePath
+function RulerLayer({ points, measurement }) {
+  const rings = useMemo(() => [{ key: 'ruler', points, closed: false, color: RULER_COLOR }], [points])
+
+  return (
+    <>
+      {points.length >= 2 && (
+        <Polyline positions={points.map(p => [p.lat, p.lng])} pathOptions={{ color: RULER_COLOR, weight: 3, dashArray: '6, 6' }} interactive={false} />
+      )}
+      {points.map((point, index) => (
+        <CircleMarker
+          key={index}
+          center={[point.lat, point.lng]}
+          radius={4}
+          pathOptions={{ color: RULER_COLOR, fillColor: '#fff', fillOpacity: 1, weight: 2 }}
+          interactive={false}
+        >
+          {index === points.length - 1 && points.length >= 2 && (
+            <Tooltip permanent direction="right" offset={[8, 0]} className="ruler-total">
+              {measurement.length.toLocaleString(undefined, { maximumFractionDigits: 2 })} m
+            </Tooltip>
+          )}
+        </CircleMarker>
+      ))}
+      <EdgeLabelLayer rings={rings} />
+    </>
+  )
+}
+
+export default RulerLayer
@@ -0,0 +1,142 @@
+import { useState } from 'react'
+import { parseCoordinate, formatCoordinate } from '../api/coordinateFormats'
+import { GEOCODER_PROVIDERS } from '../api/geocodingApi'
+import { useGeocoderSearch } from '../hooks/useGeocoder'
+
+// Place and coordinate search. Coordinates in any supported format are offered
+// as the first result; places come from the configured geocoder, as
+// suggestions while typing when the provider allows it, or on submit.
+// onSelect({ label, lat, lng, bounds? }); settings/onSettingsChange: geocoder settings.
+function SearchBox({ geocoder, settings, onSettingsChange, onSelect }) {
+  const [query, setQuery] = useState('')
+  const [open, setOpen] = useState(false)
+  const [highlight, setHighlight] = useState(0)
+  const [submitted, setSubmitted] = useState(null) // { query, results, error } of the last explicit search
+  const [showSettings, setShowSettings] = useState(false)
+
+  const coordinate = parseCoordinate(query)
+  const suggestions = useGeocoderSearch(geocoder, query, open && !coordinate)
+
+  const placeResults = submitted?.query === query ? submitted.results : suggestions.results
+  const results = [
+    ...(coordinate ? [{ kind: 'coordinate', label: `Coordenadas: ${formatCoordinate(coordinate, 'dd')}`, lat: coordinate.lat, lng: coordinate.lng }] : []),
+    ...(coordinate ? [] : placeResults)
+  ]
+  const error = submitted?.query === query ? submitted.error : suggestions.error
+
+  const choose = (result) => {
+    onSelect(result)
+    if (result.kind !== 'coordinate') setQuery(result.label)
+    setOpen(false)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!query.trim()) return
+    if (results[highlight] && open) {
+      choose(results[highlight])
+      return
+    }
+    if (coordinate) {
+      choose(results[0])
+      return
+    }
+
+    setOpen(true)
+    setHighlight(0)
+    try {
+      const found = await geocoder.search(query.trim())
+      setSubmitted({ query, results: found, error: found.length === 0 ? 'No se encontró el lugar' : null })
+    } catch (err) {
+      console.error('Error searching location:', err)
+      setSubmitted({ query, results: [], error: err.message || 'Error al buscar el lugar' })
+    }
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && results.length > 0) {
+      e.preventDefault()
+      setOpen(true)
+      setHighlight(prev => (prev + 1) % results.length)
+    } else if (e.key === 'ArrowUp' && results.length > 0) {
+      e.preventDefault()
+      setHighlight(prev => (prev - 1 + results.length) % results.length)
+    } else if (e.key === 'Escape') {
+      setOpen(false)
+    }
+  }
+
+  return (
+    <div className="search-box">
+      <form onSubmit={handleSubmit} className="search-form">
+        <input
+          type="text"
+          placeholder="Search location or coordinates..."
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value)
+            setOpen(true)
+            setHighlight(0)
+          }}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+          className="search-input"
+        />
+        <button type="submit" className="search-button">Search</button>
+        <button
+          type="button"
+          className="search-settings-button"
+          onClick={() => setShowSettings(prev => !prev)}
+          title="Geocodificador"
+        >
+          ⚙
+        </button>
+      </form>
+
+      {open && query.trim() && (results.length > 0 || error || suggestions.isSearching) && (
+        <ul className="search-results">
+          {results.map((result, i) => (
+            <li
+              key={`${result.label}-${i}`}
+              className={i === highlight ? 'highlighted' : ''}
+              onMouseDown={(e) => {
+                e.preventDefault() // keep focus so the list isn't closed by blur first
+                choose(result)
+              }}
+              onMouseEnter={() => setHighlight(i)}
+            >
+              {result.label}
+            </li>
+          ))}
+          {suggestions.isSearching && results.length === 0 && <li className="search-status">Buscando…</li>}
+          {error && <li className="search-status search-error">{error}</li>}
+        </ul>
+      )}
+
+      {showSettings && (
+        <div className="search-settings">
+          <select
+            value={settings.provider}
+            onChange={(e) => onSettingsChange({ provider: e.target.value, url: '' })}
+          >
+            {GEOCODER_PROVIDERS.map(provider => (
+              <option key={provider.id} value={provider.id}>{provider.label}</option>
+            ))}
+          </select>
+          {settings.provider !== 'none' && (
+            <input
+              key={settings.provider}
+              defaultValue={settings.url}
+              onBlur={(e) => onSettingsChange({ ...settings, url: e.target.value })}
+              onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+              placeholder="URL del servicio o del archivo"
+            />
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SearchBox
@@ -0,0 +1,85 @@
+import { useRef } from 'react'
+import { Marker, Polyline, Popup } from 'react-leaflet'
+import { offsetPoint } from '../api/shapesApi'
+import { geodesicDistance } from '../api/geodesy'
+import { handleIcon } from './handleIcons'
+
+const toPoint = (latlng) => ({ lat: latlng.lat, lng: latlng.lng })
+
+// Handles for a parametric restriction: move the centre of a rectangle or
+// circle, drag a circle's radius, or move/remove the vertices of a corridor
+// line. The polygon is regenerated from the shape by the parent.
+// onChange(shape, { record }) follows useHistory like PolygonEditor.
+function ShapeEditor({ shape, onChange, color = '#e74c3c', label = 'Restricción' }) {
+  const dragRecorded = useRef(false)
+  const vertex = handleIcon(color, false)
+  const ghost = handleIcon(color, true)
+
+  const update = (changes) => {
+    onChange({ ...shape, ...changes }, { record: !dragRecorded.current })
+    dragRecorded.current = true
+  }
+  const startDrag = () => { dragRecorded.current = false }
+
+  if (shape.type === 'corridor') {
+    const canDelete = shape.line.length > 2
+    const deleteVertex = (index) => {
+      if (canDelete) onChange({ ...shape, line: shape.line.filter((_, i) => i !== index) })
+    }
+    return (
+      <>
+        <Polyline positions={shape.line.map(p => [p.lat, p.lng])} pathOptions={{ color, weight: 2, dashArray: '4, 4' }} />
+        {shape.line.map((point, index) => (
+          <Marker
+            key={index}
+            position={[point.lat, point.lng]}
+            icon={vertex}
+            draggable={true}
+            eventHandlers={{
+              dragstart: startDrag,
+              drag: (e) => update({ line: shape.line.map((p, i) => i === index ? toPoint(e.target.getLatLng()) : p) }),
+              contextmenu: () => deleteVertex(index)
+            }}
+          >
+            <Popup>
+              <strong>{label} · Eje {index + 1}</strong><br />
+              <button className="vertex-delete-button" onClick={() => deleteVertex(index)} disabled={!canDelete}>
+                Eliminar vértice
+              </button>
+            </Popup>
+          </Marker>
+        ))}
+      </>
+    )
+  }
+
+  const radiusHandle = shape.type === 'circle' ? offsetPoint(shape.center, shape.radius, 0) : null
+  return (
+    <>
+      <Marker
+        position={[shape.center.lat, shape.center.lng]}
+        icon={vertex}
+        draggable={true}
+        eventHandlers={{
+          dragstart: startDrag,
+          drag: (e) => update({ center: toPoint(e.target.getLatLng()) })
+        }}
+      >
+        <Popup><strong>{label} · Centro</strong></Popup>
+      </Marker>
+      {radiusHandle && (
+        <Marker
+          position={[radiusHandle.lat, radiusHandle.lng]}
+          icon={ghost}
+          draggable={true}
+          eventHandlers={{
+            dragstart: startDrag,
+            drag: (e) => update({ radius: Number(geodesicDistance(shape.center, e.target.getLatLng()).toFixed(2)) })
+          }}
+        />
+      )}
+    </>
+  )
+}
+
+export default ShapeEditor
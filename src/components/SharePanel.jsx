@@ -0,0 +1,35 @@
+import { SHARE_LINK_WARN_LENGTH } from '../api/shareApi'
+
+// Result of the share action (link to copy) or of opening a share link
+// (project opened, or why the link could not be read). See useShareLink.
+function SharePanel({ link, opened, error, onCopy, onClose }) {
+  return (
+    <div className="import-report share-panel">
+      <div className="import-report-header">
+        <strong>{link ? 'Compartir sesión' : 'Enlace compartido'}</strong>
+        <button onClick={onClose} className="remove-button">×</button>
+      </div>
+
+      {link && (
+        <>
+          <p>Cualquiera con este enlace puede abrir una copia de las áreas, restricciones, estados de la malla y la vista actual.</p>
+          <div className="project-row">
+            <input readOnly value={link.url} onFocus={(e) => e.target.select()} className="project-input" />
+            <button onClick={onCopy} className="project-button share-copy">{link.copied ? 'Copiado ✓' : 'Copiar'}</button>
+          </div>
+          <p className="project-status">{link.url.length.toLocaleString()} caracteres</p>
+          {link.url.length > SHARE_LINK_WARN_LENGTH && (
+            <p className="import-report-warning">
+              Enlace muy largo: algunos programas de correo o mensajería pueden cortarlo. Para sesiones grandes usa «Exportar paquete».
+            </p>
+          )}
+        </>
+      )}
+
+      {opened && !error && <p>Proyecto «{opened}» abierto desde el enlace como un proyecto nuevo.</p>}
+      {error && <p className="import-report-error">{error}</p>}
+    </div>
+  )
+}
+
+export default SharePanel
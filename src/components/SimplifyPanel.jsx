@@ -0,0 +1,50 @@
+import { useState, useMemo } from 'react'
+import { simplifyRing } from '../api/simplifyApi'
+
+// Douglas–Peucker simplification of the active area or one of its polygon
+// restrictions, with the vertex count before and after the given tolerance.
+// targets: [{ id, label, points }]; tolerance is the raw input value (metres);
+// onApply(id, points) replaces the ring.
+function SimplifyPanel({ targets, tolerance, onToleranceChange, onApply }) {
+  const [targetId, setTargetId] = useState(targets[0].id)
+  const target = targets.find(t => t.id === targetId) || targets[0]
+
+  const simplified = useMemo(() => simplifyRing(target.points, Number(tolerance)), [target, tolerance])
+  const removed = target.points.length - simplified.length
+
+  return (
+    <div className="simplify-panel">
+      <div className="simplify-row">
+        <select value={target.id} onChange={(e) => setTargetId(e.target.value)}>
+          {targets.map(t => (
+            <option key={t.id} value={t.id}>{t.label}</option>
+          ))}
+        </select>
+        <label>
+          Tolerancia (m)
+          <input
+            type="number"
+            min="0.01"
+            step="0.1"
+            value={tolerance}
+            onChange={(e) => onToleranceChange(e.target.value)}
+          />
+        </label>
+      </div>
+      <div className="simplify-row">
+        <span className="simplify-count">
+          Vértices: {target.points.length} → <strong>{simplified.length}</strong>
+        </span>
+        <button
+          onClick={() => onApply(target.id, simplified)}
+          disabled={removed === 0}
+          className="clear-button simplify-button"
+        >
+          Simplificar
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default SimplifyPanel
@@ -0,0 +1,58 @@
+import { SNAP_ANGLES } from '../api/snapApi'
+
+// Snapping options shown while drawing. settings: the raw drawing settings
+// form values; onChange(changes) like changeDrawingSettings
+function SnapControls({ settings, onChange }) {
+  return (
+    <div className="restriction-tools snap-controls">
+      <label className="shape-parameter" title="Ajusta los clics a la geometría existente (mantén Alt para dibujar sin ajuste)">
+        <input type="checkbox" checked={settings.snap} onChange={(e) => onChange({ snap: e.target.checked })} />
+        Ajuste
+      </label>
+      {settings.snap && (
+        <>
+          <label className="shape-parameter">
+            <input type="checkbox" checked={settings.snapVertices} onChange={(e) => onChange({ snapVertices: e.target.checked })} />
+            Vértices
+          </label>
+          <label className="shape-parameter">
+            <input type="checkbox" checked={settings.snapEdges} onChange={(e) => onChange({ snapEdges: e.target.checked })} />
+            Bordes
+          </label>
+          <label className="shape-parameter" title="Distancia en pantalla a la que se ajusta a vértices y bordes">
+            Tolerancia (px)
+            <input
+              type="number"
+              min="1"
+              max="50"
+              value={settings.snapTolerance}
+              onChange={(e) => onChange({ snapTolerance: e.target.value })}
+            />
+          </label>
+          <label className="shape-parameter" title="Malla métrica orientada al norte desde el primer vértice del área">
+            <input type="checkbox" checked={settings.snapGrid} onChange={(e) => onChange({ snapGrid: e.target.checked })} />
+            Malla (m)
+            <input
+              type="number"
+              min="0.01"
+              step="0.1"
+              value={settings.snapGridSize}
+              disabled={!settings.snapGrid}
+              onChange={(e) => onChange({ snapGridSize: e.target.value })}
+            />
+          </label>
+          <label className="shape-parameter" title="Ángulo respecto al tramo anterior">
+            Ángulo
+            <select value={settings.snapAngle} onChange={(e) => onChange({ snapAngle: Number(e.target.value) })}>
+              {SNAP_ANGLES.map(angle => (
+                <option key={angle.id} value={angle.id}>{angle.label}</option>
+              ))}
+            </select>
+          </label>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default SnapControls
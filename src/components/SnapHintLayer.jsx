@@ -0,0 +1,59 @@
+import { useState } from 'react'
+import { CircleMarker, Polyline, Tooltip, useMap, useMapEvents } from 'react-leaflet'
+import { SNAP_KIND_LABELS } from '../api/snapApi'
+import { geodesicDistance } from '../api/geodesy'
+import { snapEvent } from './snapping'
+
+const HINT_COLOR = '#e67e22'
+
+// Turn relative to the previous segment, left or right: 270° reads as 90°
+const turnLabel = (angle) => `${angle > 180 ? 360 - angle : angle}°`
+
+// Where the next click will land while it snaps: a ring at the snapped
+// position, a dashed guide from the last point and a label with the kind of
+// snap and the segment length. snapping: see snapEvent (null = no hint)
+function SnapHintLayer({ snapping }) {
+  const map = useMap()
+  const [hint, setHint] = useState(null)
+
+  useMapEvents({
+    mousemove(e) {
+      const result = snapEvent(map, e, snapping)
+      setHint(result.kind ? result : null)
+    },
+    mouseout() {
+      setHint(null)
+    }
+  })
+
+  if (!hint || !snapping) return null
+  const { point, kind, angle } = hint
+  const last = snapping.previous[snapping.previous.length - 1]
+  const label = [
+    kind === 'angle' ? turnLabel(angle) : SNAP_KIND_LABELS[kind],
+    kind === 'edge' && angle !== null && turnLabel(angle),
+    last && `${geodesicDistance(last, point).toFixed(2)} m`
+  ].filter(Boolean).join(' · ')
+
+  return (
+    <>
+      {last && (
+        <Polyline
+          positions={[[last.lat, last.lng], [point.lat, point.lng]]}
+          pathOptions={{ color: HINT_COLOR, weight: 2, dashArray: '4, 6' }}
+          interactive={false}
+        />
+      )}
+      <CircleMarker
+        center={[point.lat, point.lng]}
+        radius={kind === 'vertex' ? 8 : 6}
+        pathOptions={{ color: HINT_COLOR, fillColor: HINT_COLOR, fillOpacity: 0.25, weight: 2 }}
+        interactive={false}
+      >
+        <Tooltip permanent direction="right" offset={[10, 0]} className="snap-hint">{label}</Tooltip>
+      </CircleMarker>
+    </>
+  )
+}
+
+export default SnapHintLayer
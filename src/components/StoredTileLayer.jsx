@@ -0,0 +1,86 @@
+import { useEffect, useRef } from 'react'
+import { useMap } from 'react-leaflet'
+import L from 'leaflet'
+import { tileUrl } from '../api/basemapsApi'
+import { readTile } from '../api/tileStore'
+
+// Tile layer for any source (XYZ, WMS or an MBTiles package) that serves tiles
+// from the browser's offline packages first and only then from the network.
+// With `offline` set, tiles missing from storage are left blank.
+const StoredTiles = L.TileLayer.extend({
+  initialize(source, packageIds, options) {
+    this._source = source
+    this._packageIds = packageIds
+    L.TileLayer.prototype.initialize.call(this, '', options)
+  },
+
+  getTileUrl(coords) {
+    return tileUrl(this._source, coords)
+  },
+
+  createTile(coords, done) {
+    const tile = document.createElement('img')
+    tile.alt = ''
+    tile.setAttribute('role', 'presentation')
+    L.DomEvent.on(tile, 'load', () => {
+      if (tile.dataset.objectUrl) URL.revokeObjectURL(tile.dataset.objectUrl)
+      this._tileOnLoad(done, tile)
+    })
+    L.DomEvent.on(tile, 'error', (e) => this._tileOnError(done, tile, e))
+
+    const canFetch = !this.options.offline && this._source.type !== 'package'
+    readTile(this._packageIds, coords)
+      .catch(() => null)
+      .then(blob => {
+        if (blob) {
+          tile.dataset.objectUrl = URL.createObjectURL(blob)
+          tile.src = tile.dataset.objectUrl
+        } else if (canFetch) {
+          tile.src = this.getTileUrl(coords)
+        } else {
+          done(new Error('Tile not stored'), tile)
+        }
+      })
+    return tile
+  }
+})
+
+// source: see basemapsApi; packageIds: stored packages to read first
+function StoredTileLayer({ source, packageIds, offline, opacity = 1, zIndex = 1 }) {
+  const map = useMap()
+  const layerRef = useRef(null)
+  // Compared by value: the source objects are rebuilt whenever the settings change
+  const sourceKey = JSON.stringify(source)
+  const packageKey = packageIds.join(',')
+
+  useEffect(() => {
+    const layerSource = JSON.parse(sourceKey)
+    const { bounds: bbox } = layerSource
+    const bounds = bbox && L.latLngBounds([bbox[1], bbox[0]], [bbox[3], bbox[2]])
+    const layer = new StoredTiles(layerSource, packageKey ? packageKey.split(',') : [], {
+      attribution: layerSource.attribution,
+      maxZoom: 22,
+      maxNativeZoom: layerSource.maxZoom,
+      ...(layerSource.type === 'package' && { minNativeZoom: layerSource.minZoom }),
+      ...(bounds && { bounds }),
+      offline
+    })
+    layerRef.current = layer
+    layer.addTo(map)
+    return () => {
+      layer.remove()
+      layerRef.current = null
+    }
+  }, [map, sourceKey, packageKey, offline])
+
+  useEffect(() => {
+    if (layerRef.current) {
+      layerRef.current.setOpacity(opacity)
+      layerRef.current.setZIndex(zIndex)
+    }
+  }, [opacity, zIndex, sourceKey, packageKey, offline])
+
+  return null
+}
+
+export default StoredTileLayer
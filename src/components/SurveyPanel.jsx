@@ -0,0 +1,85 @@
+import { SURVEY_STATUSES } from '../api/surveyApi'
+import { formatCoordinate } from '../api/coordinateFormats'
+
+// Survey progress of the active area's grid and the editor of the selected
+// point. progress: see surveyApi surveyProgress; selected is null or
+// { id, point, entry } with entry = { status, note, value }; distances from the
+// selected point to the boundaries, see measureApi boundaryDistances.
+function SurveyPanel({ progress, staleCount, selected, distances, onChange, onDeselect, coordinateFormat }) {
+  const percent = progress.total > 0 ? progress.done / progress.total * 100 : 0
+
+  return (
+    <div className="grid-settings survey-panel">
+      <div className="survey-progress-header">
+        <strong>Medición</strong>
+        <span>{progress.done} / {progress.total} ({percent.toFixed(0)}%)</span>
+      </div>
+      <div className="progress-track">
+        <div className="progress-bar" style={{ width: `${percent}%` }} />
+      </div>
+      <div className="survey-counters">
+        {SURVEY_STATUSES.map(status => (
+          <span key={status.id} className="survey-counter">
+            <span className="survey-swatch" style={{ background: status.color || '#bdc3c7' }} />
+            {status.label}: {progress[status.id]}
+          </span>
+        ))}
+      </div>
+      {staleCount > 0 && (
+        <div className="grid-settings-hint">
+          {staleCount} punto(s) marcados en una malla anterior: la geometría o la malla han cambiado desde entonces.
+        </div>
+      )}
+
+      {selected ? (
+        <div className="survey-point">
+          <div className="survey-progress-header">
+            <strong>Punto {selected.id}</strong>
+            <button type="button" onClick={onDeselect} className="remove-button">×</button>
+          </div>
+          <div className="grid-settings-hint">{formatCoordinate(selected.point, coordinateFormat)}</div>
+          {distances && (
+            <div className="grid-settings-hint">
+              Al borde: {distances.boundary.toFixed(2)} m
+              {distances.restriction !== null && ` · a la restricción más cercana: ${distances.restriction.toFixed(2)} m`}
+            </div>
+          )}
+          <div className="survey-status-buttons">
+            {SURVEY_STATUSES.map(status => (
+              <button
+                key={status.id}
+                onClick={() => onChange({ status: status.id })}
+                className={`project-button ${selected.entry.status === status.id ? 'active' : ''}`}
+                style={status.color ? { '--survey-color': status.color } : undefined}
+              >
+                {status.label}
+              </button>
+            ))}
+          </div>
+          <div className="grid-settings-row">
+            <label htmlFor="surveyValue">Valor</label>
+            <input
+              id="surveyValue"
+              key={`${selected.id}:${selected.entry.value}`}
+              defaultValue={selected.entry.value}
+              onBlur={(e) => e.target.value !== selected.entry.value && onChange({ value: e.target.value })}
+              placeholder="p. ej. -72 dBm"
+            />
+          </div>
+          <textarea
+            key={`${selected.id}:${selected.entry.note}`}
+            defaultValue={selected.entry.note}
+            onBlur={(e) => e.target.value !== selected.entry.note && onChange({ note: e.target.value })}
+            placeholder="Nota"
+            rows={2}
+            className="restriction-notes"
+          />
+        </div>
+      ) : (
+        <div className="grid-settings-hint">Haz clic en un punto de la malla para marcar su estado.</div>
+      )}
+    </div>
+  )
+}
+
+export default SurveyPanel
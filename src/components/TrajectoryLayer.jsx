@@ -0,0 +1,38 @@
+import { CircleMarker, Polyline, Tooltip } from 'react-leaflet'
+
+const TRAJECTORY_COLOR = '#ff5722'
+
+// Above this many positions the error segments are left out (too dense to read)
+const MAX_ERROR_SEGMENTS = 2000
+
+// Recorded trajectory with its start and end, and a dashed segment from each
+// position to its nearest expected grid point (see trajectoryApi analyzeTrajectory).
+function TrajectoryLayer({ trajectory, analysis, expectedPoints }) {
+  const positions = trajectory.points.map(p => [p.lat, p.lng])
+  const start = trajectory.points[0]
+  const end = trajectory.points[trajectory.points.length - 1]
+  const errorSegments = analysis.positions.length <= MAX_ERROR_SEGMENTS
+    ? analysis.positions
+      .filter(p => p.nearestIndex >= 0)
+      .map(p => [[p.lat, p.lng], [expectedPoints[p.nearestIndex].lat, expectedPoints[p.nearestIndex].lng]])
+    : []
+
+  return (
+    <>
+      {errorSegments.length > 0 && (
+        <Polyline positions={errorSegments} pathOptions={{ color: '#34495e', weight: 1, opacity: 0.6, dashArray: '3, 3' }} />
+      )}
+      <Polyline positions={positions} pathOptions={{ color: TRAJECTORY_COLOR, weight: 3 }}>
+        <Tooltip sticky>{trajectory.name}</Tooltip>
+      </Polyline>
+      <CircleMarker center={[start.lat, start.lng]} radius={6} pathOptions={{ color: '#27ae60', fillColor: '#fff', fillOpacity: 1, weight: 3 }}>
+        <Tooltip>Inicio</Tooltip>
+      </CircleMarker>
+      <CircleMarker center={[end.lat, end.lng]} radius={6} pathOptions={{ color: '#c0392b', fillColor: '#fff', fillOpacity: 1, weight: 3 }}>
+        <Tooltip>Fin · deriva {analysis.finalDrift.toFixed(2)} m</Tooltip>
+      </CircleMarker>
+    </>
+  )
+}
+
+export default TrajectoryLayer
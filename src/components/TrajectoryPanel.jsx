@@ -0,0 +1,92 @@
+import { useState } from 'react'
+import { TRAJECTORY_REPORT_FORMATS } from '../api/trajectoryApi'
+
+const formatMetres = (value) => (value === null ? '—' : `${value.toLocaleString(undefined, { maximumFractionDigits: 2 })} m`)
+const formatPercent = (value) => `${(value * 100).toLocaleString(undefined, { maximumFractionDigits: 1 })}%`
+
+// Import of a recorded PDR trajectory and its error metrics against the active
+// area's grid. file: parsed trajectory file (see trajectoryApi parseTrajectoryFile);
+// start: raw start point text for step files; analysis is null until the
+// trajectory can be built (error explains why).
+function TrajectoryPanel({ file, start, onStartChange, trajectoryError, analysis, hasGrid, onShowGrid, onLoad, onExport, onClear, onClose }) {
+  const [format, setFormat] = useState(TRAJECTORY_REPORT_FORMATS[0].id)
+
+  const handleFile = (e) => {
+    const selected = e.target.files[0]
+    e.target.value = ''
+    if (selected) onLoad(selected)
+  }
+
+  return (
+    <div className="coordinate-entry trajectory-panel">
+      <div className="import-report-header">
+        <strong>Trayectoria PDR{file && `: ${file.name}`}</strong>
+        <button type="button" onClick={onClose} className="remove-button">×</button>
+      </div>
+
+      <div className="project-row">
+        <label className="project-button">
+          {file ? 'Cambiar archivo' : 'Cargar trayectoria (CSV/JSON)'}
+          <input type="file" accept=".csv,.txt,.json,.geojson" onChange={handleFile} style={{ display: 'none' }} />
+        </label>
+        {file && <button onClick={onClear} className="project-button danger">Quitar</button>}
+      </div>
+      <p className="coordinate-entry-hint">
+        Posiciones con columnas lat, lng y time, o pasos con longitud (step_length) y rumbo (heading, grados desde el norte).
+      </p>
+
+      {file?.kind === 'steps' && (
+        <label className="basemap-row">
+          Inicio
+          <input
+            value={start}
+            onChange={(e) => onStartChange(e.target.value)}
+            placeholder={file.start ? 'Punto del archivo' : '40.416775, -3.703790'}
+            className="project-input"
+          />
+        </label>
+      )}
+
+      {file?.skipped.length > 0 && (
+        <p className="import-report-warning">{file.skipped.length} fila(s) omitida(s): {file.skipped[0].label} ({file.skipped[0].reason}){file.skipped.length > 1 && '…'}</p>
+      )}
+      {trajectoryError && <p className="import-report-error">{trajectoryError}</p>}
+
+      {analysis && (
+        <>
+          <table className="trajectory-metrics">
+            <tbody>
+              <tr><td>Posiciones</td><td>{analysis.pointCount}</td></tr>
+              <tr><td>Recorrido</td><td>{formatMetres(analysis.pathLength)}</td></tr>
+              {analysis.duration !== null && <tr><td>Duración</td><td>{analysis.duration.toLocaleString(undefined, { maximumFractionDigits: 1 })} s</td></tr>}
+              <tr><td>Error medio</td><td>{formatMetres(analysis.meanError)}</td></tr>
+              <tr><td>RMSE</td><td>{formatMetres(analysis.rmse)}</td></tr>
+              <tr><td>CEP50 / CEP95</td><td>{formatMetres(analysis.cep50)} / {formatMetres(analysis.cep95)}</td></tr>
+              <tr><td>Error máximo</td><td>{formatMetres(analysis.maxError)}</td></tr>
+              <tr><td>Error final</td><td>{formatMetres(analysis.finalError)}</td></tr>
+              <tr><td>Deriva final (fin–inicio)</td><td>{formatMetres(analysis.finalDrift)}</td></tr>
+              <tr><td>En restricciones</td><td>{formatPercent(analysis.inRestrictions.length)} del recorrido</td></tr>
+              <tr><td>Fuera del área</td><td>{formatPercent(analysis.outsideArea.length)} del recorrido</td></tr>
+            </tbody>
+          </table>
+          {!hasGrid && (
+            <p className="import-report-warning">
+              Sin malla calculada: el error frente a los puntos esperados no está disponible.{' '}
+              <button onClick={onShowGrid} className="project-button">Calcular malla</button>
+            </p>
+          )}
+          <div className="project-row">
+            <select value={format} onChange={(e) => setFormat(e.target.value)} className="project-select">
+              {TRAJECTORY_REPORT_FORMATS.map(option => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+            <button onClick={() => onExport(format)} className="project-button">⬇️ Exportar</button>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default TrajectoryPanel
@@ -0,0 +1,40 @@
+import { Fragment } from 'react'
+import { CircleMarker, Polygon, Tooltip } from 'react-leaflet'
+import { ISSUE_COLORS } from '../api/validationApi'
+
+// Highlights validation issues on the map: crossing points of self-intersecting
+// rings, restriction parts outside the area and overlaps between restrictions.
+function ValidationLayer({ issues }) {
+  return (
+    <>
+      {issues.map((issue, i) => {
+        const color = ISSUE_COLORS[issue.type]
+        return (
+          <Fragment key={i}>
+            {(issue.polygons || []).map((polygon, p) => (
+              <Polygon
+                key={`poly-${p}`}
+                positions={[polygon.outer, ...polygon.holes].map(ring => ring.map(pt => [pt.lat, pt.lng]))}
+                pathOptions={{ color, fillColor: color, fillOpacity: 0.45, weight: 2, dashArray: '6, 4' }}
+              >
+                <Tooltip sticky>{issue.message}</Tooltip>
+              </Polygon>
+            ))}
+            {(issue.points || []).map((point, p) => (
+              <CircleMarker
+                key={`pt-${p}`}
+                center={[point.lat, point.lng]}
+                radius={7}
+                pathOptions={{ color, fillColor: '#fff', fillOpacity: 1, weight: 3 }}
+              >
+                <Tooltip>{issue.message}</Tooltip>
+              </CircleMarker>
+            ))}
+          </Fragment>
+        )
+      })}
+    </>
+  )
+}
+
+export default ValidationLayer
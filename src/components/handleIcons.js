@@ -0,0 +1,20 @@
+import L from 'leaflet'
+
+// Handles are plain divIcons so they can be styled (and coloured) from CSS.
+// Icons are cached per colour: a new icon instance on every render would make
+// react-leaflet call setIcon() and interrupt an ongoing drag.
+const iconCache = new Map()
+
+export const handleIcon = (color, isGhost) => {
+  const key = `${color}-${isGhost}`
+  if (!iconCache.has(key)) {
+    const size = isGhost ? 10 : 14
+    iconCache.set(key, L.divIcon({
+      className: isGhost ? 'vertex-handle ghost' : 'vertex-handle',
+      html: `<span style="border-color: ${color}"></span>`,
+      iconSize: [size, size],
+      iconAnchor: [size / 2, size / 2]
+    }))
+  }
+  return iconCache.get(key)
+}
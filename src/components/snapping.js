@@ -0,0 +1,13 @@
+import { snapPoint } from '../api/snapApi'
+
+// Snapped position of a map mouse event (see snapApi snapPoint). snapping:
+// { targets, previous, gridOrigin, options, tolerance } with the tolerance in
+// screen pixels, converted here to metres at the cursor; null draws freely,
+// and so does holding Alt
+export const snapEvent = (map, e, snapping) => {
+  const point = { lat: e.latlng.lat, lng: e.latlng.lng }
+  if (!snapping || e.originalEvent?.altKey) return { point, kind: null, angle: null }
+  const offset = map.latLngToContainerPoint(e.latlng).add([snapping.tolerance, 0])
+  const tolerance = map.distance(e.latlng, map.containerPointToLatLng(offset))
+  return snapPoint(point, { ...snapping, tolerance })
+}
@@ -0,0 +1,25 @@
+// Headless geometry and export package: everything needed to read boundaries,
+// validate them, generate grids, measure areas and render exports, without the
+// DOM, so it runs in Node (see bin/pdr-grid.js) as well as in the app.
+//
+// Browser-only pieces stay out: downloads and printing (downloadApi), stored
+// preferences and projects (localStorage, IndexedDB), basemaps and geocoding.
+// KML import is the one exception: parseKML needs DOMParser and throws without it.
+// Modules under src/api import each other with explicit .js extensions so Node
+// can resolve them without a bundler.
+
+export * from '../api/geodesy.js';
+export * from '../api/pointIds.js';
+export * from '../api/shapesApi.js';
+export * from '../api/areasApi.js';
+export * from '../api/validationApi.js';
+export * from '../api/metricsApi.js';
+export * from '../api/gridApi.js';
+export * from '../api/simplifyApi.js';
+export * from '../api/surveyApi.js';
+export * from '../api/measureApi.js';
+export * from '../api/coordinateFormats.js';
+export * from '../api/gisFormats.js';
+export * from '../api/reportApi.js';
+export * from '../api/exportApi.js';
+export * from '../api/importApi.js';
@@ -0,0 +1,39 @@
+import { useState, useEffect } from 'react'
+
+// Pause after the last keystroke before querying the provider
+const AUTOCOMPLETE_DELAY = 350
+const MIN_QUERY_LENGTH = 3
+
+// Autocomplete suggestions for `query` from a geocoder (see geocodingApi).
+// Only providers that allow it are queried while typing; a newer query
+// aborts the request in flight.
+export const useGeocoderSearch = (geocoder, query, enabled = true) => {
+  const trimmed = query.trim()
+  const active = enabled && geocoder.autocomplete && trimmed.length >= MIN_QUERY_LENGTH
+  const [state, setState] = useState({ query: null, results: [], error: null })
+
+  useEffect(() => {
+    if (!active) return
+
+    const controller = new AbortController()
+    const timer = setTimeout(() => {
+      geocoder.search(trimmed, { signal: controller.signal })
+        .then(results => setState({ query: trimmed, results, error: null }))
+        .catch(error => {
+          if (error.name !== 'AbortError') setState({ query: trimmed, results: [], error: error.message })
+        })
+    }, AUTOCOMPLETE_DELAY)
+
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
+    }
+  }, [active, geocoder, trimmed])
+
+  const current = active && state.query === trimmed ? state : null
+  return {
+    results: current?.results || [],
+    error: current?.error || null,
+    isSearching: active && !current
+  }
+}
@@ -0,0 +1,90 @@
+import { useState, useEffect, useMemo } from 'react'
+import { gridCacheKey, getCachedGrid, cacheGrid } from '../api/gridApi'
+
+// Debounce before starting a worker, so vertex drags don't spawn one per mousemove
+const START_DELAY = 100
+
+// Computes the internal grid of every area in a Web Worker. A run in progress
+// is cancelled (worker terminated) as soon as the geometry or grid settings
+// change, and finished grids go to the shared cache so exports reuse them.
+// areas: [{ id, points, restrictions }]; returns pointsByArea keyed by area id.
+export const useGridPoints = (enabled, areas, settings) => {
+  const jobs = useMemo(
+    () => (enabled ? areas : [])
+      .filter(area => area.points.length >= 3)
+      .map(area => ({
+        id: area.id,
+        key: gridCacheKey(area.points, area.restrictions, settings),
+        areaPoints: area.points,
+        restrictions: area.restrictions
+      })),
+    [enabled, areas, settings]
+  )
+
+  // Jobs without a cached grid when the run was planned
+  const pending = useMemo(() => jobs.filter(job => !getCachedGrid(job.key)), [jobs])
+  const runKey = pending.map(job => job.key).join('\n')
+
+  const [result, setResult] = useState({ runKey: null, points: {}, error: null })
+  const [progress, setProgress] = useState({ runKey: null, value: 0 })
+
+  useEffect(() => {
+    if (pending.length === 0) return
+
+    const key = pending.map(job => job.key).join('\n')
+    let worker = null
+    const timer = setTimeout(() => {
+      worker = new Worker(new URL('../workers/gridWorker.js', import.meta.url), { type: 'module' })
+
+      worker.onmessage = ({ data }) => {
+        if (data.type === 'progress') {
+          setProgress({ runKey: key, value: data.progress })
+        } else if (data.type === 'result') {
+          cacheGrid(data.key, data.points)
+          setResult(prev => ({
+            runKey: key,
+            points: { ...(prev.runKey === key ? prev.points : {}), [data.key]: data.points },
+            error: null
+          }))
+        } else if (data.type === 'done') {
+          worker.terminate()
+        }
+      }
+
+      worker.onerror = (e) => {
+        console.error('Grid worker failed:', e.message)
+        setResult({ runKey: key, points: {}, error: e.message })
+        worker.terminate()
+      }
+
+      worker.postMessage({
+        jobs: pending.map(({ key: jobKey, areaPoints, restrictions }) => ({ key: jobKey, areaPoints, restrictions })),
+        settings
+      })
+    }, START_DELAY)
+
+    return () => {
+      clearTimeout(timer)
+      if (worker) worker.terminate()
+    }
+  }, [pending, settings])
+
+  const current = result.runKey === runKey ? result : null
+  const gridFor = (job) => getCachedGrid(job.key) || current?.points[job.key]
+
+  // Same object while the grids are unchanged, so consumers can memoize on it
+  const pointsByArea = useMemo(() => {
+    const byArea = {}
+    jobs.forEach(job => {
+      byArea[job.id] = getCachedGrid(job.key) || current?.points[job.key] || []
+    })
+    return byArea
+  }, [jobs, current])
+
+  return {
+    pointsByArea,
+    isCalculating: pending.length > 0 && !current?.error && !pending.every(gridFor),
+    progress: progress.runKey === runKey ? progress.value : 0,
+    error: current?.error || null
+  }
+}
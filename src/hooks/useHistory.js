@@ -0,0 +1,54 @@
+import { useState, useCallback } from 'react'
+
+// Snapshot-based undo/redo for a single state value.
+// set(updater, { record: false }) replaces the present without adding an undo
+// step; used for live drags, where only the first update of a gesture is recorded.
+export const useHistory = (initialState, { limit = 100 } = {}) => {
+  const [history, setHistory] = useState({ past: [], present: initialState, future: [] })
+
+  const set = useCallback((updater, { record = true } = {}) => {
+    setHistory(h => {
+      const next = typeof updater === 'function' ? updater(h.present) : updater
+      if (next === h.present) return h
+      if (!record) return { ...h, present: next }
+      return { past: [...h.past, h.present].slice(-limit), present: next, future: [] }
+    })
+  }, [limit])
+
+  const undo = useCallback(() => {
+    setHistory(h => {
+      if (h.past.length === 0) return h
+      return {
+        past: h.past.slice(0, -1),
+        present: h.past[h.past.length - 1],
+        future: [h.present, ...h.future]
+      }
+    })
+  }, [])
+
+  const redo = useCallback(() => {
+    setHistory(h => {
+      if (h.future.length === 0) return h
+      return {
+        past: [...h.past, h.present],
+        present: h.future[0],
+        future: h.future.slice(1)
+      }
+    })
+  }, [])
+
+  // Replace the state and drop the whole history (e.g. when switching projects)
+  const reset = useCallback((state) => {
+    setHistory({ past: [], present: state, future: [] })
+  }, [])
+
+  return {
+    state: history.present,
+    set,
+    reset,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0
+  }
+}
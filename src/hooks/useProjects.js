@@ -0,0 +1,194 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import {
+  listProjects,
+  createProject,
+  updateProject,
+  duplicateProject,
+  deleteProject,
+  getActiveProjectId,
+  setActiveProjectId,
+  projectSnapshot,
+  createProjectBundle,
+  importProjectBundle
+} from '../api/projectStore'
+import { downloadJSON } from '../api/downloadApi'
+
+const AUTOSAVE_DELAY = 500
+
+// Keeps the app state in sync with the IndexedDB project store.
+// snapshot: { geometry, view, grid } built by App from its current state.
+// applyProject(project): called to load a project into App state.
+export const useProjects = (snapshot, applyProject) => {
+  const [projects, setProjects] = useState([])
+  const [activeId, setActiveId] = useState(null)
+  const [error, setError] = useState(null)
+
+  const lastSaved = useRef(null)
+  const snapshotRef = useRef(snapshot)
+  const applyRef = useRef(applyProject)
+  const loadStarted = useRef(false)
+  const loading = useRef(null) // initial load, awaited by openShared
+
+  useEffect(() => {
+    snapshotRef.current = snapshot
+    applyRef.current = applyProject
+  })
+
+  const open = useCallback((project) => {
+    lastSaved.current = JSON.stringify(projectSnapshot(project))
+    setActiveProjectId(project.id)
+    setActiveId(project.id)
+    applyRef.current(project)
+  }, [])
+
+  const refresh = useCallback(async () => {
+    const list = await listProjects()
+    setProjects(list)
+    return list
+  }, [])
+
+  // Initial load: reopen the last active project, or create the first one
+  // (guarded so StrictMode's double effect run doesn't create two projects)
+  useEffect(() => {
+    if (loadStarted.current) return
+    loadStarted.current = true
+
+    const load = async () => {
+      let list = await listProjects()
+      if (list.length === 0) {
+        list = [await createProject('Proyecto 1', snapshotRef.current)]
+      }
+      setProjects(list)
+      open(list.find(p => p.id === getActiveProjectId()) || list[0])
+    }
+
+    loading.current = load().catch(err => {
+      console.error('Error loading projects:', err)
+      setError('No se pudo abrir el almacenamiento local (IndexedDB)')
+    })
+  }, [open])
+
+  const persist = useCallback(async (id, data) => {
+    const serialized = JSON.stringify(data)
+    if (serialized === lastSaved.current) return
+    lastSaved.current = serialized
+    const saved = await updateProject(id, data)
+    setProjects(prev => prev.map(p => p.id === saved.id ? saved : p))
+  }, [])
+
+  // Autosave (debounced)
+  useEffect(() => {
+    if (!activeId) return
+    const timer = setTimeout(() => {
+      persist(activeId, snapshot).catch(err => {
+        console.error('Error saving project:', err)
+        setError('No se pudo guardar el proyecto')
+      })
+    }, AUTOSAVE_DELAY)
+    return () => clearTimeout(timer)
+  }, [activeId, snapshot, persist])
+
+  // Flush pending changes of the active project before leaving it
+  const flush = async () => {
+    if (activeId) await persist(activeId, snapshotRef.current)
+  }
+
+  // Run a store action, surfacing failures in the panel instead of throwing
+  const guard = async (action) => {
+    try {
+      setError(null)
+      await action()
+    } catch (err) {
+      console.error('Project action failed:', err)
+      setError(err.message)
+    }
+  }
+
+  const switchTo = (id) => guard(async () => {
+    if (id === activeId) return
+    await flush()
+    const list = await refresh()
+    const project = list.find(p => p.id === id)
+    if (project) open(project)
+  })
+
+  const create = (name) => guard(async () => {
+    await flush()
+    const project = await createProject(name || `Proyecto ${projects.length + 1}`, {
+      view: snapshotRef.current.view,
+      grid: snapshotRef.current.grid
+    })
+    await refresh()
+    open(project)
+  })
+
+  const rename = (id, name) => guard(async () => {
+    if (!name.trim()) return
+    if (id === activeId) await flush()
+    await updateProject(id, { name: name.trim() })
+    await refresh()
+  })
+
+  const duplicate = (id) => guard(async () => {
+    await flush()
+    const copy = await duplicateProject(id)
+    await refresh()
+    open(copy)
+  })
+
+  const remove = (id) => guard(async () => {
+    // Mark the current state as saved so a pending autosave can't recreate the project
+    if (id === activeId) lastSaved.current = JSON.stringify(snapshotRef.current)
+    await deleteProject(id)
+    let list = await refresh()
+    if (id === activeId) {
+      if (list.length === 0) {
+        list = [await createProject('Proyecto 1')]
+        setProjects(list)
+      }
+      open(list[0])
+    }
+  })
+
+  const exportBundle = () => guard(async () => {
+    await flush()
+    const list = await refresh()
+    const project = list.find(p => p.id === activeId)
+    if (!project) return
+    const fileName = `${project.name.replace(/[^\w-]+/g, '_')}.pdrproject.json`
+    downloadJSON(createProjectBundle([project]), fileName)
+  })
+
+  // Project data received in a share link becomes a new project (never
+  // overwrites a local one); waits for the initial load when opened at startup.
+  // Failures are thrown to the caller, which reports them with the link.
+  const openShared = async (data) => {
+    await loading.current
+    await flush()
+    const project = await createProject(data.name, data)
+    await refresh()
+    open(project)
+  }
+
+  const importBundle = (file) => guard(async () => {
+    await flush()
+    const imported = await importProjectBundle(await file.text())
+    await refresh()
+    if (imported.length > 0) open(imported[0])
+  })
+
+  return {
+    projects,
+    activeProject: projects.find(p => p.id === activeId) || null,
+    error,
+    clearError: () => setError(null),
+    switchTo,
+    create,
+    rename,
+    duplicate,
+    remove,
+    exportBundle,
+    importBundle,
+    openShared
+  }
+}
@@ -0,0 +1,72 @@
+import { useState, useEffect, useRef } from 'react'
+
+// Plans survey routes in a Web Worker (see routeWorker), with progress and
+// cancel like useGridPoints. gridPoints: the grid currently shown; a route, or
+// a run in progress, planned on other grid points is stale (routes refer to
+// grid points by index), and the run is cancelled as soon as the grid changes.
+// planned: { areaId, gridPoints, route } of the last finished run.
+export const useRoutePlanner = (gridPoints) => {
+  const [planned, setPlanned] = useState(null)
+  const [running, setRunning] = useState(null) // { areaId, gridPoints, progress }
+  const [error, setError] = useState(null)
+  const workerRef = useRef(null)
+
+  const stop = () => {
+    if (workerRef.current) workerRef.current.terminate()
+    workerRef.current = null
+  }
+
+  useEffect(() => () => {
+    if (workerRef.current) workerRef.current.terminate()
+    workerRef.current = null
+  }, [gridPoints])
+
+  // job: { areaId, areaPoints, restrictions, gridSettings, settings } for gridPoints
+  const plan = ({ areaId, ...job }) => {
+    stop()
+    const worker = new Worker(new URL('../workers/routeWorker.js', import.meta.url), { type: 'module' })
+    workerRef.current = worker
+    setRunning({ areaId, gridPoints, progress: 0 })
+    setError(null)
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        setRunning(prev => prev && { ...prev, progress: data.progress })
+      } else if (data.type === 'result') {
+        stop()
+        setRunning(null)
+        setPlanned({ areaId, gridPoints, route: data.route })
+      }
+    }
+
+    worker.onerror = (e) => {
+      console.error('Route worker failed:', e.message)
+      stop()
+      setRunning(null)
+      setError(e.message)
+    }
+
+    worker.postMessage({ gridPoints, ...job })
+  }
+
+  const cancel = () => {
+    stop()
+    setRunning(null)
+  }
+
+  const clear = () => {
+    cancel()
+    setPlanned(null)
+  }
+
+  const current = running && running.gridPoints === gridPoints ? running : null
+  return {
+    planned,
+    isPlanning: current !== null,
+    progress: current ? current.progress : 0,
+    error,
+    plan,
+    cancel,
+    clear
+  }
+}
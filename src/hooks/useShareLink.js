@@ -0,0 +1,67 @@
+import { useState, useEffect, useRef } from 'react'
+import { createShareLink, readShareLink, hasShareFragment } from '../api/shareApi'
+
+// Share links (see shareApi): opens the #share= fragment the page was loaded
+// with (or navigated to) through onOpen(projectData), and creates links for
+// the current session. The fragment is removed once read, so reloading the
+// page doesn't open the shared project again.
+export const useShareLink = (onOpen) => {
+  const [link, setLink] = useState(null) // { url, copied } of the last created link
+  const [opened, setOpened] = useState(null) // name of the project opened from a link
+  const [error, setError] = useState(null)
+  const onOpenRef = useRef(onOpen)
+
+  useEffect(() => {
+    onOpenRef.current = onOpen
+  })
+
+  useEffect(() => {
+    const read = async () => {
+      const hash = window.location.hash
+      if (!hasShareFragment(hash)) return
+      window.history.replaceState(null, '', window.location.pathname + window.location.search)
+      try {
+        const data = await readShareLink(hash)
+        await onOpenRef.current(data)
+        setError(null)
+        setOpened(data.name)
+      } catch (err) {
+        console.error('Error reading share link:', err)
+        setOpened(null)
+        setError(err.message)
+      }
+    }
+
+    read()
+    window.addEventListener('hashchange', read)
+    return () => window.removeEventListener('hashchange', read)
+  }, [])
+
+  // project: { name, geometry, view, grid }
+  const create = async (project) => {
+    try {
+      setError(null)
+      setLink({ url: await createShareLink(project, window.location.href), copied: false })
+    } catch (err) {
+      console.error('Error creating share link:', err)
+      setError(`No se pudo crear el enlace: ${err.message}`)
+    }
+  }
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(link.url)
+      setLink(prev => prev && { ...prev, copied: true })
+    } catch {
+      setError('No se pudo copiar al portapapeles; selecciona el enlace y cópialo manualmente.')
+    }
+  }
+
+  const close = () => {
+    setLink(null)
+    setOpened(null)
+    setError(null)
+  }
+
+  return { link, opened, error, create, copy, close }
+}
@@ -0,0 +1,69 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { listPackages, prefetchPackage, importMBTiles, deletePackage } from '../api/tileStore'
+
+// Offline tile packages in browser storage, plus the one download or MBTiles
+// load that may be running at a time.
+// task: { label, done, total? } while running; error: message of the last failure.
+export const useTilePackages = () => {
+  const [packages, setPackages] = useState([])
+  const [task, setTask] = useState(null)
+  const [error, setError] = useState(null)
+  const controllerRef = useRef(null)
+
+  const refresh = useCallback(async () => {
+    setPackages(await listPackages())
+  }, [])
+
+  useEffect(() => {
+    refresh().catch(err => {
+      console.error('Error loading tile packages:', err)
+      setError('No se pudo abrir el almacén de teselas (IndexedDB)')
+    })
+  }, [refresh])
+
+  // Run a long task with progress and cancellation, surfacing failures as `error`
+  const run = async (label, action) => {
+    if (controllerRef.current) return
+    const controller = new AbortController()
+    controllerRef.current = controller
+    setError(null)
+    setTask({ label, done: 0 })
+    try {
+      await action({
+        signal: controller.signal,
+        onProgress: (progress) => setTask({ label, ...progress })
+      })
+    } catch (err) {
+      console.error('Tile package task failed:', err)
+      setError(err.message)
+    } finally {
+      controllerRef.current = null
+      setTask(null)
+      await refresh().catch(() => {})
+    }
+  }
+
+  // Pre-fetch each source for the bbox (one package per source)
+  const prefetch = (sources, bbox, minZoom, maxZoom) => run('Descargando teselas', async (options) => {
+    for (const source of sources) {
+      if (options.signal.aborted) break
+      await prefetchPackage(source, bbox, minZoom, maxZoom, options)
+    }
+  })
+
+  const importFile = (file) => run(`Cargando ${file.name}`, (options) => importMBTiles(file, options))
+
+  const remove = async (id) => {
+    try {
+      await deletePackage(id)
+      await refresh()
+    } catch (err) {
+      console.error('Error deleting tile package:', err)
+      setError(err.message)
+    }
+  }
+
+  const cancel = () => controllerRef.current?.abort()
+
+  return { packages, task, error, clearError: () => setError(null), prefetch, importFile, remove, cancel }
+}
@@ -0,0 +1,17 @@
+import { generateGridPoints } from '../api/gridApi';
+
+// Grid generation off the main thread. The main thread cancels a run by
+// terminating the worker, so each run is a single request: one job per area,
+// a 'result' message per job and overall progress across all of them.
+self.onmessage = ({ data }) => {
+    const { jobs, settings } = data;
+
+    jobs.forEach((job, index) => {
+        const points = generateGridPoints(job.areaPoints, job.restrictions, settings, {
+            onProgress: (progress) => self.postMessage({ type: 'progress', progress: (index + progress) / jobs.length })
+        });
+        self.postMessage({ type: 'result', key: job.key, points });
+    });
+
+    self.postMessage({ type: 'done' });
+};
@@ -0,0 +1,12 @@
+import { planRoute } from '../api/routeApi';
+
+// Route planning off the main thread (nearest-neighbour tours and detours take
+// seconds on large grids). Like gridWorker, a run is cancelled by terminating
+// the worker: one request, 'progress' messages, then the 'result'.
+self.onmessage = ({ data }) => {
+    const { gridPoints, areaPoints, restrictions, gridSettings, settings } = data;
+    const route = planRoute(gridPoints, areaPoints, restrictions, gridSettings, settings, {
+        onProgress: (progress) => self.postMessage({ type: 'progress', progress })
+    });
+    self.postMessage({ type: 'result', route });
+};